@@ -11,6 +11,11 @@
  *   cpos-plugin build                 - Build plugin for production
  *   cpos-plugin serve                 - Start development server
  *   cpos-plugin package               - Package plugin for distribution
+ *   cpos-plugin validate              - Validate manifest and project files
+ *   cpos-plugin schema                - Write manifest JSON Schema for editors
+ *   cpos-plugin inspect <file>        - Show the contents of a .cposplugin package
+ *   cpos-plugin keygen                - Create a package signing keypair
+ *   cpos-plugin verify <file>         - Verify a signed package
  */
 
 const { program } = require('commander');
@@ -22,16 +27,26 @@ const createCommand = require('../src/commands/create');
 const buildCommand = require('../src/commands/build');
 const serveCommand = require('../src/commands/serve');
 const packageCommand = require('../src/commands/package');
+const validateCommand = require('../src/commands/validate');
+const schemaCommand = require('../src/commands/schema');
+const inspectCommand = require('../src/commands/inspect');
+const keygenCommand = require('../src/commands/keygen');
+const verifyCommand = require('../src/commands/verify');
 
 // CLI version from package.json
 const packageJson = require('../package.json');
 
-console.log(chalk.cyan(`
+// Keep machine-readable output clean
+const jsonOutput = process.argv.includes('--json');
+
+if (!jsonOutput) {
+  console.log(chalk.cyan(`
 ╔═══════════════════════════════════════════════════╗
 ║       CommercePOS Plugin CLI v${packageJson.version}              ║
 ║       Build plugins for CommercePOS               ║
 ╚═══════════════════════════════════════════════════╝
 `));
+}
 
 program
   .name('cpos-plugin')
@@ -52,7 +67,18 @@ program
   .description('Build plugin for production')
   .option('-o, --output <dir>', 'Output directory', 'dist')
   .option('--minify', 'Minify output files', true)
+  .option('--no-mangle', 'Keep local variable names when minifying JavaScript')
+  .option('--no-source-maps', 'Don\'t write source maps for minified JavaScript and CSS')
   .option('-b, --bundle', 'Create single bundled HTML file with inline CSS/JS')
+  .option('--bundle-modules', 'Bundle module scripts with their imports in directory builds')
+  .option('--inline-assets', 'Inline images, fonts and icons as data URIs in the bundle')
+  .option('--inline-limit <size>', 'Largest asset to inline (e.g. 8192, 16kb)', '16kb')
+  .option('--no-validate', 'Skip plugin validation before building')
+  .option('--mode <name>', 'Build mode; loads .env and .env.<name> for CPOS_ variables', 'production')
+  .option('--report [file]', 'Write a size report (.json or .html; both into the output directory by default)')
+  .option('--hash', 'Add content hashes to the names of referenced scripts, stylesheets and assets')
+  .option('--reproducible', 'Stamp the build with SOURCE_DATE_EPOCH or the last commit instead of the current time')
+  .option('-w, --watch', 'Rebuild changed files whenever the project changes')
   .action(buildCommand);
 
 // Serve command
@@ -61,6 +87,7 @@ program
   .description('Start development server with hot reload')
   .option('-p, --port <port>', 'Port to run server on', '3000')
   .option('--host <host>', 'Host to bind to', 'localhost')
+  .option('--no-shell', 'Serve the plugin page on its own instead of inside the emulated POS host')
   .action(serveCommand);
 
 // Package command
@@ -68,8 +95,48 @@ program
   .command('package')
   .description('Package plugin for distribution (.cposplugin)')
   .option('-o, --output <file>', 'Output file name')
+  .option('--no-validate', 'Skip plugin validation before packaging')
+  .option('--sign <private-key>', 'Sign the package with an Ed25519 private key')
+  .option('--strip-sourcemaps', 'Leave source maps and sourceMappingURL comments out of the package')
+  .option('--from-bundle', 'Package the build --bundle output in dist/ (detected from its manifest otherwise)')
+  .option('--reproducible', 'Give the same package bytes for the same files (fixed dates, see SOURCE_DATE_EPOCH)')
   .action(packageCommand);
 
+// Validate command
+program
+  .command('validate')
+  .description('Validate manifest, referenced files and permissions')
+  .action(validateCommand);
+
+// Schema command
+program
+  .command('schema')
+  .description('Write manifest JSON Schema for editor autocompletion')
+  .option('-o, --output <file>', 'Output file name', 'manifest.schema.json')
+  .action(schemaCommand);
+
+// Inspect command
+program
+  .command('inspect <file>')
+  .description('Show manifest, permissions and files of a .cposplugin package')
+  .option('--json', 'Output as JSON')
+  .action(inspectCommand);
+
+// Keygen command
+program
+  .command('keygen')
+  .description('Create an Ed25519 keypair for signing packages')
+  .option('-o, --output <name>', 'Key file base name (<name>.key, <name>.pub)', 'cposplugin')
+  .option('-f, --force', 'Overwrite existing key files')
+  .action(keygenCommand);
+
+// Verify command
+program
+  .command('verify <file>')
+  .description('Verify a signed .cposplugin package')
+  .requiredOption('-k, --key <public-key>', 'Publisher public key (PEM)')
+  .action(verifyCommand);
+
 // Parse arguments
 program.parse(process.argv);
 
@@ -7,263 +7,710 @@ const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
 const ora = require('ora');
+const { runProjectValidation } = require('../utils/project-validator');
+const { buildDependencyGraph, getManifestReferences } = require('../utils/dependency-graph');
+const { findFilesByExtension, formatFileSize, listFiles, loadBuildConfig, parseFileSize } = require('../utils/helpers');
+const { bundleHtml, createAssetResolver, findModuleEntries, rewriteModuleScripts } = require('../utils/bundler');
+const { bundleModules } = require('../utils/module-bundler');
+const { minifyJs, minifyJsWithSourceMap } = require('../utils/js-minifier');
+const { minifyCss, minifyCssWithSourceMap } = require('../utils/css-minifier');
+const { minifyHtml } = require('../utils/html-minifier');
+const { resolveReference } = require('../utils/references');
+const { getSourceMapComment, toDataUrl } = require('../utils/source-map');
+const { createBuildCache, sha256 } = require('../utils/build-cache');
+const { isTextFile } = require('../utils/file-types');
+const { loadBuildEnv, getBuildEnvFiles } = require('../utils/build-env');
+const { loadBudgets, measureOutputs, checkBudgets, createReport, writeReport, DEFAULT_REPORT_FILES } = require('../utils/build-report');
+const { hashOutputFiles, writeAssetManifest, ASSET_MANIFEST_FILE } = require('../utils/content-hash');
+const { loadBuildMetadata, describeBuildMetadata } = require('../utils/build-metadata');
+const { createFileWatcher } = require('../utils/file-watcher');
+
+// How long watch mode waits for a burst of file changes to settle
+const WATCH_DELAY = 100;
+
+// Folders copied into directory builds in full, referenced or not
+const ASSET_DIRS = ['assets', 'lib'];
+
+// Scripts and stylesheets that are minified; .min files are copied as they are
+const MINIFIABLE_FILE = /^(?!.*\.min\.(css|m?js)$).*\.(css|m?js)$/i;
 
 /**
  * Build plugin for production
  */
 async function buildCommand(options) {
-  const spinner = ora();
   const projectDir = process.cwd();
   const outputDir = path.resolve(projectDir, options.output || 'dist');
 
-  try {
-    // If bundle mode, create single bundled HTML file
-    if (options.bundle) {
-      await buildBundled(projectDir, outputDir, options);
-      return;
-    }
+  if (typeof options.report === 'string' && !/\.(json|html?)$/i.test(options.report)) {
+    console.log(chalk.red(`Error: --report file must end in .json or .html: ${options.report}`));
+    process.exitCode = 1;
+    return;
+  }
 
-    console.log(chalk.cyan('\nBuilding plugin for production...\n'));
+  // Hashed names change with every edit, which watch mode can't follow
+  if (options.hash && options.watch) {
+    console.log(chalk.red('Error: --hash can\'t be used with --watch'));
+    process.exitCode = 1;
+    return;
+  }
 
-    // Check if manifest exists
-    const manifestPath = path.join(projectDir, 'manifest.json');
-    if (!await fs.pathExists(manifestPath)) {
-      console.log(chalk.red('Error: manifest.json not found. Are you in a plugin directory?'));
-      return;
-    }
+  if (options.watch) {
+    await watchBuild(projectDir, outputDir, options);
+    return;
+  }
 
-    // Read manifest
-    const manifest = await fs.readJson(manifestPath);
-    console.log(chalk.gray(`Plugin: ${manifest.name} v${manifest.version}`));
+  await runBuild(projectDir, outputDir, options, ora());
+}
 
-    // Clean output directory
-    spinner.start('Cleaning output directory...');
-    await fs.remove(outputDir);
-    await fs.ensureDir(outputDir);
-    spinner.succeed('Output directory cleaned');
+/**
+ * Build, then rebuild the outputs that depend on a file whenever it changes
+ */
+async function watchBuild(projectDir, outputDir, options) {
+  if (!await fs.pathExists(path.join(projectDir, 'manifest.json'))) {
+    console.log(chalk.red('Error: manifest.json not found. Are you in a plugin directory?'));
+    return;
+  }
 
-    // Copy and process HTML
-    spinner.start('Processing HTML...');
-    const htmlPath = path.join(projectDir, manifest.entryPoint || 'index.html');
-    if (await fs.pathExists(htmlPath)) {
-      let htmlContent = await fs.readFile(htmlPath, 'utf8');
+  // The exit code follows the last build, so fixing a failed build clears
+  // its failing code
+  const cache = createBuildCache();
+  const build = async spinner => {
+    const updated = await runBuild(projectDir, outputDir, options, spinner, cache);
+    process.exitCode = updated ? 0 : 1;
+    return updated;
+  };
+  await build(ora());
+
+  // Rebuilds run one at a time; changes made during one start another
+  const quietSpinner = ora({ isSilent: true });
+  let running = false;
+  let pending = false;
+  let failed = false;
+
+  const rebuild = async () => {
+    if (running) {
+      pending = true;
+      return;
+    }
 
-      if (options.minify) {
-        htmlContent = minifyHtml(htmlContent);
-      }
+    running = true;
+    const startTime = Date.now();
+    const updated = await build(quietSpinner);
+    const time = new Date().toLocaleTimeString();
+    if (updated && updated.length > 0) {
+      console.log(chalk.green(`  [${time}] Rebuilt in ${Date.now() - startTime} ms: `) + chalk.gray(updated.join(', ')));
+    } else if (updated && failed) {
+      // Undoing the change that broke the build leaves the output as it was
+      console.log(chalk.green(`  [${time}] Build fixed, output is up to date (${Date.now() - startTime} ms)`));
+    }
+    failed = !updated;
+    running = false;
 
-      await fs.writeFile(path.join(outputDir, 'index.html'), htmlContent);
-      spinner.succeed('HTML processed');
-    } else {
-      spinner.warn('No index.html found');
+    if (pending) {
+      pending = false;
+      await rebuild();
     }
+  };
 
-    // Process CSS files
-    spinner.start('Processing CSS...');
-    const cssFiles = await findFiles(projectDir, '.css');
-    for (const cssFile of cssFiles) {
-      const relativePath = path.relative(projectDir, cssFile);
-      if (relativePath.startsWith('dist') || relativePath.startsWith('node_modules')) continue;
+  // The .env files are watched even when .gitignore leaves them out
+  let watcher;
+  try {
+    watcher = await createFileWatcher(projectDir, {
+      ignore: [path.relative(projectDir, outputDir)],
+      keep: getBuildEnvFiles(options.mode || 'production'),
+      delay: WATCH_DELAY,
+      onChange: rebuild
+    });
+  } catch (error) {
+    console.error(chalk.red(`Error: Can't watch ${projectDir}: ${error.message}`));
+    process.exitCode = 1;
+    return;
+  }
 
-      let cssContent = await fs.readFile(cssFile, 'utf8');
+  console.log(chalk.cyan('Watching for changes... (Ctrl+C to stop)\n'));
 
-      if (options.minify) {
-        cssContent = minifyCss(cssContent);
-      }
+  process.on('SIGINT', () => {
+    watcher.close();
+    console.log(chalk.yellow('\nStopped watching.\n'));
+    // Exit with the outcome of the last build
+    process.exit();
+  });
+}
 
-      const destPath = path.join(outputDir, relativePath);
-      await fs.ensureDir(path.dirname(destPath));
-      await fs.writeFile(destPath, cssContent);
+/**
+ * Run a directory or bundle build, reporting errors
+ *
+ * With a cache from an earlier build, only outputs that depend on files
+ * changed since are rewritten. Returns the output files written or removed
+ * (relative to the output directory), or null if the build failed; a
+ * failed build outside watch mode also sets a failing exit code.
+ */
+async function runBuild(projectDir, outputDir, options, spinner, cache = null) {
+  try {
+    // If bundle mode, create single bundled HTML file
+    if (options.bundle) {
+      return await buildBundled(projectDir, outputDir, options, spinner, cache);
     }
-    spinner.succeed(`CSS processed (${cssFiles.length} files)`);
 
-    // Process JavaScript files
-    spinner.start('Processing JavaScript...');
-    const jsFiles = await findFiles(projectDir, '.js');
-    for (const jsFile of jsFiles) {
-      const relativePath = path.relative(projectDir, jsFile);
-      if (relativePath.startsWith('dist') || relativePath.startsWith('node_modules')) continue;
+    return await buildDirectory(projectDir, outputDir, options, spinner, cache);
+  } catch (error) {
+    spinner.fail('Build failed');
+    console.error(chalk.red(`Error: ${error.message}`));
+    // Watch mode keeps going and builds again on the next change
+    if (!options.watch) process.exitCode = 1;
+    return null;
+  }
+}
 
-      let jsContent = await fs.readFile(jsFile, 'utf8');
+/**
+ * Build the plugin into the output directory, file by file
+ */
+async function buildDirectory(projectDir, outputDir, options, spinner, cache) {
+  const rebuild = Boolean(cache && cache.built);
+  if (!rebuild) {
+    console.log(chalk.cyan(`\nBuilding plugin for ${options.mode || 'production'}...\n`));
+  }
 
-      if (options.minify) {
-        jsContent = minifyJs(jsContent);
-      }
+  // Check if manifest exists
+  const manifestPath = path.join(projectDir, 'manifest.json');
+  if (!await fs.pathExists(manifestPath)) {
+    console.log(chalk.red('Error: manifest.json not found. Are you in a plugin directory?'));
+    return null;
+  }
 
-      const destPath = path.join(outputDir, relativePath);
-      await fs.ensureDir(path.dirname(destPath));
-      await fs.writeFile(destPath, jsContent);
-    }
-    spinner.succeed(`JavaScript processed (${jsFiles.length} files)`);
+  // Read manifest
+  const manifest = await fs.readJson(manifestPath);
+  if (!rebuild) {
+    console.log(chalk.gray(`Plugin: ${manifest.name} v${manifest.version}`));
+  }
 
-    // Copy assets
-    spinner.start('Copying assets...');
-    const assetsDir = path.join(projectDir, 'assets');
-    if (await fs.pathExists(assetsDir)) {
-      await fs.copy(assetsDir, path.join(outputDir, 'assets'));
-    }
-    spinner.succeed('Assets copied');
+  // Validate project
+  if (options.validate !== false && !await runProjectValidation(projectDir, manifest, spinner, getShownWarnings(cache, 'validate'))) {
+    process.exitCode = 1;
+    return null;
+  }
 
-    // Copy lib folder
-    spinner.start('Copying libraries...');
-    const libDir = path.join(projectDir, 'lib');
-    if (await fs.pathExists(libDir)) {
-      const libFiles = await fs.readdir(libDir);
-      await fs.ensureDir(path.join(outputDir, 'lib'));
+  // Variables and defines inlined into HTML, CSS and JS
+  const buildEnv = await loadBuildEnv(projectDir, options.mode);
+  const metadata = await loadBuildMetadata(projectDir, options.reproducible);
+  if (!rebuild) {
+    printMode(buildEnv);
+    printMetadata(metadata, options);
+  }
+  const budgets = loadBudgets(manifest, await loadBuildConfig(projectDir));
 
-      for (const file of libFiles) {
-        let content = await fs.readFile(path.join(libDir, file), 'utf8');
+  // Clean output directory; rebuilds replace only what changed
+  if (!rebuild) {
+    spinner.start('Cleaning output directory...');
+    await fs.remove(outputDir);
+    await fs.ensureDir(outputDir);
+    spinner.succeed('Output directory cleaned');
+  }
 
-        if (options.minify && file.endsWith('.js')) {
-          content = minifyJs(content);
-        } else if (options.minify && file.endsWith('.css')) {
-          content = minifyCss(content);
-        }
+  // Resolve files reachable from the manifest
+  spinner.start('Resolving dependencies...');
+  const graph = await buildDependencyGraph(projectDir, getManifestReferences(manifest));
+  const reachable = [...graph.files.keys()].filter(file => file !== 'manifest.json');
+  spinner.succeed(`Dependencies resolved (${reachable.length} files)`);
+  printGraphWarnings(graph, cache);
+
+  // Files changed since the last build; a full build uses them all
+  const assetFiles = [];
+  for (const dir of ASSET_DIRS) {
+    assetFiles.push(...(await listFiles(path.join(projectDir, dir), dir)).map(file => file.name));
+  }
+  const changed = cache
+    ? await cache.update(projectDir, ['manifest.json', ...buildEnv.files, ...new Set([...reachable, ...assetFiles])])
+    : null;
+  const envChanged = rebuild && getBuildEnvFiles(buildEnv.mode).some(file => changed.has(file));
+  const isChanged = file => !rebuild || envChanged || changed.has(file);
+
+  const minifyOptions = { mangle: options.mangle !== false };
+  const sourceMaps = options.minify && options.sourceMaps !== false;
+
+  // Bundle module entry scripts; modules only they import are left out
+  const previousBundles = cache ? cache.bundles : new Map();
+  const moduleBundles = options.bundleModules
+    ? await bundleModuleEntries(projectDir, graph, reachable, spinner, previousBundles, isChanged, cache && cache.modules, buildEnv)
+    : new Map();
+  const bundledFiles = new Set([...moduleBundles.values()].flatMap(bundle => bundle.leftOut));
+  const buildFiles = reachable.filter(file => !moduleBundles.has(file) && !bundledFiles.has(file));
+
+  const entries = new Set(moduleBundles.keys());
+  const entriesChanged = [...entries].sort().join('\n') !== [...previousBundles.keys()].sort().join('\n');
+  const bundleFiles = [...entries].filter(file => !rebuild || moduleBundles.get(file) !== previousBundles.get(file));
+
+  // Referenced pages are processed; scripts and stylesheets, referenced or
+  // in an asset folder, are minified; everything else is copied
+  const outputFiles = [...new Set([...buildFiles, ...assetFiles.filter(file => !reachable.includes(file))])];
+  const pageFiles = buildFiles.filter(file => /\.html?$/i.test(file));
+  const codeFiles = outputFiles.filter(file => MINIFIABLE_FILE.test(file));
+  const htmlFiles = pageFiles.filter(file => entriesChanged || isChanged(file));
+  const cssFiles = codeFiles.filter(file => /\.css$/i.test(file) && isChanged(file));
+  const jsFiles = codeFiles.filter(file => /\.m?js$/i.test(file) && isChanged(file));
+  const copyFiles = outputFiles.filter(file => !pageFiles.includes(file) && !codeFiles.includes(file));
+  const updated = [];
+  const copiedAsIs = [];
+
+  // Process HTML
+  spinner.start('Processing HTML...');
+  const htmlWarnings = [];
+  for (const file of htmlFiles) {
+    const processed = await processTextFile(projectDir, outputDir, file, buildEnv, content => {
+      const { html, warnings } = rewriteModuleScripts(content, file, entries);
+      htmlWarnings.push(...warnings);
+      return options.minify ? minifyHtml(html, minifyOptions) : html;
+    });
+    if (!processed) copiedAsIs.push(file);
+    updated.push(file);
+  }
+  if (graph.files.has(manifest.entryPoint || 'index.html')) {
+    spinner.succeed(`HTML processed (${htmlFiles.length} files)`);
+  } else {
+    spinner.warn(`No ${manifest.entryPoint || 'index.html'} found`);
+  }
+  printWarnings(htmlWarnings, cache, 'html');
+
+  // Process CSS files
+  spinner.start('Processing CSS...');
+  for (const file of cssFiles) {
+    const processed = await processTextFile(projectDir, outputDir, file, buildEnv, !options.minify ? null : sourceMaps
+      ? (content, mapOptions) => minifyCssWithSourceMap(content, mapOptions)
+      : minifyCss);
+    if (!processed) copiedAsIs.push(file);
+    updated.push(file);
+  }
+  spinner.succeed(`CSS processed (${cssFiles.length} files)`);
+
+  // Process JavaScript files
+  spinner.start('Processing JavaScript...');
+  for (const file of jsFiles) {
+    const processed = await processTextFile(projectDir, outputDir, file, buildEnv, !options.minify ? null : sourceMaps
+      ? (content, mapOptions) => minifyJsWithSourceMap(content, { ...minifyOptions, ...mapOptions })
+      : content => minifyJs(content, minifyOptions));
+    if (!processed) copiedAsIs.push(file);
+    updated.push(file);
+  }
+  for (const file of bundleFiles) {
+    const bundle = moduleBundles.get(file);
+    const destDir = path.dirname(path.join(outputDir, file));
+    await processTextFile(projectDir, outputDir, file, null, (content, mapOptions) => {
+      if (!options.minify) return bundle.code;
+      if (!sourceMaps) return minifyJs(bundle.code, minifyOptions);
+
+      return minifyJsWithSourceMap(bundle.code, {
+        ...minifyOptions,
+        file: mapOptions.file,
+        sources: bundle.sources.map(item => ({
+          ...item,
+          source: toUrlPath(path.relative(destDir, path.join(projectDir, item.source)))
+        })),
+        mapOffset: bundle.mapOffset
+      });
+    });
+    updated.push(file);
+  }
+  spinner.succeed(`JavaScript processed (${jsFiles.length + bundleFiles.length} files)`);
+  if (sourceMaps && !rebuild) {
+    const mapped = [...cssFiles, ...jsFiles].filter(file => !copiedAsIs.includes(file)).length + bundleFiles.length;
+    console.log(chalk.gray(`  Source maps written for ${mapped} file(s)`));
+  }
 
-        await fs.writeFile(path.join(outputDir, 'lib', file), content);
-      }
+  // Copy referenced files and the asset folders byte for byte
+  spinner.start('Copying assets...');
+  const changedCopies = copyFiles.filter(isChanged);
+  for (const file of changedCopies) {
+    await fs.copy(path.join(projectDir, file), path.join(outputDir, file));
+    updated.push(file);
+  }
+  spinner.succeed(`Assets copied (${changedCopies.length} files)`);
+  printWarnings(copiedAsIs.map(file => `${file} isn't UTF-8 text and was copied unchanged`), cache, 'copy');
+
+  // Remove the output of files a rebuild no longer writes
+  const written = new Set([...outputFiles, ...entries]);
+  if (rebuild) {
+    for (const file of cache.written) {
+      if (written.has(file)) continue;
+      await fs.remove(path.join(outputDir, file));
+      await fs.remove(path.join(outputDir, `${file}.map`));
+      updated.push(file);
     }
-    spinner.succeed('Libraries copied');
+  } else {
+    // Report code that isn't reachable from the entry point
+    await reportLeftOut(projectDir, outputDir, graph, manifest.entryPoint || 'index.html');
+  }
+  printWarnings(buildEnv.warnings, cache, 'env');
 
-    // Copy manifest
+  // Copy manifest
+  if (isChanged('manifest.json')) {
     spinner.start('Creating production manifest...');
+    // The editor schema reference and build budgets aren't shipped
+    const { $schema, budgets: manifestBudgets, ...manifestFields } = manifest;
     const prodManifest = {
-      ...manifest,
-      buildDate: new Date().toISOString(),
+      ...manifestFields,
+      ...getBuildStamp(metadata),
       buildMode: 'production'
     };
     await fs.writeJson(path.join(outputDir, 'manifest.json'), prodManifest, { spaces: 2 });
     spinner.succeed('Production manifest created');
+    updated.push('manifest.json');
+  }
+
+  // Give referenced scripts, stylesheets and assets content-hashed names
+  const renamed = options.hash
+    ? await hashFileNames(outputDir, [...written, 'manifest.json'], getManifestReferences(manifest), spinner)
+    : new Map();
 
-    // Calculate build size
-    const buildSize = await calculateDirSize(outputDir);
+  if (cache) {
+    cache.bundles = moduleBundles;
+    cache.written = written;
+    cache.finish();
+  }
 
+  // Check sizes, and write the report when there is something new in it
+  const outputs = [...written, 'manifest.json'].map(file => ({
+    file: renamed.get(file) || file,
+    sources: moduleBundles.has(file) ? moduleBundles.get(file).modules : [file]
+  }));
+  const buildSize = rebuild ? 0 : await calculateOutputSize(outputDir, outputs);
+  const withinBudgets = !rebuild || updated.length > 0
+    ? await checkSizes(projectDir, outputDir, options, spinner, { budgets, outputs, manifest, mode: buildEnv.mode, date: metadata.date, rebuild })
+    : true;
+
+  if (!rebuild) {
     // Success message
-    console.log(chalk.green(`\n✓ Build completed successfully!`));
+    if (withinBudgets) {
+      console.log(chalk.green(`\n✓ Build completed successfully!`));
+    } else {
+      console.log(chalk.red(`\n✗ Build exceeds its size budgets`));
+    }
     console.log(chalk.gray(`  Output: ${outputDir}`));
-    console.log(chalk.gray(`  Size: ${formatSize(buildSize)}`));
-    console.log(chalk.cyan('\nNext step: Run `cpos-plugin package` to create distributable\n'));
-
-  } catch (error) {
-    spinner.fail('Build failed');
-    console.error(chalk.red(`Error: ${error.message}`));
+    console.log(chalk.gray(`  Size: ${formatFileSize(buildSize)}`));
+    if (!options.watch && withinBudgets) {
+      console.log(chalk.cyan('\nNext step: Run `cpos-plugin package` to create distributable\n'));
+    }
   }
+
+  return updated;
 }
 
 /**
- * Find files with extension
+ * Read a text file, transform it and write it to the output directory
+ *
+ * Variables and defines from buildEnv, if given, are inlined first. The
+ * transform is called with the content and the { source, file } names for
+ * a source map. If it returns { code, map }, the map is written next to
+ * the output file as <file>.map.
+ *
+ * A file that isn't UTF-8 text is copied unchanged instead; returns false
+ * in that case.
  */
-async function findFiles(dir, ext, files = []) {
-  const items = await fs.readdir(dir);
+async function processTextFile(projectDir, outputDir, relativePath, buildEnv, transform) {
+  const bytes = await fs.readFile(path.join(projectDir, relativePath));
+  const destPath = path.join(outputDir, relativePath);
+  await fs.ensureDir(path.dirname(destPath));
+
+  if (!isTextFile(relativePath, bytes)) {
+    await fs.writeFile(destPath, bytes);
+    return false;
+  }
 
-  for (const item of items) {
-    const fullPath = path.join(dir, item);
-    const stat = await fs.stat(fullPath);
+  let content = bytes.toString('utf8');
+  if (buildEnv) {
+    content = buildEnv.replace(content, relativePath);
+  }
 
-    if (stat.isDirectory()) {
-      if (!['node_modules', 'dist', '.git'].includes(item)) {
-        await findFiles(fullPath, ext, files);
+  if (transform) {
+    const fileName = path.basename(destPath);
+    const result = transform(content, {
+      source: toUrlPath(path.relative(path.dirname(destPath), path.join(projectDir, relativePath))),
+      file: fileName
+    });
+
+    if (typeof result === 'string') {
+      content = result;
+    } else {
+      content = result.code;
+      if (result.map) {
+        await fs.writeJson(`${destPath}.map`, result.map);
+        content += `\n${getSourceMapComment(`${encodeURI(fileName)}.map`, /\.css$/i.test(fileName) ? 'css' : 'js')}\n`;
       }
-    } else if (item.endsWith(ext)) {
-      files.push(fullPath);
     }
   }
 
-  return files;
+  await fs.writeFile(destPath, content);
+  return true;
 }
 
 /**
- * Minify HTML (basic)
+ * Bundle the module scripts the HTML files of a build load
+ *
+ * Bundles in previous whose modules haven't changed are reused, and
+ * moduleCache keeps parsed modules between builds. Returns a Map of entry
+ * file to its bundleModules() result, with leftOut listing the project
+ * modules that are only needed inside the bundles.
  */
-function minifyHtml(content) {
-  return content
-    .replace(/<!--[\s\S]*?-->/g, '')  // Remove comments
-    .replace(/>\s+</g, '><')           // Remove whitespace between tags
-    .replace(/\s{2,}/g, ' ')           // Collapse multiple spaces
-    .trim();
+async function bundleModuleEntries(projectDir, graph, reachable, spinner, previous, isChanged, moduleCache, buildEnv) {
+  spinner.start('Bundling modules...');
+
+  const bundles = new Map();
+  const warnings = new Set();
+  for (const file of reachable.filter(item => /\.html?$/i.test(item))) {
+    const html = await fs.readFile(path.join(projectDir, file), 'utf8');
+    for (const entry of await findModuleEntries(projectDir, file, html)) {
+      if (bundles.has(entry)) continue;
+
+      const bundle = previous.get(entry);
+      if (bundle && !bundle.modules.some(isChanged)) {
+        bundles.set(entry, bundle);
+      } else {
+        const rebundled = await bundleModules(projectDir, entry, { cache: moduleCache, transformSource: buildEnv.replace });
+        rebundled.warnings.forEach(warning => warnings.add(warning));
+        bundles.set(entry, rebundled);
+      }
+    }
+  }
+
+  // Modules referenced other than by an import from another module are
+  // still copied
+  const referencedOtherwise = new Set();
+  for (const [from, node] of graph.files) {
+    for (const reference of node.references) {
+      if (reference.kind !== 'import' || !/\.m?js$/i.test(from)) {
+        referencedOtherwise.add(reference.path);
+      }
+    }
+  }
+
+  const modules = new Set();
+  for (const [entry, bundle] of bundles) {
+    bundle.leftOut = bundle.modules.filter(module => module !== entry && graph.files.has(module) &&
+      !bundles.has(module) && !referencedOtherwise.has(module));
+    bundle.modules.forEach(module => modules.add(module));
+  }
+
+  spinner.succeed(`Modules bundled (${bundles.size} entry script(s), ${modules.size} modules)`);
+  for (const warning of warnings) {
+    console.log(chalk.yellow(`  Warning: ${warning}`));
+  }
+
+  return bundles;
 }
 
 /**
- * Minify CSS (basic)
+ * Append a source map to minified code as a data URL
  */
-function minifyCss(content) {
-  return content
-    .replace(/\/\*[\s\S]*?\*\//g, '')  // Remove comments
-    .replace(/\s+/g, ' ')              // Collapse whitespace
-    .replace(/\s*([{:;,}])\s*/g, '$1') // Remove space around special chars
-    .replace(/;}/g, '}')               // Remove last semicolon
-    .trim();
+function inlineSourceMap({ code, map }, type) {
+  if (!map) return code;
+
+  // The bundle puts inlined code on the line after the opening tag
+  const bundleMap = { ...map, mappings: `;${map.mappings}` };
+  return `${code}\n${getSourceMapComment(toDataUrl(bundleMap), type)}`;
 }
 
 /**
- * Minify JavaScript (basic - removes comments and excess whitespace)
+ * Convert a relative path to a forward-slash URL path
  */
-function minifyJs(content) {
-  // Remove single-line comments (but not in strings)
-  let result = content.replace(/\/\/(?![^\n]*['"`]).*$/gm, '');
+function toUrlPath(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
 
-  // Remove multi-line comments
-  result = result.replace(/\/\*[\s\S]*?\*\//g, '');
+/**
+ * Rename the referenced files of a build to content-hashed names and write
+ * asset-manifest.json
+ *
+ * keep lists the files that must keep their names, like those the
+ * manifest points at. Returns a Map of original name to hashed name.
+ */
+async function hashFileNames(outputDir, files, keep, spinner) {
+  spinner.start('Hashing file names...');
+  const renamed = await hashOutputFiles(outputDir, files, keep);
+  await writeAssetManifest(outputDir, renamed);
+  spinner.succeed(`File names hashed (${renamed.size} files)`);
+  console.log(chalk.gray(`  Asset manifest: ${ASSET_MANIFEST_FILE}`));
+
+  return renamed;
+}
 
-  // Collapse multiple newlines
-  result = result.replace(/\n{2,}/g, '\n');
+/**
+ * Check the output against the size budgets and write the --report files
+ *
+ * build holds { budgets, outputs, manifest, mode, date, rebuild }, with outputs a
+ * list of { file, sources } for every file in the build. Exceeded budgets
+ * set a failing exit code. Returns whether the build is within budgets.
+ */
+async function checkSizes(projectDir, outputDir, options, spinner, build) {
+  const reportFiles = !options.report ? []
+    : options.report === true ? DEFAULT_REPORT_FILES.map(file => path.join(outputDir, file))
+    : [path.resolve(projectDir, options.report)];
+  if (Object.keys(build.budgets).length === 0 && reportFiles.length === 0) return true;
+
+  spinner.start('Measuring output...');
+  const files = await measureOutputs(projectDir, outputDir, build.outputs, { compress: reportFiles.length > 0 });
+  const results = checkBudgets(files, build.budgets);
+  const exceeded = results.filter(result => result.exceeded);
+
+  if (exceeded.length > 0) {
+    spinner.fail(`Size budgets exceeded (${exceeded.length} of ${results.length})`);
+    for (const result of exceeded) {
+      const what = result.file || (result.budget === 'maxBundleSize' ? 'HTML, CSS and JS' : 'total');
+      console.log(chalk.red(`  Error: ${result.budget} exceeded by ${what}: ${formatFileSize(result.size)} > ${formatFileSize(result.limit)}`));
+    }
+    process.exitCode = 1;
+  } else if (results.length > 0) {
+    spinner.succeed(`Size budgets met (${results.length} checked)`);
+  } else {
+    spinner.succeed('Output measured');
+  }
 
-  // Remove leading whitespace from lines
-  result = result.replace(/^\s+/gm, '');
+  const report = createReport(files, results, { manifest: build.manifest, mode: build.mode, bundle: options.bundle, date: build.date });
+  for (const file of reportFiles) {
+    await writeReport(report, file);
+  }
+  if (reportFiles.length > 0 && !build.rebuild) {
+    console.log(chalk.gray(`  Report: ${reportFiles.map(file => path.relative(projectDir, file)).join(', ')}`));
+  }
 
-  return result.trim();
+  return exceeded.length === 0;
 }
 
 /**
- * Calculate directory size
+ * Print the build mode and the files its environment was read from
  */
-async function calculateDirSize(dir) {
-  let size = 0;
-  const items = await fs.readdir(dir);
+function printMode(buildEnv) {
+  const files = buildEnv.files.length > 0 ? buildEnv.files.join(', ') : 'no .env or config files';
+  console.log(chalk.gray(`Mode: ${buildEnv.mode} (${files})`));
+}
 
-  for (const item of items) {
-    const fullPath = path.join(dir, item);
-    const stat = await fs.stat(fullPath);
+/**
+ * Print the date a build is stamped with, when it isn't simply now
+ */
+function printMetadata(metadata, options) {
+  if (options.reproducible || metadata.source === 'SOURCE_DATE_EPOCH') {
+    console.log(chalk.gray(`Build date: ${describeBuildMetadata(metadata)}`));
+  }
+}
 
-    if (stat.isDirectory()) {
-      size += await calculateDirSize(fullPath);
-    } else {
-      size += stat.size;
+/**
+ * Manifest fields recording when, and from which commit, a build was made
+ */
+function getBuildStamp(metadata) {
+  const stamp = { buildDate: metadata.date.toISOString() };
+  if (metadata.commit) stamp.buildCommit = metadata.commit;
+  return stamp;
+}
+
+/**
+ * Print warnings, leaving out the ones a watch build already printed for
+ * the same step
+ */
+function printWarnings(warnings, cache, step) {
+  const previous = cache ? cache.warnings.get(step) || [] : [];
+  for (const warning of warnings) {
+    if (!previous.includes(warning)) {
+      console.log(chalk.yellow(`  Warning: ${warning}`));
     }
   }
 
-  return size;
+  if (cache) cache.warnings.set(step, warnings);
 }
 
 /**
- * Format file size
+ * Get the list of warnings a watch build printed last for a step, for the
+ * step to update; null outside watch mode
  */
-function formatSize(bytes) {
-  if (bytes < 1024) return `${bytes} B`;
-  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(2)} KB`;
-  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+function getShownWarnings(cache, step) {
+  if (!cache) return null;
+  if (!cache.warnings.has(step)) cache.warnings.set(step, []);
+  return cache.warnings.get(step);
+}
+
+/**
+ * Print missing and out-of-project references found while resolving
+ */
+function printGraphWarnings(graph, cache) {
+  printWarnings([
+    ...graph.missing.map(({ path: missingPath, from }) => `${missingPath} is referenced by ${from} but does not exist`),
+    ...graph.outside.map(({ reference, from }) => `${reference} is referenced by ${from} but is outside the plugin directory`)
+  ], cache, 'graph');
+}
+
+/**
+ * List HTML, CSS and JS files that were left out of the build
+ */
+async function reportLeftOut(projectDir, outputDir, graph, entryPoint) {
+  const excludeDirs = ['node_modules', 'dist', '.git', path.basename(outputDir)];
+  const codeFiles = await findFilesByExtension(projectDir, ['.html', '.htm', '.css', '.js', '.mjs'], excludeDirs);
+  const leftOut = codeFiles
+    .map(file => path.relative(projectDir, file).split(path.sep).join('/'))
+    .filter(file => !graph.files.has(file) && !ASSET_DIRS.some(dir => file.startsWith(`${dir}/`)))
+    .sort();
+
+  if (leftOut.length === 0) return;
+
+  console.log(chalk.gray(`  Left out ${leftOut.length} file(s) not referenced from ${entryPoint}:`));
+  for (const file of leftOut) {
+    console.log(chalk.gray(`    ${file}`));
+  }
+}
+
+/**
+ * Calculate the size of the build outputs, the files size budgets count
+ * (source maps and reports aren't among them)
+ */
+async function calculateOutputSize(outputDir, outputs) {
+  let size = 0;
+  for (const { file } of outputs) {
+    size += (await fs.stat(path.join(outputDir, file))).size;
+  }
+  return size;
 }
 
 /**
  * Build bundled single HTML file
  * Creates a single HTML file with all CSS and JS inlined
  */
-async function buildBundled(projectDir, outputDir, options) {
-  const spinner = ora();
-
-  console.log(chalk.cyan('\nBuilding bundled plugin...\n'));
+async function buildBundled(projectDir, outputDir, options, spinner, cache) {
+  const rebuild = Boolean(cache && cache.built);
+  if (!rebuild) {
+    console.log(chalk.cyan('\nBuilding bundled plugin...\n'));
+  }
 
   // Check if manifest exists
   const manifestPath = path.join(projectDir, 'manifest.json');
   if (!await fs.pathExists(manifestPath)) {
     console.log(chalk.red('Error: manifest.json not found. Are you in a plugin directory?'));
-    return;
+    return null;
   }
 
   // Read manifest
   const manifest = await fs.readJson(manifestPath);
-  console.log(chalk.gray(`Plugin: ${manifest.name} v${manifest.version}`));
-  console.log(chalk.gray(`Plugin ID: ${manifest.id}\n`));
+  if (!rebuild) {
+    console.log(chalk.gray(`Plugin: ${manifest.name} v${manifest.version}`));
+    console.log(chalk.gray(`Plugin ID: ${manifest.id}\n`));
+  }
+
+  // Validate project
+  if (options.validate !== false && !await runProjectValidation(projectDir, manifest, spinner, getShownWarnings(cache, 'validate'))) {
+    process.exitCode = 1;
+    return null;
+  }
+
+  // Variables and defines inlined into HTML, CSS and JS
+  const buildEnv = await loadBuildEnv(projectDir, options.mode);
+  const metadata = await loadBuildMetadata(projectDir, options.reproducible);
+  if (!rebuild) {
+    printMode(buildEnv);
+    printMetadata(metadata, options);
+  }
+  const budgets = loadBudgets(manifest, await loadBuildConfig(projectDir));
+
+  const inlineLimit = parseFileSize(options.inlineLimit);
+  if (inlineLimit === null) {
+    console.log(chalk.red(`Error: Invalid --inline-limit: ${options.inlineLimit}`));
+    process.exitCode = 1;
+    return null;
+  }
 
   // Ensure output directory exists
   await fs.ensureDir(outputDir);
@@ -273,83 +720,144 @@ async function buildBundled(projectDir, outputDir, options) {
   const htmlPath = path.join(projectDir, manifest.entryPoint || 'index.html');
   if (!await fs.pathExists(htmlPath)) {
     spinner.fail('No index.html found');
-    return;
+    return null;
   }
 
-  let htmlContent = await fs.readFile(htmlPath, 'utf8');
+  const htmlContent = await fs.readFile(htmlPath, 'utf8');
 
-  // Collect all CSS content
-  let allCss = '';
-  const cssFiles = await findFiles(projectDir, '.css');
-  for (const cssFile of cssFiles) {
-    const relativePath = path.relative(projectDir, cssFile);
-    if (relativePath.startsWith('dist') || relativePath.startsWith('node_modules')) continue;
-    const cssContent = await fs.readFile(cssFile, 'utf8');
-    allCss += `/* ${relativePath} */\n${cssContent}\n\n`;
-  }
+  // Resolve files reachable from the entry point
+  const entryPoint = manifest.entryPoint || 'index.html';
+  const graph = await buildDependencyGraph(projectDir, [entryPoint]);
 
-  // Collect all JS content (including lib folder)
-  let allJs = '';
+  spinner.succeed(`Source files read (${graph.files.size} files)`);
+  printGraphWarnings(graph, cache);
 
-  // First add lib files (like pos-sdk.js)
-  const libDir = path.join(projectDir, 'lib');
-  if (await fs.pathExists(libDir)) {
-    const libFiles = await fs.readdir(libDir);
-    for (const file of libFiles) {
-      if (file.endsWith('.js')) {
-        const jsContent = await fs.readFile(path.join(libDir, file), 'utf8');
-        allJs += `/* lib/${file} */\n${jsContent}\n\n`;
-      }
-    }
-  }
+  // A rebuild only goes ahead when one of the files the bundle is made of
+  // changed
+  const iconFile = typeof manifest.icon === 'string' ? resolveReference('', manifest.icon) : null;
+  const iconExists = Boolean(iconFile) && !iconFile.startsWith('../') && await fs.pathExists(path.join(projectDir, iconFile));
+  const changed = cache
+    ? await cache.update(projectDir, [...new Set(['manifest.json', ...buildEnv.files, ...graph.files.keys(), ...(iconExists ? [iconFile] : [])])])
+    : null;
+  const isChanged = file => !rebuild || changed.has(file);
+  if (rebuild && changed.size === 0) return [];
 
-  // Then add main JS files
-  const jsFiles = await findFiles(projectDir, '.js');
-  for (const jsFile of jsFiles) {
-    const relativePath = path.relative(projectDir, jsFile);
-    if (relativePath.startsWith('dist') || relativePath.startsWith('node_modules') || relativePath.startsWith('lib')) continue;
-    const jsContent = await fs.readFile(jsFile, 'utf8');
-    allJs += `/* ${relativePath} */\n${jsContent}\n\n`;
+  if (!rebuild) {
+    await reportLeftOut(projectDir, outputDir, graph, entryPoint);
   }
 
-  spinner.succeed('Source files read');
-
-  // Build the bundled HTML
+  // Build the bundled HTML, inlining scripts and stylesheets where they are
+  // referenced. The markup is minified first and inlined files on their own.
   spinner.start('Creating bundled HTML...');
 
-  // Minify if requested
-  if (options.minify) {
-    allCss = minifyCss(allCss);
-    allJs = minifyJs(allJs);
+  const minifyOptions = { mangle: options.mangle !== false };
+  const outputFileName = `${manifest.id}.html`;
+  const assets = createAssetResolver(projectDir, { inline: Boolean(options.inlineAssets), limit: inlineLimit });
+
+  // Inlined files get inline source maps pointing back at the originals,
+  // bundled module scripts at each module
+  let transformJs = options.minify ? code => minifyJs(code, minifyOptions) : null;
+  let transformCss = options.minify ? minifyCss : null;
+  if (options.minify && options.sourceMaps !== false) {
+    const sourceName = file => toUrlPath(path.relative(outputDir, path.join(projectDir, file)));
+    const mapOptions = (file, modules) => (modules ? {
+      sources: modules.sources.map(({ source, content }) => ({ source: sourceName(source), content })),
+      mapOffset: modules.mapOffset,
+      file: outputFileName
+    } : {
+      source: sourceName(file),
+      file: outputFileName
+    });
+    transformJs = (code, file, modules) => inlineSourceMap(minifyJsWithSourceMap(code, { ...minifyOptions, ...mapOptions(file, modules) }), 'js');
+    transformCss = (css, file) => inlineSourceMap(minifyCssWithSourceMap(css, mapOptions(file)), 'css');
   }
 
-  // Remove existing link and script tags
-  htmlContent = htmlContent.replace(/<link[^>]*rel="stylesheet"[^>]*>/gi, '');
-  htmlContent = htmlContent.replace(/<script[^>]*src="[^"]*"[^>]*><\/script>/gi, '');
-
-  // Create bundled HTML with inline styles and scripts
-  const bundledHtml = htmlContent
-    .replace('</head>', `<style>\n${allCss}\n</style>\n</head>`)
-    .replace('</body>', `<script>\n${allJs}\n</script>\n</body>`);
+  // Watch mode only minifies scripts and stylesheets that changed
+  if (cache && options.minify) {
+    const minifyScript = transformJs;
+    const minifyStylesheet = transformCss;
+    transformJs = (code, file, modules) => cache.reuse(`js:${file}:${sha256(code)}`, () => minifyScript(code, file, modules));
+    transformCss = (css, file) => cache.reuse(`css:${file}:${sha256(css)}`, () => minifyStylesheet(css, file));
+  }
 
-  // Minify HTML if requested
-  const finalHtml = options.minify ? minifyHtml(bundledHtml) : bundledHtml;
+  const html = buildEnv.replace(htmlContent, entryPoint);
+  const bundle = await bundleHtml(projectDir, entryPoint, options.minify ? minifyHtml(html, minifyOptions) : html, {
+    transformSource: buildEnv.replace,
+    transformJs,
+    transformCss,
+    assets,
+    moduleCache: cache && cache.modules
+  });
 
   // Write bundled file
-  const outputFileName = `${manifest.id}.html`;
   const outputPath = path.join(outputDir, outputFileName);
-  await fs.writeFile(outputPath, finalHtml);
+  await fs.writeFile(outputPath, bundle.html);
+  const updated = [outputFileName];
 
   spinner.succeed('Bundled HTML created');
 
+  // Bundle manifest, pointing at the bundle and with the icon resolved
+  // like any other asset
+  const { $schema, budgets: manifestBudgets, ...manifestFields } = manifest;
+  const bundleManifest = {
+    ...manifestFields,
+    entryPoint: outputFileName,
+    ...getBuildStamp(metadata),
+    buildMode: 'bundle'
+  };
+  if (iconExists) {
+    bundleManifest.icon = await assets.url(iconFile);
+  }
+  if (isChanged('manifest.json') || (iconExists && isChanged(iconFile))) {
+    await fs.writeJson(path.join(outputDir, 'manifest.json'), bundleManifest, { spaces: 2 });
+    updated.push('manifest.json');
+  }
+
+  // Copy assets that weren't inlined next to the bundle
+  for (const file of [...assets.copied].filter(isChanged)) {
+    await fs.copy(path.join(projectDir, file), path.join(outputDir, file));
+    updated.push(file);
+  }
+
+  if (options.inlineAssets && !rebuild) {
+    console.log(chalk.gray(`  Assets inlined: ${assets.inlined.size}, copied: ${assets.copied.size}`));
+  }
+  printWarnings([...bundle.warnings, ...assets.warnings], cache, 'bundle');
+  printWarnings(buildEnv.warnings, cache, 'env');
+
+  if (cache) cache.finish();
+
+  // Give the assets copied next to the bundle content-hashed names
+  const renamed = options.hash
+    ? await hashFileNames(outputDir, [outputFileName, 'manifest.json', ...assets.copied], getManifestReferences(bundleManifest), spinner)
+    : new Map();
+
+  const outputs = [
+    { file: outputFileName, sources: [...graph.files.keys()].filter(file => !assets.copied.has(file)) },
+    { file: 'manifest.json', sources: ['manifest.json', ...(assets.inlined.has(iconFile) ? [iconFile] : [])] },
+    ...[...assets.copied].map(file => ({ file: renamed.get(file) || file, sources: [file] }))
+  ];
+  const withinBudgets = await checkSizes(projectDir, outputDir, options, spinner, { budgets, outputs, manifest, mode: buildEnv.mode, date: metadata.date, rebuild });
+  if (rebuild) return updated;
+
   // Calculate file size
   const stats = await fs.stat(outputPath);
 
   // Success message
-  console.log(chalk.green(`\n✓ Bundle completed successfully!`));
+  if (withinBudgets) {
+    console.log(chalk.green(`\n✓ Bundle completed successfully!`));
+  } else {
+    console.log(chalk.red(`\n✗ Bundle exceeds its size budgets`));
+  }
   console.log(chalk.gray(`  Output: ${outputPath}`));
-  console.log(chalk.gray(`  Size: ${formatSize(stats.size)}`));
-  console.log(chalk.cyan(`\nThe bundled file can be loaded directly in WebView.\n`));
+  console.log(chalk.gray(`  Size: ${formatFileSize(stats.size)}`));
+  if (assets.copied.size === 0) {
+    console.log(chalk.cyan(`\nThe bundled file can be loaded directly in WebView.\n`));
+  } else {
+    console.log(chalk.cyan(`\nThe bundled file can be loaded in WebView together with the ${assets.copied.size} asset file(s) copied next to it.\n`));
+  }
+
+  return updated;
 }
 
 module.exports = buildCommand;
@@ -8,23 +8,27 @@ const path = require('path');
 const chalk = require('chalk');
 const ora = require('ora');
 const inquirer = require('inquirer');
+const { generateJsonSchema, JSON_SCHEMA_FILE } = require('../utils/manifest-schema');
 
 // Template configurations
 const templates = {
   basic: {
     name: 'Basic Plugin',
     description: 'A simple plugin with basic structure',
-    files: ['index.html', 'styles.css', 'main.js', 'manifest.json']
+    files: ['index.html', 'styles.css', 'main.js', 'manifest.json'],
+    permissions: ['orders', 'notifications']
   },
   payment: {
     name: 'Payment Integration',
     description: 'Plugin template for payment gateway integration',
-    files: ['index.html', 'styles.css', 'main.js', 'payment-handler.js', 'manifest.json']
+    files: ['index.html', 'styles.css', 'main.js', 'payment-handler.js', 'manifest.json'],
+    permissions: ['orders', 'payments', 'notifications']
   },
   report: {
     name: 'Report Plugin',
     description: 'Plugin template for custom reports',
-    files: ['index.html', 'styles.css', 'main.js', 'report-generator.js', 'manifest.json']
+    files: ['index.html', 'styles.css', 'main.js', 'report-generator.js', 'manifest.json'],
+    permissions: ['orders', 'reports', 'notifications']
   }
 };
 
@@ -81,6 +85,7 @@ async function createCommand(pluginName, options) {
     // Create manifest.json
     spinner.start('Creating manifest...');
     const manifest = {
+      $schema: `./${JSON_SCHEMA_FILE}`,
       name: pluginName,
       id: sanitizedName,
       version: '1.0.0',
@@ -88,12 +93,13 @@ async function createCommand(pluginName, options) {
       author: '',
       homepage: '',
       minPosVersion: '1.0.0',
-      permissions: [],
+      permissions: templates[template] ? [...templates[template].permissions] : [],
       entryPoint: 'index.html',
       icon: 'assets/icons/plugin-icon.png',
       template: template
     };
     await fs.writeJson(path.join(targetDir, 'manifest.json'), manifest, { spaces: 2 });
+    await fs.writeJson(path.join(targetDir, JSON_SCHEMA_FILE), generateJsonSchema(), { spaces: 2 });
     spinner.succeed('Manifest created');
 
     // Create index.html
@@ -667,7 +673,7 @@ const POS_SDK = {
           })
           .catch(reject);
       } else {
-        // Development mode - return mock data
+        // Development mode - return mock data from the dev server
         console.log('[POS_SDK] Mock call:', method, params);
         resolve(this._getMockData(method, params));
       }
@@ -697,129 +703,24 @@ const POS_SDK = {
 
   /**
    * Get mock data for development
+   *
+   * Asks the dev server (cpos-plugin serve), which answers from the
+   * project's mocks/ folder or built-in sample data. Resolves to null when
+   * the page isn't served by it.
    */
   _getMockData(method, params) {
-    const mockData = {
-      getPluginInfo: {
-        id: 'dev-plugin',
-        name: 'Development Plugin',
-        version: '1.0.0'
-      },
-      getCurrentOrder: {
-        orderNumber: 'ORD-001',
-        items: [],
-        total: 0,
-        status: 'pending'
-      },
-      getCart: {
-        items: [],
-        subtotal: 0,
-        tax: 0,
-        total: 0
-      },
-      getCustomer: null,
-      getSettings: {},
-      getDailySummary: {
-        success: true,
-        data: {
-          totalSales: 12500,
-          totalOrders: 15,
-          avgOrder: 833,
-          itemsSold: 42,
-          hourlyData: [
-            { hour: 9, label: '9AM', sales: 1500, orders: 2 },
-            { hour: 10, label: '10AM', sales: 2200, orders: 3 },
-            { hour: 11, label: '11AM', sales: 1800, orders: 2 },
-            { hour: 12, label: '12PM', sales: 2500, orders: 4 },
-            { hour: 13, label: '1PM', sales: 1500, orders: 2 },
-            { hour: 14, label: '2PM', sales: 3000, orders: 2 }
-          ],
-          paymentMethods: [
-            { name: 'Cash', icon: '💵', type: 'cash', amount: 5000, count: 6, percent: 40 },
-            { name: 'Card', icon: '💳', type: 'card', amount: 4000, count: 5, percent: 32 },
-            { name: 'UPI', icon: '📱', type: 'upi', amount: 2500, count: 3, percent: 20 },
-            { name: 'Other', icon: '🔄', type: 'other', amount: 1000, count: 1, percent: 8 }
-          ],
-          topProducts: [
-            { name: 'Product A', qty: 12, revenue: 3600 },
-            { name: 'Product B', qty: 8, revenue: 2400 },
-            { name: 'Product C', qty: 10, revenue: 2000 },
-            { name: 'Product D', qty: 6, revenue: 1800 },
-            { name: 'Product E', qty: 6, revenue: 1200 }
-          ],
-          recentOrders: [
-            { id: 'ORD-015', time: '2:45 PM', amount: 850, status: 'completed' },
-            { id: 'ORD-014', time: '2:20 PM', amount: 1200, status: 'completed' },
-            { id: 'ORD-013', time: '1:55 PM', amount: 650, status: 'completed' }
-          ],
-          cashDrawer: 5000,
-          taxCollected: 1125,
-          discounts: 350
-        }
-      },
-      getWeeklySummary: {
-        success: true,
-        data: {
-          totalSales: 87500,
-          totalOrders: 105,
-          avgOrder: 833,
-          lastWeekSales: 75000,
-          lastWeekOrders: 90,
-          percentageChange: 16.67,
-          isPositive: true,
-          dailyData: [
-            { date: '2024-01-15', dayName: 'Monday', orderCount: 15, total: 12500 },
-            { date: '2024-01-16', dayName: 'Tuesday', orderCount: 18, total: 15000 },
-            { date: '2024-01-17', dayName: 'Wednesday', orderCount: 12, total: 10000 }
-          ]
-        }
-      },
-      getMonthlySummary: {
-        success: true,
-        data: {
-          totalSales: 350000,
-          totalOrders: 420,
-          avgOrder: 833,
-          lastMonthSales: 320000,
-          lastMonthOrders: 385,
-          percentageChange: 9.38,
-          isPositive: true,
-          dailyData: []
-        }
-      },
-      getStockSummary: {
-        success: true,
-        data: {
-          totalProducts: 150,
-          lowStockCount: 12,
-          outOfStockCount: 3,
-          totalStockValue: 250000,
-          totalQuantity: 5000,
-          lowStockProducts: [
-            { productCode: 'P001', productName: 'Product A', currentStock: 5, lowStockThreshold: 10 },
-            { productCode: 'P002', productName: 'Product B', currentStock: 3, lowStockThreshold: 10 }
-          ]
-        }
-      },
-      getTopProducts: {
-        success: true,
-        data: [
-          { productCode: 'P001', productName: 'Product A', quantitySold: 150, totalRevenue: 45000, averagePrice: 300 },
-          { productCode: 'P002', productName: 'Product B', quantitySold: 120, totalRevenue: 36000, averagePrice: 300 },
-          { productCode: 'P003', productName: 'Product C', quantitySold: 100, totalRevenue: 25000, averagePrice: 250 }
-        ]
-      },
-      getOrders: {
-        success: true,
-        data: [
-          { id: 1, code: 'ORD001', orderNo: 'ORD-001', customerName: 'John Doe', total: 1500, status: 1, addedDate: '2024-01-15T10:30:00' },
-          { id: 2, code: 'ORD002', orderNo: 'ORD-002', customerName: 'Jane Smith', total: 2500, status: 1, addedDate: '2024-01-15T11:45:00' }
-        ],
-        total: 2
-      }
-    };
+    if (typeof fetch !== 'function') {
+      return Promise.resolve(null);
+    }
 
-    return mockData[method] || null;
+    return fetch('/__pos/call', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ method, params: params || {} })
+    })
+      .then(response => (response.ok ? response.json() : {}))
+      .then(body => (body.result === undefined ? null : body.result))
+      .catch(() => null);
   },
 
   // ==================== API Methods ====================
@@ -1604,6 +1505,7 @@ ${pluginName}/
 ├── styles.css          # Plugin styles
 ├── main.js             # Main JavaScript file
 ├── manifest.json       # Plugin manifest
+├── manifest.schema.json # Manifest JSON Schema (editor support)
 ├── assets/             # Static assets
 │   ├── images/
 │   └── icons/
@@ -1634,6 +1536,21 @@ POS_SDK.on('orderUpdated', (order) => {
 });
 \`\`\`
 
+## Mock Data
+
+\`cpos-plugin serve\` answers SDK calls during development. To change what a
+method returns, add \`mocks/<method>.json\` with the result, or
+\`mocks/<method>.js\` exporting the result or a function of the call params:
+
+\`\`\`javascript
+// mocks/getOrders.js
+module.exports = (params) => ({
+  success: true,
+  data: [{ id: 1, orderNo: 'ORD-001', total: 1500, status: 1 }].slice(0, params.limit),
+  total: 1
+});
+\`\`\`
+
 ## Available SDK Methods
 
 - \`POS_SDK.ready()\` - Wait for SDK initialization
@@ -1662,6 +1579,9 @@ POS_SDK.on('orderUpdated', (order) => {
 
 - \`orderUpdated\` - Fired when order is updated
 - \`cartChanged\` - Fired when cart changes
+- \`cartUpdated\` - Fired with the cart after each change
+- \`orderCreated\` - Fired when the first item added starts an order
+- \`orderCompleted\` - Fired when an order is paid and completed
 - \`customerChanged\` - Fired when customer changes
 - \`posEvent\` - General POS events
 - \`permissionDenied\` - Fired when a data request is denied due to missing permission
@@ -0,0 +1,220 @@
+/**
+ * Inspect Command
+ * Shows what is inside a built .cposplugin package
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { readZip, readZipEntry, findZipEntry, isUnsafeEntryName } = require('../utils/zip-reader');
+const { getPermissionDescriptions } = require('../utils/manifest-schema');
+const { readSignature } = require('../utils/package-signing');
+const { formatFileSize } = require('../utils/helpers');
+
+/**
+ * Inspect a plugin package
+ */
+async function inspectCommand(file, options) {
+  const packagePath = path.resolve(process.cwd(), file);
+
+  try {
+    if (!await fs.pathExists(packagePath)) {
+      throw new Error(`Package not found: ${file}`);
+    }
+
+    const report = await inspectPackage(packagePath);
+
+    if (options.json) {
+      process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+      return;
+    }
+
+    printReport(report);
+
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Read a package and collect everything worth showing about it
+ */
+async function inspectPackage(packagePath) {
+  const stats = await fs.stat(packagePath);
+  const zip = await readZip(packagePath);
+  const warnings = [];
+
+  // Manifest
+  let manifest = null;
+  const manifestEntry = findZipEntry(zip, 'manifest.json');
+  if (manifestEntry) {
+    try {
+      manifest = JSON.parse(readZipEntry(zip, manifestEntry).toString('utf8'));
+    } catch (error) {
+      warnings.push(`manifest.json could not be read: ${error.message}`);
+    }
+  } else {
+    warnings.push('Package has no manifest.json');
+  }
+
+  // Permissions
+  const descriptions = getPermissionDescriptions();
+  const permissions = manifest && Array.isArray(manifest.permissions) ?
+    manifest.permissions.map(name => ({ name, description: descriptions[name] || 'Unknown permission' })) :
+    [];
+
+  // Files
+  const files = zip.entries
+    .filter(entry => !entry.isDirectory)
+    .map(entry => ({ name: entry.name, size: entry.size, compressedSize: entry.compressedSize }));
+
+  for (const entry of zip.entries) {
+    if (isUnsafeEntryName(entry.name)) {
+      warnings.push(`Entry escapes the package root: ${entry.name}`);
+    }
+  }
+
+  if (manifest && manifest.entryPoint && !findZipEntry(zip, manifest.entryPoint.replace(/^\.\//, ''))) {
+    warnings.push(`Entry point not found in package: ${manifest.entryPoint}`);
+  }
+
+  // Signature (checked against a key with `cpos-plugin verify`)
+  let signature = { signed: false, keyFingerprint: null };
+  try {
+    const document = readSignature(zip);
+    if (document) {
+      signature = { signed: true, keyFingerprint: document.keyFingerprint };
+    }
+  } catch (error) {
+    warnings.push(`SIGNATURE could not be read: ${error.message}`);
+  }
+
+  // Sidecar package info written next to the package
+  const infoPath = packagePath.replace(/\.cposplugin$/, '.json');
+  let packageInfo = null;
+  if (infoPath !== packagePath && await fs.pathExists(infoPath)) {
+    try {
+      packageInfo = await fs.readJson(infoPath);
+    } catch (error) {
+      warnings.push(`${path.basename(infoPath)} could not be read: ${error.message}`);
+    }
+  }
+
+  if (packageInfo && manifest) {
+    if (packageInfo.id !== manifest.id || packageInfo.version !== manifest.version) {
+      warnings.push(`${path.basename(infoPath)} describes ${packageInfo.id} v${packageInfo.version}, package contains ${manifest.id} v${manifest.version}`);
+    }
+  }
+  if (packageInfo && packageInfo.packageSize !== undefined && packageInfo.packageSize !== stats.size) {
+    warnings.push(`${path.basename(infoPath)} records a package size of ${packageInfo.packageSize} bytes, file is ${stats.size} bytes`);
+  }
+
+  return {
+    file: path.basename(packagePath),
+    packageSize: stats.size,
+    manifest,
+    permissions,
+    files,
+    totalSize: files.reduce((sum, entry) => sum + entry.size, 0),
+    totalCompressedSize: files.reduce((sum, entry) => sum + entry.compressedSize, 0),
+    signature,
+    packageInfo,
+    warnings
+  };
+}
+
+/**
+ * Print an inspection report
+ */
+function printReport(report) {
+  const { manifest } = report;
+
+  console.log(chalk.cyan(`\nPackage: ${chalk.bold(report.file)}\n`));
+
+  if (manifest) {
+    console.log(chalk.cyan('Manifest:'));
+    console.log(chalk.gray(`  Name:          ${manifest.name}`));
+    console.log(chalk.gray(`  ID:            ${manifest.id}`));
+    console.log(chalk.gray(`  Version:       ${manifest.version}`));
+    if (manifest.author) console.log(chalk.gray(`  Author:        ${manifest.author}`));
+    if (manifest.description) console.log(chalk.gray(`  Description:   ${manifest.description}`));
+    if (manifest.category) console.log(chalk.gray(`  Category:      ${manifest.category}`));
+    console.log(chalk.gray(`  Entry point:   ${manifest.entryPoint || 'index.html'}`));
+    console.log(chalk.gray(`  Min POS:       ${manifest.minPosVersion || '1.0.0'}`));
+    if (manifest.buildDate) console.log(chalk.gray(`  Built:         ${manifest.buildDate}`));
+    console.log();
+  }
+
+  console.log(chalk.cyan('Permissions:'));
+  if (report.permissions.length === 0) {
+    console.log(chalk.gray('  (none)'));
+  }
+  for (const permission of report.permissions) {
+    console.log(chalk.gray(`  ${permission.name.padEnd(14)} ${permission.description}`));
+  }
+  console.log();
+
+  console.log(chalk.cyan('Files:'));
+  printTree(buildTree(report.files), '  ');
+  console.log(chalk.gray(`\n  ${report.files.length} files, ${formatFileSize(report.totalSize)} uncompressed`));
+  console.log(chalk.gray(`  Package size: ${formatFileSize(report.packageSize)}`));
+  console.log(chalk.gray(`  Signed: ${report.signature.signed ? `yes (${report.signature.keyFingerprint})` : 'no'}\n`));
+
+  if (report.packageInfo) {
+    console.log(chalk.cyan('Package info:'));
+    for (const [key, value] of Object.entries(report.packageInfo)) {
+      console.log(chalk.gray(`  ${`${key}:`.padEnd(15)}${value}`));
+    }
+    console.log();
+  }
+
+  for (const warning of report.warnings) {
+    console.log(chalk.yellow(`Warning: ${warning}`));
+  }
+  if (report.warnings.length > 0) {
+    console.log();
+  }
+}
+
+/**
+ * Build a nested tree from archive file names
+ */
+function buildTree(files) {
+  const root = { children: new Map() };
+
+  for (const file of files) {
+    let node = root;
+    const parts = file.name.split('/');
+
+    parts.forEach((part, index) => {
+      if (!node.children.has(part)) {
+        node.children.set(part, { children: new Map(), file: null });
+      }
+      node = node.children.get(part);
+      if (index === parts.length - 1) {
+        node.file = file;
+      }
+    });
+  }
+
+  return root;
+}
+
+/**
+ * Print a file tree
+ */
+function printTree(node, prefix) {
+  const names = [...node.children.keys()].sort();
+
+  names.forEach((name, index) => {
+    const child = node.children.get(name);
+    const isLast = index === names.length - 1;
+    const label = child.file ? `${name} (${formatFileSize(child.file.size)})` : `${name}/`;
+
+    console.log(chalk.gray(`${prefix}${isLast ? '└── ' : '├── '}${label}`));
+    printTree(child, `${prefix}${isLast ? '    ' : '│   '}`);
+  });
+}
+
+module.exports = inspectCommand;
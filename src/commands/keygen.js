@@ -0,0 +1,58 @@
+/**
+ * Keygen Command
+ * Creates an Ed25519 keypair for signing plugin packages
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const { generateKeyPair, getKeyFingerprint } = require('../utils/package-signing');
+
+/**
+ * Generate signing keypair
+ */
+async function keygenCommand(options) {
+  const baseName = path.resolve(process.cwd(), options.output || 'cposplugin');
+  const privateKeyPath = `${baseName}.key`;
+  const publicKeyPath = `${baseName}.pub`;
+
+  try {
+    // Never overwrite an existing key by accident
+    if (!options.force) {
+      for (const keyPath of [privateKeyPath, publicKeyPath]) {
+        if (await fs.pathExists(keyPath)) {
+          console.log(chalk.red(`Error: ${path.basename(keyPath)} already exists. Use --force to overwrite.`));
+          process.exitCode = 1;
+          return;
+        }
+      }
+    }
+
+    const { publicKey, privateKey } = generateKeyPair();
+
+    await fs.ensureDir(path.dirname(baseName));
+    await fs.writeFile(privateKeyPath, privateKey, { mode: 0o600 });
+    await fs.chmod(privateKeyPath, 0o600);
+    await fs.writeFile(publicKeyPath, publicKey);
+
+    const fingerprint = getKeyFingerprint(crypto.createPublicKey(publicKey));
+
+    console.log(chalk.green('\n✓ Signing keypair created'));
+    console.log(chalk.gray(`  Private key: ${privateKeyPath}`));
+    console.log(chalk.gray(`  Public key:  ${publicKeyPath}`));
+    console.log(chalk.gray(`  Fingerprint: ${fingerprint}`));
+
+    console.log(chalk.yellow('\nKeep the private key secret and out of version control.'));
+    console.log(chalk.cyan('\nSign a package:'));
+    console.log(chalk.gray(`  cpos-plugin package --sign ${path.relative(process.cwd(), privateKeyPath)}`));
+    console.log(chalk.cyan('Verify a package:'));
+    console.log(chalk.gray(`  cpos-plugin verify <file.cposplugin> --key ${path.relative(process.cwd(), publicKeyPath)}\n`));
+
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exitCode = 1;
+  }
+}
+
+module.exports = keygenCommand;
@@ -8,6 +8,21 @@ const path = require('path');
 const chalk = require('chalk');
 const ora = require('ora');
 const archiver = require('archiver');
+const { runProjectValidation } = require('../utils/project-validator');
+const { readZip, findZipEntry, verifyZipEntry, isUnsafeEntryName } = require('../utils/zip-reader');
+const { buildDependencyGraph, getManifestReferences } = require('../utils/dependency-graph');
+const { loadIgnoreRules } = require('../utils/ignore');
+const { SIGNATURE_ENTRY, loadPrivateKey, createSignature, getKeyFingerprint } = require('../utils/package-signing');
+const { stripSourceMapComments } = require('../utils/source-map');
+const { formatFileSize, listFiles } = require('../utils/helpers');
+const { DEFAULT_REPORT_FILES } = require('../utils/build-report');
+const { loadBuildMetadata, describeBuildMetadata } = require('../utils/build-metadata');
+
+// Files that can link to a source map
+const SOURCE_MAP_LINKING_PATTERN = /\.(js|mjs|css|html?)$/i;
+
+// Permissions every archive entry gets, whatever they are on disk
+const ENTRY_MODE = 0o644;
 
 /**
  * Package plugin for distribution
@@ -23,6 +38,7 @@ async function packageCommand(options) {
     const manifestPath = path.join(projectDir, 'manifest.json');
     if (!await fs.pathExists(manifestPath)) {
       console.log(chalk.red('Error: manifest.json not found. Are you in a plugin directory?'));
+      process.exitCode = 1;
       return;
     }
 
@@ -30,29 +46,50 @@ async function packageCommand(options) {
     const manifest = await fs.readJson(manifestPath);
     console.log(chalk.gray(`Plugin: ${manifest.name} v${manifest.version}`));
 
+    // Validate project
+    if (options.validate !== false && !await runProjectValidation(projectDir, manifest, spinner)) {
+      process.exitCode = 1;
+      return;
+    }
+
+    // Date the archive entries and package info are stamped with
+    const metadata = await loadBuildMetadata(projectDir, options.reproducible);
+    if (options.reproducible || metadata.source === 'SOURCE_DATE_EPOCH') {
+      console.log(chalk.gray(`Package date: ${describeBuildMetadata(metadata)}`));
+    }
+
     // Check if dist folder exists
     const distDir = path.join(projectDir, 'dist');
     let sourceDir = distDir;
 
     if (!await fs.pathExists(distDir)) {
+      if (options.fromBundle) {
+        console.log(chalk.red('Error: dist folder not found. Run `cpos-plugin build --bundle` first.'));
+        process.exitCode = 1;
+        return;
+      }
       console.log(chalk.yellow('Warning: dist folder not found. Packaging from source directory.'));
       console.log(chalk.gray('Run `cpos-plugin build` first for optimized package.\n'));
       sourceDir = projectDir;
     }
 
+    // A bundle build is packaged as the bundle, its manifest and what they
+    // reference
+    const bundleBuild = sourceDir === distDir ? await findBundleBuild(distDir, manifest, options.fromBundle) : null;
+    const packagedManifest = bundleBuild ? bundleBuild.manifest : manifest;
+    if (bundleBuild) {
+      console.log(chalk.gray(`Packaging bundle build: ${bundleBuild.manifest.entryPoint}`));
+    }
+
     // Validate required files
     spinner.start('Validating plugin files...');
-    const requiredFiles = ['index.html', 'manifest.json'];
+    const requiredFiles = [packagedManifest.entryPoint || 'index.html', 'manifest.json'];
     const missingFiles = [];
 
     for (const file of requiredFiles) {
-      const filePath = sourceDir === projectDir ?
-        path.join(sourceDir, file) :
-        path.join(sourceDir, file);
-
-      if (!await fs.pathExists(filePath)) {
-        // Check project root if not in dist
-        if (sourceDir !== projectDir && await fs.pathExists(path.join(projectDir, file))) {
+      if (!await fs.pathExists(path.join(sourceDir, file))) {
+        // The project manifest is used if the build didn't write one
+        if (file === 'manifest.json' && (bundleBuild || await fs.pathExists(path.join(projectDir, file)))) {
           continue;
         }
         missingFiles.push(file);
@@ -62,6 +99,10 @@ async function packageCommand(options) {
     if (missingFiles.length > 0) {
       spinner.fail('Validation failed');
       console.log(chalk.red(`Missing required files: ${missingFiles.join(', ')}`));
+      if (bundleBuild && missingFiles.includes(packagedManifest.entryPoint)) {
+        console.log(chalk.gray('Run `cpos-plugin build --bundle` first.'));
+      }
+      process.exitCode = 1;
       return;
     }
     spinner.succeed('Plugin files validated');
@@ -77,6 +118,43 @@ async function packageCommand(options) {
       await fs.remove(outputPath);
     }
 
+    // Collect package files, in name order so the archive doesn't depend on
+    // the order the file system lists them in
+    let files = bundleBuild
+      ? await collectBundleFiles(distDir, projectDir, packagedManifest)
+      : await collectPackageFiles(sourceDir, projectDir, sourceDir === distDir, manifest);
+    files.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    for (const file of files) {
+      if (!file.content) file.content = await fs.readFile(file.path);
+    }
+
+    // Leave source maps out, along with the comments pointing at them
+    if (options.stripSourcemaps) {
+      const mapCount = files.filter(file => /\.map$/i.test(file.name)).length;
+      files = files.filter(file => !/\.map$/i.test(file.name));
+      for (const file of files) {
+        if (!SOURCE_MAP_LINKING_PATTERN.test(file.name)) continue;
+
+        const content = file.content.toString('utf8');
+        const stripped = stripSourceMapComments(content);
+        if (stripped !== content) {
+          file.content = Buffer.from(stripped);
+        }
+      }
+      console.log(chalk.gray(`Source maps stripped (${mapCount} map file(s) left out)`));
+    }
+
+    // Sign the file list if requested
+    let signature = null;
+    let keyFingerprint = null;
+    if (options.sign) {
+      spinner.start('Signing plugin package...');
+      const privateKey = await loadPrivateKey(path.resolve(projectDir, options.sign));
+      signature = createSignature(files, privateKey);
+      keyFingerprint = getKeyFingerprint(privateKey);
+      spinner.succeed(`Plugin package signed (${keyFingerprint})`);
+    }
+
     // Create package
     spinner.start('Creating plugin package...');
 
@@ -96,47 +174,14 @@ async function packageCommand(options) {
 
       archive.pipe(output);
 
-      // Add files from dist or source
-      if (sourceDir === distDir) {
-        // Add all files from dist
-        archive.directory(distDir, false);
-      } else {
-        // Add specific files from source
-        const filesToInclude = [
-          'index.html',
-          'styles.css',
-          'main.js',
-          'manifest.json'
-        ];
-
-        // Add main files
-        for (const file of filesToInclude) {
-          const filePath = path.join(sourceDir, file);
-          if (fs.existsSync(filePath)) {
-            archive.file(filePath, { name: file });
-          }
-        }
-
-        // Add optional template-specific files
-        const optionalFiles = ['payment-handler.js', 'report-generator.js'];
-        for (const file of optionalFiles) {
-          const filePath = path.join(sourceDir, file);
-          if (fs.existsSync(filePath)) {
-            archive.file(filePath, { name: file });
-          }
-        }
-
-        // Add assets directory
-        const assetsDir = path.join(sourceDir, 'assets');
-        if (fs.existsSync(assetsDir)) {
-          archive.directory(assetsDir, 'assets');
-        }
+      // Add the exact bytes that were hashed
+      const entryData = { date: metadata.date, mode: ENTRY_MODE };
+      for (const file of files) {
+        archive.append(file.content, { ...entryData, name: file.name });
+      }
 
-        // Add lib directory
-        const libDir = path.join(sourceDir, 'lib');
-        if (fs.existsSync(libDir)) {
-          archive.directory(libDir, 'lib');
-        }
+      if (signature) {
+        archive.append(signature, { ...entryData, name: SIGNATURE_ENTRY });
       }
 
       archive.finalize();
@@ -146,7 +191,7 @@ async function packageCommand(options) {
 
     // Get package size
     const stats = await fs.stat(outputPath);
-    const size = formatSize(stats.size);
+    const size = formatFileSize(stats.size);
 
     // Create package info file
     const packageInfo = {
@@ -155,18 +200,33 @@ async function packageCommand(options) {
       version: manifest.version,
       packageFile: outputFileName,
       packageSize: stats.size,
-      createdAt: new Date().toISOString(),
-      minPosVersion: manifest.minPosVersion || '1.0.0'
+      createdAt: metadata.date.toISOString(),
+      minPosVersion: manifest.minPosVersion || '1.0.0',
+      signed: Boolean(signature)
     };
 
-    const infoPath = outputPath.replace('.cposplugin', '.json');
-    await fs.writeJson(infoPath, packageInfo, { spaces: 2 });
+    if (keyFingerprint) {
+      packageInfo.keyFingerprint = keyFingerprint;
+    }
+
+    if (metadata.commit) {
+      packageInfo.commit = metadata.commit;
+    }
+
+    // Without a .cposplugin extension there is no name for the info file
+    // that wouldn't overwrite the package
+    const infoPath = outputPath.replace(/\.cposplugin$/, '.json');
+    if (infoPath !== outputPath) {
+      await fs.writeJson(infoPath, packageInfo, { spaces: 2 });
+    }
 
     // Success message
     console.log(chalk.green(`\n✓ Plugin packaged successfully!`));
     console.log(chalk.gray(`  Package: ${outputFileName}`));
     console.log(chalk.gray(`  Size: ${size}`));
-    console.log(chalk.gray(`  Info: ${path.basename(infoPath)}`));
+    if (infoPath !== outputPath) {
+      console.log(chalk.gray(`  Info: ${path.basename(infoPath)}`));
+    }
 
     console.log(chalk.cyan('\nInstallation:'));
     console.log(chalk.gray(`  1. Open CommercePOS app`));
@@ -176,40 +236,179 @@ async function packageCommand(options) {
 
     // Verify package contents
     console.log(chalk.cyan('Package contents verification:'));
-    await verifyPackage(outputPath);
+    if (!await verifyPackage(outputPath, packagedManifest)) {
+      console.log(chalk.red('\n✗ Package verification failed\n'));
+      process.exitCode = 1;
+    }
 
   } catch (error) {
     spinner.fail('Packaging failed');
     console.error(chalk.red(`Error: ${error.message}`));
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Find the bundle build in dist/, if that is what it holds
+ *
+ * A dist/manifest.json written by `build --bundle` marks a bundle build;
+ * fromBundle packages <plugin-id>.html as one whatever the manifest says.
+ * Returns { manifest } with the manifest to package, its entryPoint set to
+ * the bundle, or null for a directory build.
+ */
+async function findBundleBuild(distDir, manifest, fromBundle) {
+  const builtManifestPath = path.join(distDir, 'manifest.json');
+  const builtManifest = await fs.pathExists(builtManifestPath) ? await fs.readJson(builtManifestPath) : null;
+  const isBundle = Boolean(builtManifest) && builtManifest.buildMode === 'bundle';
+  if (!isBundle && !fromBundle) return null;
+
+  const entryPoint = isBundle && typeof builtManifest.entryPoint === 'string' && builtManifest.entryPoint
+    ? builtManifest.entryPoint
+    : `${manifest.id}.html`;
+
+  // Without a bundle manifest, the project one stands in without the
+  // fields builds leave out
+  const { $schema, budgets, ...manifestFields } = builtManifest || manifest;
+  return { manifest: { ...manifestFields, entryPoint, buildMode: 'bundle' } };
+}
+
+/**
+ * Collect the files of a bundle build as { name, path } or { name, content }
+ *
+ * That is the bundle, the manifest to package and the files they
+ * reference, such as the icon and assets copied next to the bundle. Files
+ * the bundle build didn't copy, like an icon from a directory build's
+ * manifest, come from the project.
+ */
+async function collectBundleFiles(distDir, projectDir, manifest) {
+  const graph = await buildDependencyGraph(distDir, getManifestReferences(manifest));
+  const files = [...graph.files.keys()]
+    .filter(name => name !== 'manifest.json')
+    .map(name => ({ name, path: path.join(distDir, name) }));
+
+  for (const { path: missingPath, from } of graph.missing) {
+    if (await fs.pathExists(path.join(projectDir, missingPath))) {
+      files.push({ name: missingPath, path: path.join(projectDir, missingPath) });
+    } else if (missingPath !== manifest.entryPoint) {
+      console.log(chalk.yellow(`Warning: ${missingPath} is referenced by ${from} but does not exist`));
+    }
+  }
+  for (const { reference, from } of graph.outside) {
+    console.log(chalk.yellow(`Warning: ${reference} is referenced by ${from} but is outside the plugin directory`));
+  }
+
+  files.push({ name: 'manifest.json', content: Buffer.from(JSON.stringify(manifest, null, 2) + '\n') });
+  return files;
+}
+
+/**
+ * Collect the files to package as { name, path } or { name, content }
+ */
+async function collectPackageFiles(sourceDir, projectDir, fromDist, manifest) {
+  if (fromDist) {
+    // Add all files from dist but the size reports build --report leaves there
+    const files = (await listFiles(sourceDir)).filter(file => !DEFAULT_REPORT_FILES.includes(file.name));
+
+    // Fall back to the project manifest if the build didn't write one
+    if (!files.some(file => file.name === 'manifest.json')) {
+      files.push(createManifestFile(manifest));
+    }
+
+    return files;
+  }
+
+  // Add the files the manifest and HTML refer to, plus everything in assets/
+  const isIgnored = await loadIgnoreRules(projectDir);
+  const graph = await buildDependencyGraph(sourceDir, getManifestReferences(manifest));
+
+  for (const { path: missingPath, from } of graph.missing) {
+    console.log(chalk.yellow(`Warning: ${missingPath} is referenced by ${from} but does not exist`));
+  }
+  for (const { reference, from } of graph.outside) {
+    console.log(chalk.yellow(`Warning: ${reference} is referenced by ${from} but is outside the plugin directory`));
+  }
+
+  const files = [...graph.files.keys()].map(name => ({ name, path: path.join(sourceDir, name) }));
+  for (const file of await listFiles(path.join(sourceDir, 'assets'), 'assets')) {
+    if (!graph.files.has(file.name)) {
+      files.push(file);
+    }
   }
+
+  // The manifest is always packaged
+  return files
+    .filter(file => file.name !== 'manifest.json' && !isIgnored(file.name))
+    .concat(createManifestFile(manifest));
 }
 
 /**
- * Format file size
+ * Create the manifest.json file of a package built from the project manifest
+ *
+ * Like build output, it leaves out the editor schema reference and the
+ * build budgets.
  */
-function formatSize(bytes) {
-  if (bytes < 1024) return `${bytes} B`;
-  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(2)} KB`;
-  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+function createManifestFile(manifest) {
+  const { $schema, budgets, ...manifestFields } = manifest;
+  return { name: 'manifest.json', content: Buffer.from(JSON.stringify(manifestFields, null, 2) + '\n') };
 }
 
 /**
  * Verify package contents
+ * Lists every entry and checks the archive can be installed as-is
  */
-async function verifyPackage(packagePath) {
-  const AdmZip = require('archiver');
+async function verifyPackage(packagePath, manifest) {
+  const problems = [];
+  let zip;
+
+  try {
+    zip = await readZip(packagePath);
+  } catch (error) {
+    console.log(chalk.red(`  ✗ ${error.message}`));
+    return false;
+  }
 
-  // Simple file listing using fs
   console.log(chalk.gray('  Files included in package:'));
 
-  // We can't easily list zip contents without another dependency
-  // Just confirm the package was created
-  const stats = await fs.stat(packagePath);
-  if (stats.size > 0) {
-    console.log(chalk.green('  ✓ Package file is valid'));
-  } else {
-    console.log(chalk.red('  ✗ Package file is empty'));
+  let totalSize = 0;
+  let totalCompressed = 0;
+
+  for (const entry of zip.entries) {
+    if (isUnsafeEntryName(entry.name)) {
+      problems.push(`Entry escapes the package root: ${entry.name}`);
+      continue;
+    }
+    if (entry.isDirectory) continue;
+
+    try {
+      verifyZipEntry(zip, entry);
+    } catch (error) {
+      problems.push(error.message);
+    }
+
+    totalSize += entry.size;
+    totalCompressed += entry.compressedSize;
+    console.log(chalk.gray(`    ${entry.name} (${formatFileSize(entry.compressedSize)} / ${formatFileSize(entry.size)})`));
+  }
+
+  console.log(chalk.gray(`  Total: ${zip.entries.filter(entry => !entry.isDirectory).length} files, ${formatFileSize(totalCompressed)} compressed / ${formatFileSize(totalSize)} uncompressed`));
+
+  // Required entries
+  const entryPoint = (manifest.entryPoint || 'index.html').replace(/^\.\//, '');
+  for (const required of ['manifest.json', entryPoint]) {
+    if (!findZipEntry(zip, required)) {
+      problems.push(`Missing required file: ${required}`);
+    }
   }
+
+  if (problems.length > 0) {
+    for (const problem of problems) {
+      console.log(chalk.red(`  ✗ ${problem}`));
+    }
+    return false;
+  }
+
+  console.log(chalk.green('  ✓ Package file is valid\n'));
+  return true;
 }
 
 module.exports = packageCommand;
@@ -0,0 +1,51 @@
+/**
+ * Schema Command
+ * Writes the manifest JSON Schema for editor autocompletion and validation
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { generateJsonSchema, JSON_SCHEMA_FILE } = require('../utils/manifest-schema');
+
+/**
+ * Write manifest JSON Schema
+ */
+async function schemaCommand(options) {
+  const projectDir = process.cwd();
+  const outputPath = path.resolve(projectDir, options.output || JSON_SCHEMA_FILE);
+
+  try {
+    await fs.ensureDir(path.dirname(outputPath));
+    await fs.writeJson(outputPath, generateJsonSchema(), { spaces: 2 });
+    console.log(chalk.green(`✓ Manifest schema written to ${path.relative(projectDir, outputPath) || outputPath}`));
+
+    // Point the project's manifest at the schema if it doesn't reference one yet
+    const manifestPath = path.join(projectDir, 'manifest.json');
+    if (await fs.pathExists(manifestPath)) {
+      const manifest = await fs.readJson(manifestPath);
+
+      if (!manifest.$schema) {
+        const reference = toSchemaReference(path.relative(projectDir, outputPath));
+        await fs.writeJson(manifestPath, { $schema: reference, ...manifest }, { spaces: 2 });
+        console.log(chalk.green(`✓ Added "$schema": "${reference}" to manifest.json`));
+      }
+    }
+
+    console.log(chalk.gray('\nEditors such as VS Code now offer completion and inline docs for manifest.json.\n'));
+
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Convert a relative file path to a $schema reference
+ */
+function toSchemaReference(relativePath) {
+  const reference = relativePath.split(path.sep).join('/');
+  return reference.startsWith('.') ? reference : `./${reference}`;
+}
+
+module.exports = schemaCommand;
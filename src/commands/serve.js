@@ -1,12 +1,21 @@
 /**
  * Serve Command
- * Starts a development server with hot reload
+ * Starts a development server with hot reload, showing the plugin inside an
+ * emulated POS host
  */
 
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
 const http = require('http');
+const { createLiveReload, injectLiveReloadScript } = require('../utils/live-reload');
+const { createFileWatcher } = require('../utils/file-watcher');
+const { createPosHost } = require('../utils/pos-host');
+const { renderHostPage, injectBridgeScript } = require('../utils/pos-host-page');
+
+// How long to wait for a burst of file changes to settle before telling
+// open pages about them
+const RELOAD_DELAY = 100;
 
 /**
  * Start development server
@@ -15,6 +24,7 @@ async function serveCommand(options) {
   const projectDir = process.cwd();
   const port = parseInt(options.port) || 3000;
   const host = options.host || 'localhost';
+  const shell = options.shell !== false;
 
   try {
     // Check if manifest exists
@@ -45,9 +55,47 @@ async function serveCommand(options) {
       '.eot': 'application/vnd.ms-fontobject'
     };
 
+    // Pages listen for changes on an event stream
+    const liveReload = createLiveReload();
+
+    // Plugin pages call the POS through the CLI: framed by the host page
+    // through window.POS, on their own through the SDK's development mode
+    const posHost = createPosHost(projectDir, manifest);
+    posHost.onCall((method, params, response) => {
+      const result = response.result;
+      if (response.error) {
+        console.log(chalk.red(`  POS ${method}: ${response.error}`));
+      } else if (result && result.error === 'Permission denied') {
+        console.log(chalk.yellow(`  POS ${method}: denied, needs the "${result.permission}" permission`));
+      } else {
+        console.log(chalk.gray(`  POS ${method}`));
+      }
+    });
+
     // Create server
     const server = http.createServer(async (req, res) => {
-      let filePath = path.join(projectDir, req.url === '/' ? 'index.html' : req.url);
+      if (liveReload.handle(req, res)) return;
+      if (posHost.handle(req, res)) return;
+
+      // Query strings, like the one live reload adds to swapped stylesheets,
+      // aren't part of the file path
+      let urlPath = req.url.split('?')[0];
+      try {
+        urlPath = decodeURIComponent(urlPath);
+      } catch (error) {
+        // Keep malformed escapes as written
+      }
+
+      // The host page wraps the plugin's entry point
+      if (urlPath === '/' && shell) {
+        const current = await fs.readJson(manifestPath).catch(() => manifest);
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(renderHostPage(current));
+        console.log(chalk.gray(`  ${req.method} ${req.url}`));
+        return;
+      }
+
+      let filePath = path.join(projectDir, urlPath === '/' ? 'index.html' : urlPath);
 
       // Security: prevent directory traversal
       if (!filePath.startsWith(projectDir)) {
@@ -89,33 +137,9 @@ async function serveCommand(options) {
         // Read and serve file
         const content = await fs.readFile(filePath);
 
-        // Inject live reload script for HTML files
-        if (ext === '.html') {
-          const liveReloadScript = `
-<script>
-  // Live reload for development
-  (function() {
-    let lastCheck = Date.now();
-    setInterval(async () => {
-      try {
-        const res = await fetch('/__reload_check?t=' + lastCheck);
-        const data = await res.json();
-        if (data.reload) {
-          location.reload();
-        }
-        lastCheck = Date.now();
-      } catch (e) {}
-    }, 1000);
-  })();
-</script>
-`;
-          const modifiedContent = content.toString().replace('</body>', liveReloadScript + '</body>');
-          res.writeHead(200, { 'Content-Type': contentType });
-          res.end(modifiedContent);
-        } else {
-          res.writeHead(200, { 'Content-Type': contentType });
-          res.end(content);
-        }
+        // Inject the POS bridge and live reload scripts into HTML files
+        res.writeHead(200, { 'Content-Type': contentType });
+        res.end(ext === '.html' ? injectLiveReloadScript(injectBridgeScript(content.toString())) : content);
 
         console.log(chalk.gray(`  ${req.method} ${req.url}`));
 
@@ -126,33 +150,23 @@ async function serveCommand(options) {
       }
     });
 
-    // File watcher for live reload
-    let lastModified = Date.now();
-    const watchDirs = [projectDir];
-
-    for (const dir of watchDirs) {
-      fs.watch(dir, { recursive: true }, (eventType, filename) => {
-        if (filename && !filename.startsWith('dist') && !filename.includes('node_modules')) {
-          lastModified = Date.now();
-          console.log(chalk.blue(`  File changed: ${filename}`));
-        }
-      });
-    }
-
-    // Handle reload check requests
-    server.on('request', (req, res) => {
-      if (req.url.startsWith('/__reload_check')) {
-        const url = new URL(req.url, `http://${host}:${port}`);
-        const clientTime = parseInt(url.searchParams.get('t')) || 0;
-
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ reload: lastModified > clientTime }));
+    // File watcher for live reload; changes are sent in batches
+    const watcher = await createFileWatcher(projectDir, {
+      ignore: ['dist'],
+      delay: RELOAD_DELAY,
+      onChange: files => {
+        const type = liveReload.notify(files);
+        console.log(chalk.blue(`  File changed: ${files.join(', ')}`) +
+          chalk.gray(type === 'reload' ? ' (reloading)' : ' (updated in place)'));
       }
     });
 
     // Start server
     server.listen(port, host, () => {
       console.log(chalk.green(`  Server running at: ${chalk.bold(`http://${host}:${port}`)}`));
+      if (shell) {
+        console.log(chalk.gray(`  Plugin opens inside the emulated POS host; without it: http://${host}:${port}/${manifest.entryPoint || 'index.html'}`));
+      }
       console.log(chalk.gray(`  Press Ctrl+C to stop\n`));
       console.log(chalk.cyan('  Watching for file changes...\n'));
     });
@@ -171,6 +185,9 @@ async function serveCommand(options) {
     // Handle graceful shutdown
     process.on('SIGINT', () => {
       console.log(chalk.yellow('\n\nShutting down server...'));
+      watcher.close();
+      liveReload.close();
+      posHost.close();
       server.close(() => {
         console.log(chalk.green('Server stopped.\n'));
         process.exit(0);
@@ -0,0 +1,59 @@
+/**
+ * Validate Command
+ * Checks the plugin manifest and project files before build or release
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { validateProject, printValidationResult } = require('../utils/project-validator');
+
+/**
+ * Validate plugin project
+ */
+async function validateCommand() {
+  const projectDir = process.cwd();
+
+  try {
+    console.log(chalk.cyan('\nValidating plugin...\n'));
+
+    // Check if manifest exists
+    const manifestPath = path.join(projectDir, 'manifest.json');
+    if (!await fs.pathExists(manifestPath)) {
+      console.log(chalk.red('Error: manifest.json not found. Are you in a plugin directory?'));
+      process.exitCode = 1;
+      return;
+    }
+
+    // Read manifest
+    let manifest;
+    try {
+      manifest = await fs.readJson(manifestPath);
+    } catch (error) {
+      console.log(chalk.red(`Error: manifest.json is not valid JSON: ${error.message}`));
+      process.exitCode = 1;
+      return;
+    }
+
+    if (manifest && manifest.name) {
+      console.log(chalk.gray(`Plugin: ${manifest.name} v${manifest.version}\n`));
+    }
+
+    const result = await validateProject(projectDir, manifest);
+    printValidationResult(result);
+
+    if (!result.valid) {
+      console.log(chalk.red(`\n✗ Validation failed: ${result.errors.length} error(s), ${result.warnings.length} warning(s)\n`));
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(chalk.green(`\n✓ Plugin is valid${result.warnings.length ? ` with ${result.warnings.length} warning(s)` : ''}\n`));
+
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exitCode = 1;
+  }
+}
+
+module.exports = validateCommand;
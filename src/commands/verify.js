@@ -0,0 +1,51 @@
+/**
+ * Verify Command
+ * Checks a signed .cposplugin package against a public key
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { readZip } = require('../utils/zip-reader');
+const { loadPublicKey, getKeyFingerprint, verifySignature } = require('../utils/package-signing');
+
+/**
+ * Verify package signature
+ */
+async function verifyCommand(file, options) {
+  const packagePath = path.resolve(process.cwd(), file);
+
+  try {
+    if (!await fs.pathExists(packagePath)) {
+      throw new Error(`Package not found: ${file}`);
+    }
+
+    console.log(chalk.cyan(`\nVerifying ${chalk.bold(path.basename(packagePath))}...\n`));
+
+    const publicKey = await loadPublicKey(path.resolve(process.cwd(), options.key));
+    const zip = await readZip(packagePath);
+    const result = verifySignature(zip, publicKey);
+
+    console.log(chalk.gray(`  Key:       ${getKeyFingerprint(publicKey)}`));
+    if (result.keyFingerprint) {
+      console.log(chalk.gray(`  Signed by: ${result.keyFingerprint}`));
+    }
+
+    if (!result.valid) {
+      for (const problem of result.problems) {
+        console.log(chalk.red(`  ✗ ${problem}`));
+      }
+      console.log(chalk.red('\n✗ Signature verification failed\n'));
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(chalk.green('\n✓ Signature is valid and all files match\n'));
+
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exitCode = 1;
+  }
+}
+
+module.exports = verifyCommand;
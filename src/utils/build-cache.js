@@ -0,0 +1,90 @@
+/**
+ * Build Cache
+ *
+ * Keeps what watch mode needs between builds: a content hash of every
+ * source file used, so a rebuild can tell which files changed, plus the
+ * results of earlier work that can be reused when its input hasn't.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Create an empty build cache
+ *
+ * update(projectDir, files) hashes the project files a build uses and
+ * returns the Set of files added, changed or removed since the last build
+ * that finished. reuse(key, compute) returns the result an earlier build
+ * computed for key, or computes it. finish() marks a build done: its hashes
+ * become the ones later builds compare against, and results it didn't reuse
+ * are dropped. A build that fails doesn't finish, so the next one sees the
+ * same files as changed.
+ *
+ * The build also keeps:
+ *   built    - whether a build finished with this cache
+ *   written  - project files whose output the last build wrote
+ *   bundles  - module entry file to its bundleModules() result
+ *   modules  - parsed modules, for bundleModules()
+ *   warnings - build step to the warnings it printed last
+ */
+function createBuildCache() {
+  let hashes = new Map();
+  let nextHashes = new Map();
+  const results = new Map();
+  let usedKeys = new Set();
+
+  const cache = {
+    built: false,
+    written: new Set(),
+    bundles: new Map(),
+    modules: new Map(),
+    warnings: new Map(),
+
+    async update(projectDir, files) {
+      const changed = new Set();
+      nextHashes = new Map();
+
+      for (const file of files) {
+        const hash = sha256(await fs.readFile(path.join(projectDir, file)));
+        nextHashes.set(file, hash);
+        if (hashes.get(file) !== hash) changed.add(file);
+      }
+
+      for (const file of hashes.keys()) {
+        if (!nextHashes.has(file)) changed.add(file);
+      }
+
+      return changed;
+    },
+
+    reuse(key, compute) {
+      if (!results.has(key)) results.set(key, compute());
+      usedKeys.add(key);
+      return results.get(key);
+    },
+
+    finish() {
+      hashes = nextHashes;
+      for (const key of results.keys()) {
+        if (!usedKeys.has(key)) results.delete(key);
+      }
+      usedKeys = new Set();
+      cache.built = true;
+    }
+  };
+
+  return cache;
+}
+
+/**
+ * Hash a buffer or string with SHA-256
+ */
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+module.exports = {
+  createBuildCache,
+  sha256
+};
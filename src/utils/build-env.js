@@ -0,0 +1,359 @@
+/**
+ * Build Environment
+ *
+ * Loads the variables and defines a build inlines: CPOS_ variables from
+ * .env, .env.<mode> and the environment, and the define map from
+ * cpos.config.json. Variables without the CPOS_ prefix are never read, so
+ * secrets kept in the same .env files can't end up in the output.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { tokenize, matchBrackets, getNameRole } = require('./js-tokenizer');
+const { parseHtml, getAttribute } = require('./references');
+const { loadBuildConfig, BUILD_CONFIG_FILE } = require('./helpers');
+
+// Only variables with this prefix are inlined
+const ENV_PREFIX = 'CPOS_';
+
+// Define names look like __NAME__ so they stand out in any file type
+const DEFINE_NAME_PATTERN = /^__[A-Za-z0-9_]*[A-Za-z0-9]__$/;
+
+// process.env.CPOS_* and __NAME__ references in CSS and HTML text
+const TEXT_REFERENCE_PATTERN = /\bprocess\.env\.([A-Za-z_]\w*)|\b__[A-Za-z0-9_]*[A-Za-z0-9]__\b/g;
+
+// Script types that hold JavaScript
+const JS_SCRIPT_TYPES = /^(|module|(text|application)\/(java|ecma)script)$/i;
+
+/**
+ * Load the build environment for a mode
+ *
+ * Variables from .env.<mode> override .env, and CPOS_ variables set in the
+ * environment override both. CPOS_MODE is always the mode.
+ *
+ * Returns buildEnv:
+ *   mode       - the mode name
+ *   variables  - CPOS_ variable name to string value
+ *   define     - define name to JSON value
+ *   files      - the .env and config files that were read
+ *   warnings   - references replace() couldn't inline
+ *   replace(content, file) - inline variables and defines in a JS, CSS or
+ *                            HTML file; other files are returned unchanged
+ *
+ * Throws if the mode name or cpos.config.json is invalid.
+ */
+async function loadBuildEnv(projectDir, mode = 'production') {
+  if (!/^[\w.-]+$/.test(mode)) {
+    throw new Error(`Invalid mode name: ${mode}`);
+  }
+
+  const files = [];
+  const variables = {};
+
+  for (const fileName of getBuildEnvFiles(mode).filter(file => file !== BUILD_CONFIG_FILE)) {
+    const filePath = path.join(projectDir, fileName);
+    if (!await fs.pathExists(filePath)) continue;
+
+    files.push(fileName);
+    const parsed = parseEnvFile(await fs.readFile(filePath, 'utf8'));
+    for (const [name, value] of Object.entries(parsed)) {
+      if (name.startsWith(ENV_PREFIX)) variables[name] = value;
+    }
+  }
+
+  for (const [name, value] of Object.entries(process.env)) {
+    if (name.startsWith(ENV_PREFIX)) variables[name] = value;
+  }
+  variables.CPOS_MODE = mode;
+
+  if (await fs.pathExists(path.join(projectDir, BUILD_CONFIG_FILE))) {
+    files.push(BUILD_CONFIG_FILE);
+  }
+  const define = readDefines(await loadBuildConfig(projectDir));
+
+  const buildEnv = {
+    mode,
+    variables,
+    define,
+    files,
+    warnings: [],
+
+    replace(content, file) {
+      const warn = message => {
+        const warning = `${file}: ${message}`;
+        if (!buildEnv.warnings.includes(warning)) buildEnv.warnings.push(warning);
+      };
+
+      if (/\.m?js$/i.test(file)) return replaceInJs(content, buildEnv, warn);
+      if (/\.css$/i.test(file)) return replaceInText(content, buildEnv, warn);
+      if (/\.html?$/i.test(file)) return replaceInHtml(content, buildEnv, warn);
+      return content;
+    }
+  };
+
+  return buildEnv;
+}
+
+/**
+ * The files the build environment for a mode is read from, if they exist
+ */
+function getBuildEnvFiles(mode) {
+  return ['.env', `.env.${mode}`, BUILD_CONFIG_FILE];
+}
+
+/**
+ * Parse .env file content into an object
+ *
+ * Supports NAME=value lines, an optional export prefix, # comments, and
+ * single or double quoted values; double quoted values understand \n, \r,
+ * \t, \" and \\.
+ */
+function parseEnvFile(content) {
+  const variables = {};
+
+  for (const line of content.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][\w.-]*)\s*=\s*(.*)$/);
+    if (!match) continue;
+
+    const [, name, rawValue] = match;
+    let value;
+    const quote = rawValue[0];
+    const close = quote === '"' || quote === '\'' ? findClosingQuote(rawValue, quote) : -1;
+
+    if (close !== -1 && quote === '"') {
+      const escapes = { n: '\n', r: '\r', t: '\t' };
+      value = rawValue.slice(1, close).replace(/\\(.)/g, (escape, char) => escapes[char] || char);
+    } else if (close !== -1) {
+      value = rawValue.slice(1, close);
+    } else {
+      value = rawValue.replace(/(^|\s)#.*$/, '').trim();
+    }
+
+    variables[name] = value;
+  }
+
+  return variables;
+}
+
+/**
+ * Find the quote closing a quoted .env value, or -1
+ */
+function findClosingQuote(value, quote) {
+  for (let i = 1; i < value.length; i++) {
+    if (quote === '"' && value[i] === '\\') {
+      i++;
+    } else if (value[i] === quote) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Check the define map of a build config
+ */
+function readDefines(config) {
+  const define = config.define !== undefined ? config.define : {};
+  if (!define || typeof define !== 'object' || Array.isArray(define)) {
+    throw new Error(`${BUILD_CONFIG_FILE}: define must be an object`);
+  }
+
+  for (const name of Object.keys(define)) {
+    if (!DEFINE_NAME_PATTERN.test(name)) {
+      throw new Error(`${BUILD_CONFIG_FILE}: define name ${name} must look like __NAME__`);
+    }
+  }
+
+  return define;
+}
+
+/**
+ * Replace process.env.CPOS_* and define references in JavaScript
+ *
+ * Only variable references are replaced, not property names, object keys
+ * or text in strings and comments. Values are inlined as JSON literals;
+ * CPOS_ variables that aren't set become undefined. Code that can't be
+ * tokenized is returned unchanged.
+ */
+function replaceInJs(code, buildEnv, warn) {
+  let tokens;
+  try {
+    tokens = tokenize(code).filter(token => token.type !== 'comment');
+  } catch (error) {
+    warn(`Variables and defines not replaced: ${error.message}`);
+    return code;
+  }
+
+  const { parent } = matchBrackets(tokens);
+  const isPunct = (token, value) => Boolean(token) && token.type === 'punct' && token.value === value;
+  const edits = [];
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'name' || token.afterDot) return;
+
+    if (token.value === 'process' && isPunct(tokens[index + 1], '.') && tokens[index + 2] &&
+        tokens[index + 2].value === 'env' && getNameRole(tokens, index, parent) === 'reference') {
+      const reference = readEnvMember(tokens, index + 3);
+      if (!reference) return;
+
+      const value = lookupVariable(reference.name, buildEnv, warn);
+      if (value === null) return;
+
+      edits.push({
+        start: token.start,
+        end: tokens[reference.endIndex].end,
+        text: value === undefined ? 'void 0' : toJsLiteral(value)
+      });
+      return;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(buildEnv.define, token.value)) return;
+
+    const role = getNameRole(tokens, index, parent);
+    const literal = toJsLiteral(buildEnv.define[token.value]);
+    if (role === 'reference') {
+      edits.push({ start: token.start, end: token.end, text: literal });
+    } else if (role === 'shorthand') {
+      edits.push({ start: token.start, end: token.end, text: `${token.value}: ${literal}` });
+    }
+  });
+
+  return applyEdits(code, edits);
+}
+
+/**
+ * Read the .NAME or ['NAME'] after process.env at index
+ *
+ * Returns { name, endIndex } or null.
+ */
+function readEnvMember(tokens, index) {
+  const token = tokens[index];
+  const next = tokens[index + 1];
+
+  if (token && token.type === 'punct' && token.value === '.' && next && next.type === 'name') {
+    return { name: next.value, endIndex: index + 1 };
+  }
+
+  const close = tokens[index + 2];
+  if (token && token.type === 'punct' && token.value === '[' && next && next.type === 'string' &&
+      close && close.type === 'punct' && close.value === ']') {
+    const match = next.value.match(/^(["'])([\w$]+)\1$/);
+    if (match) return { name: match[2], endIndex: index + 2 };
+  }
+
+  return null;
+}
+
+/**
+ * Look up a process.env variable for inlining
+ *
+ * Returns its value, undefined for a CPOS_ variable that isn't set, or null
+ * for a variable that must not be inlined.
+ */
+function lookupVariable(name, buildEnv, warn) {
+  if (!name.startsWith(ENV_PREFIX)) {
+    warn(`process.env.${name} isn't replaced: only ${ENV_PREFIX} variables are inlined`);
+    return null;
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(buildEnv.variables, name)) {
+    warn(`process.env.${name} isn't set`);
+    return undefined;
+  }
+
+  return buildEnv.variables[name];
+}
+
+/**
+ * Format a value as a JavaScript literal that is safe in an inline script
+ */
+function toJsLiteral(value) {
+  const json = JSON.stringify(value).replace(/<\//g, '<\\/');
+  const needsParens = (value !== null && typeof value === 'object') || (typeof value === 'number' && json.startsWith('-'));
+  return needsParens ? `(${json})` : json;
+}
+
+/**
+ * Replace process.env.CPOS_* and define references in CSS or other text
+ *
+ * Values are inserted as plain text, so a string define works both as a
+ * bare value and inside quotes. References that can't be inlined are left
+ * as they are. escape, if given, is applied to each inserted value.
+ */
+function replaceInText(text, buildEnv, warn, escape = value => value) {
+  return text.replace(TEXT_REFERENCE_PATTERN, (reference, variableName) => {
+    let value;
+    if (variableName) {
+      value = lookupVariable(variableName, buildEnv, warn);
+    } else if (Object.prototype.hasOwnProperty.call(buildEnv.define, reference)) {
+      value = buildEnv.define[reference];
+    } else {
+      return reference;
+    }
+
+    if (value === null || value === undefined) return reference;
+    return escape(typeof value === 'string' ? value : JSON.stringify(value));
+  });
+}
+
+/**
+ * Replace process.env.CPOS_* and define references in HTML
+ *
+ * Inline scripts follow the JavaScript rules and inline styles the CSS
+ * ones; everywhere else values are HTML-escaped text. Scripts that don't
+ * hold JavaScript, like JSON data blocks, are left alone.
+ */
+function replaceInHtml(html, buildEnv, warn) {
+  const escapeHtml = value => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+  const replaceText = text => replaceInText(text, buildEnv, warn, escapeHtml);
+
+  let output = '';
+  let cursor = 0;
+
+  for (const element of parseHtml(html)) {
+    if (element.content === null) continue;
+
+    let content = element.content;
+    if (element.tag === 'script') {
+      const type = getAttribute(element, 'type');
+      if (JS_SCRIPT_TYPES.test(type && type.value ? type.value.trim() : '')) {
+        content = replaceInJs(content, buildEnv, warn);
+      }
+    } else if (element.tag === 'style') {
+      content = replaceInText(content, buildEnv, warn);
+    } else {
+      continue;
+    }
+
+    output += replaceText(html.slice(cursor, element.contentStart)) + content;
+    cursor = element.contentStart + element.content.length;
+  }
+
+  return output + replaceText(html.slice(cursor));
+}
+
+/**
+ * Apply { start, end, text } edits, in source order, to a string
+ */
+function applyEdits(code, edits) {
+  let output = '';
+  let cursor = 0;
+
+  for (const edit of edits) {
+    output += code.slice(cursor, edit.start) + edit.text;
+    cursor = edit.end;
+  }
+
+  return output + code.slice(cursor);
+}
+
+module.exports = {
+  loadBuildEnv,
+  getBuildEnvFiles
+};
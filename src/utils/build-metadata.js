@@ -0,0 +1,92 @@
+/**
+ * Build Metadata
+ *
+ * Works out the date and commit a build or package is stamped with. Builds
+ * honour SOURCE_DATE_EPOCH, and reproducible ones take the date of the last
+ * commit instead of the clock, so the same sources give the same bytes.
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// The earliest date a zip entry can hold, used when nothing else is known
+const FALLBACK_DATE = new Date('1980-01-01T00:00:00Z');
+
+/**
+ * Load the metadata to stamp a build or package with
+ *
+ * The date comes from SOURCE_DATE_EPOCH if it is set. Otherwise
+ * reproducible builds use the date of the last commit touching the project
+ * (or 1980-01-01 outside git) and other builds the current time.
+ * Reproducible builds also record that commit.
+ *
+ * Returns { date, commit, source } with source naming where the date came
+ * from: SOURCE_DATE_EPOCH, git, fallback or clock.
+ *
+ * Throws if SOURCE_DATE_EPOCH isn't a whole number of seconds.
+ */
+async function loadBuildMetadata(projectDir, reproducible = false) {
+  const epoch = readSourceDateEpoch();
+  const commit = reproducible ? await readLastCommit(projectDir) : null;
+
+  if (epoch !== null) {
+    return { date: epoch, commit: commit && commit.hash, source: 'SOURCE_DATE_EPOCH' };
+  }
+
+  if (!reproducible) {
+    return { date: new Date(), commit: null, source: 'clock' };
+  }
+
+  if (commit) {
+    return { date: commit.date, commit: commit.hash, source: 'git' };
+  }
+
+  return { date: FALLBACK_DATE, commit: null, source: 'fallback' };
+}
+
+/**
+ * Read SOURCE_DATE_EPOCH as a Date, or null if it isn't set
+ */
+function readSourceDateEpoch() {
+  const value = process.env.SOURCE_DATE_EPOCH;
+  if (value === undefined || value.trim() === '') return null;
+
+  if (!/^\d+$/.test(value.trim())) {
+    throw new Error(`SOURCE_DATE_EPOCH must be a whole number of seconds: ${value}`);
+  }
+
+  return new Date(Number(value.trim()) * 1000);
+}
+
+/**
+ * Read the hash and committer date of the last commit touching a directory
+ *
+ * Returns { hash, date }, or null outside a git work tree or without git.
+ */
+async function readLastCommit(dir) {
+  try {
+    const { stdout } = await execFileAsync('git', ['log', '-1', '--format=%H %ct', '--', '.'], { cwd: dir });
+    const match = stdout.trim().match(/^([0-9a-f]{40,64}) (\d+)$/);
+    return match ? { hash: match[1], date: new Date(Number(match[2]) * 1000) } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Describe where the metadata of a build came from, for the build output
+ */
+function describeBuildMetadata(metadata) {
+  const date = metadata.date.toISOString();
+  if (metadata.source === 'SOURCE_DATE_EPOCH') return `${date} from SOURCE_DATE_EPOCH`;
+  if (metadata.source === 'git') return `${date} from commit ${metadata.commit.slice(0, 12)}`;
+  if (metadata.source === 'fallback') return `${date} (no SOURCE_DATE_EPOCH or git history)`;
+  return date;
+}
+
+module.exports = {
+  loadBuildMetadata,
+  describeBuildMetadata
+};
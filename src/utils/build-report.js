@@ -0,0 +1,262 @@
+/**
+ * Build Report
+ *
+ * Measures the files a build wrote, checks them against the size budgets
+ * set in manifest.json or cpos.config.json and writes the numbers as a
+ * JSON or HTML report.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { parseFileSize, formatFileSize, BUILD_CONFIG_FILE } = require('./helpers');
+
+// Budgets and what they limit
+const BUDGETS = {
+  maxBundleSize: 'total size of the HTML, CSS and JavaScript',
+  maxAssetSize: 'size of any single file but the manifest',
+  maxTotalSize: 'total size of the build'
+};
+
+// Files that count towards maxBundleSize
+const CODE_FILE_PATTERN = /\.(html?|css|m?js)$/i;
+
+// Reports --report writes into the output directory when not given a file
+const DEFAULT_REPORT_FILES = ['build-report.json', 'build-report.html'];
+
+/**
+ * Read the size budgets from the manifest and build config
+ *
+ * Both can have a budgets object with maxBundleSize, maxAssetSize and
+ * maxTotalSize, given in bytes or as sizes like "200kb"; the config wins
+ * where both set a budget. Returns budget name to bytes.
+ *
+ * Throws on unknown budgets and sizes that can't be parsed.
+ */
+function loadBudgets(manifest, config) {
+  const budgets = {};
+
+  const sources = [['manifest.json', manifest.budgets], [BUILD_CONFIG_FILE, config.budgets]];
+  for (const [source, values] of sources) {
+    if (values === undefined) continue;
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error(`${source}: budgets must be an object`);
+    }
+
+    for (const [name, value] of Object.entries(values)) {
+      if (!BUDGETS[name]) {
+        throw new Error(`${source}: unknown budget ${name} (use ${Object.keys(BUDGETS).join(', ')})`);
+      }
+
+      const limit = parseFileSize(value);
+      if (limit === null) {
+        throw new Error(`${source}: invalid size for budgets.${name}: ${value}`);
+      }
+      budgets[name] = limit;
+    }
+  }
+
+  return budgets;
+}
+
+/**
+ * Measure the files a build wrote
+ *
+ * outputs is a list of { file, sources }, with file relative to outputDir
+ * and sources the project files it was built from. With compress, gzip and
+ * brotli sizes are measured as well.
+ *
+ * Returns a list of { file, raw, minified, gzip, brotli, saved }, where raw
+ * is the size of the sources, minified the size written and saved the
+ * bytes minification saved, sorted by file.
+ */
+async function measureOutputs(projectDir, outputDir, outputs, options = {}) {
+  const files = [];
+
+  for (const { file, sources } of outputs) {
+    const content = await fs.readFile(path.join(outputDir, file));
+
+    let raw = 0;
+    for (const source of sources) {
+      const sourcePath = path.join(projectDir, source);
+      if (await fs.pathExists(sourcePath)) raw += (await fs.stat(sourcePath)).size;
+    }
+
+    files.push({
+      file,
+      raw,
+      minified: content.length,
+      gzip: options.compress ? zlib.gzipSync(content, { level: 9 }).length : null,
+      brotli: options.compress ? zlib.brotliCompressSync(content).length : null,
+      saved: raw - content.length
+    });
+  }
+
+  return files.sort((a, b) => a.file.localeCompare(b.file));
+}
+
+/**
+ * Check measured files against budgets
+ *
+ * Returns one { budget, limit, size, file, exceeded } result per budget;
+ * maxAssetSize has one per file over the limit, or one for the largest
+ * file if none is.
+ */
+function checkBudgets(files, budgets) {
+  const results = [];
+  const codeFiles = files.filter(item => CODE_FILE_PATTERN.test(item.file));
+  const assetFiles = files.filter(item => item.file !== 'manifest.json');
+  const sum = items => items.reduce((total, item) => total + item.minified, 0);
+
+  if (budgets.maxBundleSize !== undefined) {
+    const size = sum(codeFiles);
+    results.push({ budget: 'maxBundleSize', limit: budgets.maxBundleSize, size, file: null, exceeded: size > budgets.maxBundleSize });
+  }
+
+  if (budgets.maxAssetSize !== undefined) {
+    const limit = budgets.maxAssetSize;
+    const over = assetFiles.filter(item => item.minified > limit);
+    const largest = [...assetFiles].sort((a, b) => b.minified - a.minified).slice(0, 1);
+    for (const item of over.length > 0 ? over : largest) {
+      results.push({ budget: 'maxAssetSize', limit, size: item.minified, file: item.file, exceeded: item.minified > limit });
+    }
+  }
+
+  if (budgets.maxTotalSize !== undefined) {
+    const size = sum(files);
+    results.push({ budget: 'maxTotalSize', limit: budgets.maxTotalSize, size, file: null, exceeded: size > budgets.maxTotalSize });
+  }
+
+  return results;
+}
+
+/**
+ * Put together the report of a build
+ *
+ * info holds { manifest, mode, bundle, date } for the report header.
+ */
+function createReport(files, budgetResults, info) {
+  const total = key => (files.some(item => item[key] === null) ? null : files.reduce((sum, item) => sum + item[key], 0));
+  const totals = {
+    raw: total('raw'),
+    minified: total('minified'),
+    gzip: total('gzip'),
+    brotli: total('brotli'),
+    saved: total('saved')
+  };
+  totals.savedPercent = totals.raw > 0 ? Math.round((totals.saved / totals.raw) * 1000) / 10 : 0;
+
+  return {
+    plugin: { id: info.manifest.id, name: info.manifest.name, version: info.manifest.version },
+    mode: info.mode,
+    bundle: Boolean(info.bundle),
+    date: info.date.toISOString(),
+    files,
+    totals,
+    budgets: budgetResults
+  };
+}
+
+/**
+ * Write a report as JSON or HTML, chosen by the file extension
+ */
+async function writeReport(report, filePath) {
+  await fs.ensureDir(path.dirname(filePath));
+
+  if (/\.html?$/i.test(filePath)) {
+    await fs.writeFile(filePath, formatHtmlReport(report));
+  } else {
+    await fs.writeJson(filePath, report, { spaces: 2 });
+  }
+}
+
+/**
+ * Format a report as a standalone HTML page
+ */
+function formatHtmlReport(report) {
+  const size = bytes => (bytes === null ? '–' : `${bytes < 0 ? '-' : ''}${formatFileSize(Math.abs(bytes))}`);
+  const percent = (saved, raw) => (raw > 0 ? `${Math.round((saved / raw) * 100)}%` : '–');
+  const sizeCells = item => `<td>${size(item.raw)}</td><td>${size(item.minified)}</td><td>${size(item.gzip)}</td>` +
+    `<td>${size(item.brotli)}</td><td>${size(item.saved)} (${percent(item.saved, item.raw)})</td>`;
+
+  const fileRows = [...report.files]
+    .sort((a, b) => b.minified - a.minified)
+    .map(item => `      <tr><td>${escapeHtml(item.file)}</td>${sizeCells(item)}</tr>`)
+    .join('\n');
+
+  const budgetRows = report.budgets
+    .map(result => `      <tr class="${result.exceeded ? 'over' : 'ok'}"><td>${result.budget}</td>` +
+      `<td>${escapeHtml(result.file || BUDGETS[result.budget])}</td><td>${size(result.size)}</td><td>${size(result.limit)}</td>` +
+      `<td>${result.exceeded ? 'Exceeded' : 'OK'}</td></tr>`)
+    .join('\n');
+
+  const title = `Build report: ${report.plugin.name} v${report.plugin.version}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 32px; color: #1f2937; }
+    h1 { font-size: 20px; }
+    h2 { font-size: 16px; margin-top: 32px; }
+    p { color: #6b7280; }
+    table { border-collapse: collapse; width: 100%; font-size: 14px; }
+    th, td { padding: 6px 12px; border-bottom: 1px solid #e5e7eb; text-align: right; }
+    th:first-child, td:first-child, .budgets td:nth-child(2) { text-align: left; }
+    tfoot td { font-weight: 600; }
+    tr.over td { color: #b91c1c; font-weight: 600; }
+    tr.ok td:last-child { color: #15803d; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p>${report.bundle ? 'Bundle' : 'Directory'} build, mode ${escapeHtml(report.mode)}, ${escapeHtml(report.date)}</p>
+${report.budgets.length > 0 ? `
+  <h2>Budgets</h2>
+  <table class="budgets">
+    <thead>
+      <tr><th>Budget</th><th>Checks</th><th>Size</th><th>Limit</th><th>Result</th></tr>
+    </thead>
+    <tbody>
+${budgetRows}
+    </tbody>
+  </table>
+` : ''}
+  <h2>Files</h2>
+  <table>
+    <thead>
+      <tr><th>File</th><th>Raw</th><th>Minified</th><th>Gzip</th><th>Brotli</th><th>Saved</th></tr>
+    </thead>
+    <tbody>
+${fileRows}
+    </tbody>
+    <tfoot>
+      <tr><td>Total (${report.files.length} files)</td>${sizeCells(report.totals)}</tr>
+    </tfoot>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  loadBudgets,
+  measureOutputs,
+  checkBudgets,
+  createReport,
+  writeReport,
+  DEFAULT_REPORT_FILES
+};
@@ -0,0 +1,490 @@
+/**
+ * HTML Bundler
+ *
+ * Inlines the local scripts and stylesheets of an HTML document in place,
+ * in document order, producing a single self-contained HTML file. Images,
+ * fonts and icons can be inlined as data URIs as well. Module scripts are
+ * bundled with their imports into classic scripts.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { parseHtml, getAttribute, findCssReferences, resolveReference } = require('./references');
+const { bundleModules } = require('./module-bundler');
+const { isTextFile } = require('./file-types');
+
+// Attributes that only make sense on external resources
+const EXTERNAL_SCRIPT_ATTRIBUTES = ['src', 'integrity', 'crossorigin', 'referrerpolicy', 'charset'];
+const EXTERNAL_STYLESHEET_ATTRIBUTES = ['href', 'rel', 'type', 'integrity', 'crossorigin', 'referrerpolicy', 'as'];
+
+// Link relations whose href is an image
+const ICON_RELS = /\b(icon|apple-touch-icon|mask-icon)\b/i;
+
+// Asset types that can be inlined as data URIs
+const DATA_URI_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.bmp': 'image/bmp',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject'
+};
+
+/**
+ * Create an asset resolver for a bundle
+ *
+ * Options:
+ *   inline - inline assets as data URIs
+ *   limit  - largest asset to inline, in bytes
+ *
+ * url(file) returns the URL to use for a project file in the bundle. Files
+ * that aren't inlined are collected in `copied` to be written alongside it.
+ */
+function createAssetResolver(projectDir, options = {}) {
+  const urls = new Map();
+
+  const resolver = {
+    inlined: new Set(),
+    copied: new Set(),
+    warnings: [],
+
+    async url(file) {
+      if (!urls.has(file)) {
+        urls.set(file, await resolveAssetUrl(projectDir, file, options, resolver));
+      }
+      return urls.get(file);
+    }
+  };
+
+  return resolver;
+}
+
+/**
+ * Work out the bundle URL of a single asset
+ */
+async function resolveAssetUrl(projectDir, file, options, resolver) {
+  const type = DATA_URI_TYPES[path.extname(file).toLowerCase()];
+
+  if (options.inline && type) {
+    const content = await fs.readFile(path.join(projectDir, file));
+
+    if (options.limit === undefined || content.length <= options.limit) {
+      resolver.inlined.add(file);
+      return `data:${type};base64,${content.toString('base64')}`;
+    }
+
+    resolver.warnings.push(`${file} (${content.length} bytes) is over the inline limit and was copied alongside the bundle`);
+  }
+
+  resolver.copied.add(file);
+  return encodeURI(file);
+}
+
+/**
+ * Bundle an HTML document
+ *
+ * entryPoint is the project-relative path of the document. Options:
+ *   transformJs(code, file, modules) - applied to each inlined script;
+ *                                      modules is the bundleModules()
+ *                                      result for module scripts
+ *   transformCss(css, file)          - applied to each inlined stylesheet
+ *   transformSource(content, file)   - applied to each script, module and
+ *                                      stylesheet read from the project
+ *   assets                           - resolver from createAssetResolver()
+ *   moduleCache                      - parsed module cache for bundleModules()
+ *
+ * Module scripts, external or inline, are bundled with everything they
+ * import and inlined as classic scripts. They run where the last deferred
+ * script would, or in place if async. nomodule fallbacks are left out, as
+ * the bundled scripts run in every WebView.
+ *
+ * Returns { html, warnings }; asset warnings are kept on the resolver
+ */
+async function bundleHtml(projectDir, entryPoint, html, options = {}) {
+  const context = {
+    projectDir,
+    warnings: [],
+    assets: options.assets || createAssetResolver(projectDir),
+    transformSource: options.transformSource || null,
+    // @imports of the stylesheet being inlined that stay as they are
+    keptImports: []
+  };
+  const deferred = [];
+  const elements = parseHtml(html);
+  const hasModules = elements.some(element => element.tag === 'script' && isModuleScript(element));
+  let output = '';
+  let cursor = 0;
+
+  for (const element of elements) {
+    let replacement = null;
+    let isDeferred = false;
+    let start = element.start;
+    let end = element.end;
+
+    if (element.tag === 'script' && hasModules && getAttribute(element, 'nomodule')) {
+      const src = getAttribute(element, 'src');
+      context.warnings.push(`nomodule script ${src && src.value ? src.value : '(inline)'} left out; module scripts are bundled to run in every WebView`);
+      replacement = '';
+    } else if (element.tag === 'script' && isModuleScript(element)) {
+      const src = getAttribute(element, 'src');
+      const file = src ? await resolveLocalFile(projectDir, entryPoint, src.value) : entryPoint;
+      if (!file) continue;
+
+      const modules = await bundleModules(projectDir, file, {
+        cache: options.moduleCache,
+        transformSource: options.transformSource,
+        ...(src ? {} : { code: element.content || '' })
+      });
+      context.warnings.push(...modules.warnings);
+
+      let code = modules.code;
+      if (options.transformJs) {
+        code = options.transformJs(code, file, modules);
+      }
+
+      // Inline classic scripts run immediately, so scripts standing in for
+      // deferred modules move to the end of <body>
+      isDeferred = !getAttribute(element, 'async');
+
+      const dropped = [...EXTERNAL_SCRIPT_ATTRIBUTES, 'type', 'defer', 'async'];
+      const attributes = element.attributes.filter(attribute => !dropped.includes(attribute.name));
+      replacement = `<script${formatAttributes(attributes)}>\n${escapeInlineScript(code)}\n</script>`;
+    } else if (element.tag === 'script') {
+      const src = getAttribute(element, 'src');
+      const file = src && src.value ? await resolveLocalFile(projectDir, entryPoint, src.value) : null;
+      if (!file) continue;
+
+      let code = await readTextFile(projectDir, file);
+      if (code === null) {
+        // Scripts that aren't UTF-8 text stay external, copied unchanged
+        context.warnings.push(`${file} isn't UTF-8 text and was copied alongside the bundle instead of inlined`);
+        replacement = formatAttributeValue(html, src, await context.assets.url(file));
+        start = src.valueStart;
+        end = src.valueEnd;
+      } else {
+        if (options.transformSource) {
+          code = options.transformSource(code, file);
+        }
+        if (options.transformJs) {
+          code = options.transformJs(code, file);
+        }
+
+        // Inline classic scripts run immediately, so deferred ones move to
+        // the end of <body>
+        isDeferred = Boolean(getAttribute(element, 'defer'));
+
+        const dropped = [...EXTERNAL_SCRIPT_ATTRIBUTES, 'defer', 'async'];
+        const attributes = element.attributes.filter(attribute => !dropped.includes(attribute.name));
+        replacement = `<script${formatAttributes(attributes)}>\n${escapeInlineScript(code)}\n</script>`;
+      }
+    } else if (element.tag === 'link') {
+      const rel = getAttribute(element, 'rel');
+      const href = getAttribute(element, 'href');
+      if (!rel || !href || !href.value) continue;
+
+      const file = await resolveLocalFile(projectDir, entryPoint, href.value);
+      if (!file) continue;
+
+      context.keptImports = [];
+      let css = /\bstylesheet\b/i.test(rel.value || '') ? await inlineCss(context, file, new Set()) : null;
+      if (css !== null) {
+        css = hoistKeptImports(context, css);
+        if (options.transformCss) {
+          css = options.transformCss(css, file);
+        }
+
+        const attributes = element.attributes.filter(attribute => !EXTERNAL_STYLESHEET_ATTRIBUTES.includes(attribute.name));
+        replacement = `<style${formatAttributes(attributes)}>\n${escapeInlineStyle(css)}\n</style>`;
+      } else if (/\bstylesheet\b/i.test(rel.value || '')) {
+        // Stylesheets that aren't UTF-8 text stay external, copied unchanged
+        context.warnings.push(`${file} isn't UTF-8 text and was copied alongside the bundle instead of inlined`);
+        replacement = formatAttributeValue(html, href, await context.assets.url(file));
+        start = href.valueStart;
+        end = href.valueEnd;
+      } else if (ICON_RELS.test(rel.value || '')) {
+        replacement = formatAttributeValue(html, href, await context.assets.url(file));
+        start = href.valueStart;
+        end = href.valueEnd;
+      }
+    } else if (element.tag === 'img') {
+      const src = getAttribute(element, 'src');
+      const file = src && src.value ? await resolveLocalFile(projectDir, entryPoint, src.value) : null;
+      if (!file) continue;
+
+      replacement = formatAttributeValue(html, src, await context.assets.url(file));
+      start = src.valueStart;
+      end = src.valueEnd;
+    } else if (element.tag === 'style' && element.content) {
+      context.keptImports = [];
+      const css = await rewriteCss(context, element.content, entryPoint, new Set([entryPoint]));
+      replacement = escapeInlineStyle(hoistKeptImports(context, css));
+      start = element.contentStart;
+      end = element.contentStart + element.content.length;
+    }
+
+    if (replacement === null) continue;
+
+    output += html.slice(cursor, start);
+    if (isDeferred) {
+      deferred.push(replacement);
+    } else {
+      output += replacement;
+    }
+    cursor = end;
+  }
+
+  output += html.slice(cursor);
+
+  if (deferred.length > 0) {
+    output = insertBeforeClosingTag(output, deferred.join('\n') + '\n');
+  }
+
+  return { html: output, warnings: context.warnings };
+}
+
+/**
+ * Find the local files loaded by <script type="module" src> in a document
+ */
+async function findModuleEntries(projectDir, htmlFile, html) {
+  const entries = [];
+
+  for (const element of parseHtml(html)) {
+    const src = getAttribute(element, 'src');
+    if (element.tag !== 'script' || !src || !isModuleScript(element)) continue;
+
+    const file = await resolveLocalFile(projectDir, htmlFile, src.value);
+    if (file && !entries.includes(file)) entries.push(file);
+  }
+
+  return entries;
+}
+
+/**
+ * Turn module scripts loading a bundled entry into classic scripts,
+ * deferred unless they were async
+ *
+ * nomodule fallbacks are left out of documents with bundled scripts, as
+ * those now run in every WebView. Returns { html, warnings }.
+ */
+function rewriteModuleScripts(html, htmlFile, entries) {
+  const elements = parseHtml(html).filter(element => element.tag === 'script');
+  const isBundled = element => {
+    const src = getAttribute(element, 'src');
+    return Boolean(src) && isModuleScript(element) && entries.has(resolveReference(htmlFile, src.value));
+  };
+  if (!elements.some(isBundled)) return { html, warnings: [] };
+
+  const warnings = [];
+  let output = '';
+  let cursor = 0;
+
+  for (const element of elements) {
+    if (getAttribute(element, 'nomodule')) {
+      const src = getAttribute(element, 'src');
+      warnings.push(`nomodule script ${src && src.value ? src.value : '(inline)'} in ${htmlFile} left out; module scripts are bundled to run in every WebView`);
+      output += html.slice(cursor, element.start);
+      cursor = element.end;
+      continue;
+    }
+    if (!isBundled(element)) continue;
+
+    const attributes = element.attributes.filter(attribute => attribute.name !== 'type');
+    if (!getAttribute(element, 'async') && !getAttribute(element, 'defer')) {
+      attributes.push({ name: 'defer', value: null });
+    }
+
+    output += html.slice(cursor, element.start) + `<script${formatAttributes(attributes)}>`;
+    cursor = element.openEnd;
+  }
+
+  return { html: output + html.slice(cursor), warnings };
+}
+
+/**
+ * Whether a <script> element is an ES module
+ */
+function isModuleScript(element) {
+  const type = getAttribute(element, 'type');
+  return Boolean(type && (type.value || '').trim().toLowerCase() === 'module');
+}
+
+/**
+ * Resolve a reference to an existing project file, or null
+ */
+async function resolveLocalFile(projectDir, fromFile, value) {
+  const file = resolveReference(fromFile, value);
+  if (!file || file === '..' || file.startsWith('../')) return null;
+
+  const filePath = path.join(projectDir, file);
+  if (!await fs.pathExists(filePath) || !(await fs.stat(filePath)).isFile()) return null;
+
+  return file;
+}
+
+/**
+ * Read a project file as UTF-8 text, or return null if it isn't text
+ */
+async function readTextFile(projectDir, file) {
+  const bytes = await fs.readFile(path.join(projectDir, file));
+  return isTextFile(file, bytes) ? bytes.toString('utf8') : null;
+}
+
+/**
+ * Read a stylesheet with its @imports inlined and url() references
+ * rewritten for the bundle
+ *
+ * Returns null if the stylesheet isn't UTF-8 text.
+ */
+async function inlineCss(context, file, seen) {
+  let css = await readTextFile(context.projectDir, file);
+  if (css === null) return null;
+  if (context.transformSource) {
+    css = context.transformSource(css, file);
+  }
+  seen.add(file);
+
+  return rewriteCss(context, css, file, seen);
+}
+
+/**
+ * Inline the @imports of a stylesheet and rewrite its url() references
+ *
+ * file is the project-relative path references are resolved against.
+ */
+async function rewriteCss(context, css, file, seen) {
+  const lower = css.toLowerCase();
+  let output = '';
+  let cursor = 0;
+
+  for (const reference of findCssReferences(css)) {
+    if (reference.start < cursor) continue;
+
+    if (reference.kind === 'import') {
+      const importFile = await resolveLocalFile(context.projectDir, file, reference.value);
+      if (!importFile) continue;
+
+      const statementStart = lower.lastIndexOf('@import', reference.start);
+      const semicolon = css.indexOf(';', reference.end);
+      const statementEnd = semicolon === -1 ? css.length : semicolon + 1;
+      const media = css.slice(reference.end, semicolon === -1 ? css.length : semicolon)
+        .replace(/^["']?\s*\)?/, '')
+        .trim();
+
+      output += css.slice(cursor, statementStart);
+      cursor = statementEnd;
+
+      if (seen.has(importFile)) {
+        context.warnings.push(`Circular @import of ${importFile} from ${file} skipped`);
+        continue;
+      }
+
+      const importedCss = await inlineCss(context, importFile, new Set(seen));
+      if (importedCss === null) {
+        // Keep the @import, pointing at the file copied unchanged
+        context.warnings.push(`${importFile} isn't UTF-8 text and was copied alongside the bundle instead of inlined`);
+        context.keptImports.push(css.slice(statementStart, reference.start) + await context.assets.url(importFile) + css.slice(reference.end, statementEnd));
+        continue;
+      }
+
+      const imported = `/* ${importFile} */\n${importedCss}`;
+      output += media ? `@media ${media} {\n${imported}\n}` : imported;
+    } else {
+      const assetFile = await resolveLocalFile(context.projectDir, file, reference.value);
+      if (!assetFile) continue;
+
+      let url = await context.assets.url(assetFile);
+
+      // Keep any query string or fragment on files that aren't inlined
+      if (!url.startsWith('data:')) {
+        const value = reference.value.trim();
+        url += value.slice(value.split(/[?#]/)[0].length);
+      }
+
+      output += css.slice(cursor, reference.start) + url;
+      cursor = reference.end;
+    }
+  }
+
+  return output + css.slice(cursor);
+}
+
+/**
+ * Put the @imports kept while inlining a stylesheet at its start, where
+ * they have to be to apply
+ */
+function hoistKeptImports(context, css) {
+  return context.keptImports.length > 0 ? `${context.keptImports.join('\n')}\n${css}` : css;
+}
+
+/**
+ * Format attributes back into a start tag
+ */
+function formatAttributes(attributes) {
+  return attributes
+    .map(attribute => (attribute.value === null ?
+      ` ${attribute.name}` :
+      ` ${attribute.name}="${escapeAttribute(attribute.value)}"`))
+    .join('');
+}
+
+/**
+ * Format a replacement attribute value, quoting it if it wasn't quoted
+ */
+function formatAttributeValue(html, attribute, value) {
+  const quote = html[attribute.valueStart - 1];
+  return quote === '"' || quote === '\'' ? escapeAttribute(value) : `"${escapeAttribute(value)}"`;
+}
+
+/**
+ * Escape an attribute value for a double-quoted attribute
+ */
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Keep inlined code from closing its <script> element early
+ */
+function escapeInlineScript(code) {
+  return code
+    .replace(/<\/(script)/gi, '<\\/$1')
+    .replace(/<!--/g, '<\\!--');
+}
+
+/**
+ * Keep inlined CSS from closing its <style> element early
+ */
+function escapeInlineStyle(css) {
+  return css.replace(/<\/(style)/gi, '<\\/$1');
+}
+
+/**
+ * Insert content before </body>, falling back to </html> or the end
+ */
+function insertBeforeClosingTag(html, content) {
+  for (const tag of ['</body', '</html']) {
+    const index = html.toLowerCase().lastIndexOf(tag);
+    if (index !== -1) {
+      return html.slice(0, index) + content + html.slice(index);
+    }
+  }
+
+  return html + content;
+}
+
+module.exports = {
+  bundleHtml,
+  createAssetResolver,
+  findModuleEntries,
+  rewriteModuleScripts,
+  escapeInlineScript,
+  escapeInlineStyle
+};
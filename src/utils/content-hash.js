@@ -0,0 +1,247 @@
+/**
+ * Content Hash
+ *
+ * Renames the files of a finished build to name.<hash>.ext for cache
+ * busting, and rewrites the HTML, CSS and JavaScript references to them.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { tokenize } = require('./js-tokenizer');
+const { parseHtml, getAttribute, findHtmlReferences, findCssReferences, resolveReference } = require('./references');
+const { isTextFile } = require('./file-types');
+const { createLineIndex, shiftGeneratedColumns } = require('./source-map');
+const { sha256 } = require('./build-cache');
+
+// Written next to the build for the host app to look hashed names up in
+const ASSET_MANIFEST_FILE = 'asset-manifest.json';
+
+// Hex digits of the content hash put into file names
+const HASH_LENGTH = 8;
+
+// Script types that hold JavaScript
+const JS_SCRIPT_TYPES = /^(|module|(text|application)\/(java|ecma)script)$/i;
+
+// The sourceMappingURL comment closing a minified file
+const SOURCE_MAP_COMMENT = /(sourceMappingURL=)([^\s*]+)(\s*(\*\/)?\s*)$/;
+
+/**
+ * Give the files of a build content-hashed names
+ *
+ * files lists the output files relative to outputDir. Only files another
+ * output file references through HTML, CSS or a relative import are
+ * renamed, since those references can be rewritten; HTML pages, source
+ * maps and the files in keep never are. A source map next to a renamed
+ * file moves along with it.
+ *
+ * A hash covers the file and everything it references, so changing an
+ * image renames the stylesheets that use it too. Returns a Map of original
+ * name to hashed name.
+ */
+async function hashOutputFiles(outputDir, files, keep = []) {
+  const fileSet = new Set(files);
+  const outputs = new Map();
+  for (const file of files) {
+    const bytes = await fs.readFile(path.join(outputDir, file));
+    const text = isTextFile(file, bytes) ? bytes.toString('utf8') : null;
+    outputs.set(file, {
+      bytes,
+      text,
+      hasMap: await fs.pathExists(path.join(outputDir, `${file}.map`)),
+      references: text === null ? [] : findReferences(file, text).filter(reference => fileSet.has(reference.path))
+    });
+  }
+
+  const kept = new Set(keep);
+  const referenced = new Set([...outputs.values()].flatMap(output => output.references.map(reference => reference.path)));
+  const hashable = file => referenced.has(file) && !kept.has(file) && !/\.(html?|map)$/i.test(file);
+
+  const ownHashes = new Map([...outputs].map(([file, output]) => [file, sha256(output.bytes)]));
+  const renamed = new Map();
+  for (const file of [...outputs.keys()].filter(hashable)) {
+    const hash = sha256([...collectDependencies(file, outputs)].sort().map(item => ownHashes.get(item)).join('\n'));
+    renamed.set(file, addHash(file, hash.slice(0, HASH_LENGTH)));
+  }
+
+  // Rewrite references first, then move renamed files and their maps
+  for (const [file, output] of outputs) {
+    const newFile = renamed.get(file) || file;
+    const edits = output.references
+      .filter(reference => renamed.has(reference.path))
+      .map(reference => ({ ...reference, text: renameInReference(reference.text, renamed.get(reference.path)) }));
+
+    if (output.text !== null && (edits.length > 0 || (output.hasMap && newFile !== file))) {
+      let content = applyEdits(output.text, edits);
+      if (output.hasMap && newFile !== file) {
+        content = content.replace(SOURCE_MAP_COMMENT, (comment, prefix, url, suffix) =>
+          `${prefix}${encodeURI(path.posix.basename(newFile))}.map${suffix}`);
+      }
+      await fs.writeFile(path.join(outputDir, newFile), content);
+      if (newFile !== file) await fs.remove(path.join(outputDir, file));
+    } else if (newFile !== file) {
+      await fs.move(path.join(outputDir, file), path.join(outputDir, newFile), { overwrite: true });
+    }
+
+    if (output.hasMap && (edits.length > 0 || newFile !== file)) {
+      await updateSourceMap(outputDir, file, newFile, output.text, edits);
+    }
+  }
+
+  return renamed;
+}
+
+/**
+ * Move the source map of a file along with it, with mappings after
+ * rewritten references shifted by the change in their length
+ */
+async function updateSourceMap(outputDir, file, newFile, text, edits) {
+  const map = await fs.readJson(path.join(outputDir, `${file}.map`));
+  const positionAt = createLineIndex(text);
+  const shifts = edits.map(edit => ({
+    ...positionAt(edit.end),
+    delta: edit.text.length - (edit.end - edit.start)
+  }));
+
+  map.file = path.posix.basename(newFile);
+  map.mappings = shiftGeneratedColumns(map.mappings, shifts);
+  await fs.writeJson(path.join(outputDir, `${newFile}.map`), map);
+  if (newFile !== file) await fs.remove(path.join(outputDir, `${file}.map`));
+}
+
+/**
+ * Write asset-manifest.json, mapping original file names to hashed ones
+ *
+ * Hashed files an earlier asset-manifest.json in outputDir listed that
+ * this build didn't write again are removed.
+ */
+async function writeAssetManifest(outputDir, renamed) {
+  const manifestPath = path.join(outputDir, ASSET_MANIFEST_FILE);
+  const previous = await fs.readJson(manifestPath).catch(() => ({}));
+  const current = new Set(renamed.values());
+  for (const file of Object.values(previous)) {
+    if (typeof file !== 'string' || current.has(file) ||
+        resolveReference('', file) !== file || file.startsWith('../')) continue;
+    await fs.remove(path.join(outputDir, file));
+    await fs.remove(path.join(outputDir, `${file}.map`));
+  }
+
+  const entries = [...renamed].sort(([a], [b]) => a.localeCompare(b));
+  await fs.writeJson(manifestPath, Object.fromEntries(entries), { spaces: 2 });
+}
+
+/**
+ * Find the references in an HTML, CSS or JavaScript file
+ *
+ * Returns { path, text, start, end } with text the reference as written
+ * between start and end, and path the file it resolves to.
+ */
+function findReferences(file, text) {
+  let references = [];
+
+  if (/\.html?$/i.test(file)) {
+    references = findHtmlReferences(text);
+    for (const element of parseHtml(text)) {
+      const type = getAttribute(element, 'type');
+      if (element.tag === 'script' && element.content &&
+          JS_SCRIPT_TYPES.test(type && type.value ? type.value.trim() : '')) {
+        references.push(...findJsImports(element.content, element.contentStart));
+      }
+    }
+  } else if (/\.css$/i.test(file)) {
+    references = findCssReferences(text);
+  } else if (/\.m?js$/i.test(file)) {
+    references = findJsImports(text);
+  }
+
+  return references
+    .map(reference => ({
+      path: resolveReference(file, reference.value),
+      text: text.slice(reference.start, reference.end),
+      start: reference.start,
+      end: reference.end
+    }))
+    .filter(reference => reference.path !== null)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Find the relative static and dynamic import specifiers in JavaScript
+ *
+ * Returns { value, start, end } with start/end delimiting the specifier
+ * inside its quotes. Code that can't be tokenized has none.
+ */
+function findJsImports(code, offset = 0) {
+  let tokens;
+  try {
+    tokens = tokenize(code).filter(token => token.type !== 'comment');
+  } catch (error) {
+    return [];
+  }
+
+  const isName = (token, value) => Boolean(token) && token.type === 'name' && !token.afterDot && token.value === value;
+  const imports = [];
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'string') return;
+
+    const previous = tokens[index - 1];
+    const isImport = isName(previous, 'from') || isName(previous, 'import') ||
+      (previous && previous.value === '(' && isName(tokens[index - 2], 'import'));
+    const value = token.value.slice(1, -1);
+    if (!isImport || value.includes('\\') || !/^(\.{1,2})?\//.test(value)) return;
+
+    imports.push({ value, start: offset + token.start + 1, end: offset + token.end - 1 });
+  });
+
+  return imports;
+}
+
+/**
+ * Collect a file and every output file it references, directly or not
+ */
+function collectDependencies(file, outputs, seen = new Set()) {
+  seen.add(file);
+  for (const reference of outputs.get(file).references) {
+    if (!seen.has(reference.path)) collectDependencies(reference.path, outputs, seen);
+  }
+  return seen;
+}
+
+/**
+ * Insert a hash before the extension of a file name
+ */
+function addHash(file, hash) {
+  const ext = path.posix.extname(file);
+  return `${file.slice(0, file.length - ext.length)}.${hash}${ext}`;
+}
+
+/**
+ * Point a reference at a renamed file, keeping its directory part, query
+ * and fragment
+ */
+function renameInReference(text, newFile) {
+  const pathEnd = text.search(/[?#]|$/);
+  const slash = text.lastIndexOf('/', pathEnd - 1);
+  return text.slice(0, slash + 1) + encodeURI(path.posix.basename(newFile)) + text.slice(pathEnd);
+}
+
+/**
+ * Apply { start, end, text } edits, in source order, to a string
+ */
+function applyEdits(text, edits) {
+  let output = '';
+  let cursor = 0;
+
+  for (const edit of edits) {
+    output += text.slice(cursor, edit.start) + edit.text;
+    cursor = edit.end;
+  }
+
+  return output + text.slice(cursor);
+}
+
+module.exports = {
+  hashOutputFiles,
+  writeAssetManifest,
+  ASSET_MANIFEST_FILE
+};
@@ -0,0 +1,237 @@
+/**
+ * CSS Minifier
+ *
+ * Removes comments and whitespace from stylesheets without touching
+ * strings, url() values or escapes. Spaces are only dropped where CSS
+ * doesn't need them: around braces, semicolons and commas, after the colon
+ * of a declaration and around selector combinators.
+ */
+
+const { createSourceMapBuilder, createLineIndex, createPositionTracker } = require('./source-map');
+
+// Characters that never need a space around them
+const SEPARATORS = '{};,';
+
+// Selector combinators
+const COMBINATORS = '>+~';
+
+/**
+ * Minify CSS
+ */
+function minifyCss(css) {
+  return minify(css);
+}
+
+/**
+ * Minify CSS and map the output back to the original stylesheet
+ *
+ * Options:
+ *   source - the original file as it should appear in the source map
+ *   file - the name of the generated file
+ *
+ * Returns { code, map }.
+ */
+function minifyCssWithSourceMap(css, options = {}) {
+  const builder = createSourceMapBuilder();
+  const source = builder.addSource(options.source || 'source.css', css);
+  const positionAt = createLineIndex(css);
+
+  const code = minify(css, (offset, generated) => {
+    const original = positionAt(offset);
+    builder.addMapping({
+      generatedLine: generated.line,
+      generatedColumn: generated.column,
+      source,
+      originalLine: original.line,
+      originalColumn: original.column
+    });
+  });
+
+  return { code, map: builder.toJSON(options.file || '') };
+}
+
+/**
+ * Minify CSS, calling onEmit with the source offset and output position
+ * of each selector, declaration and value part
+ */
+function minify(css, onEmit = null) {
+  let output = '';
+  let pendingSpace = false;
+  let mode = null;
+  let parenDepth = 0;
+  let afterPropertyColon = false;
+  let sawPropertyColon = false;
+  let i = 0;
+  const position = createPositionTracker();
+
+  const append = text => {
+    output += text;
+    if (onEmit) position.advance(text);
+  };
+
+  const emit = text => {
+    const last = output[output.length - 1];
+    let startsPart = !output || SEPARATORS.includes(last);
+    if (pendingSpace && output && keepSpace(last, text[0])) {
+      append(' ');
+      startsPart = true;
+    }
+    if (onEmit && startsPart) onEmit(i, position);
+    append(text);
+    pendingSpace = false;
+    afterPropertyColon = false;
+  };
+
+  const keepSpace = (last, next) => {
+    if (SEPARATORS.includes(last) || SEPARATORS.includes(next)) return false;
+    if (last === '(' || next === ')' || next === '!') return false;
+    if (afterPropertyColon) return false;
+    if (mode === 'selector' && (COMBINATORS.includes(last) || COMBINATORS.includes(next))) return false;
+    if (mode === 'declaration' && next === ':' && !sawPropertyColon) return false;
+    if (mode === 'atrule' && parenDepth > 0 && (last === ':' || next === ':')) return false;
+    return true;
+  };
+
+  while (i < css.length) {
+    const char = css[i];
+
+    // Work out what a new statement is before emitting it
+    if (mode === null && !/\s/.test(char) && !css.startsWith('/*', i)) {
+      mode = getStatementMode(css, i);
+      sawPropertyColon = false;
+    }
+
+    if (/\s/.test(char)) {
+      pendingSpace = true;
+      i++;
+    } else if (css.startsWith('/*', i)) {
+      const close = css.indexOf('*/', i + 2);
+      const end = close === -1 ? css.length : close + 2;
+      // Keep /*! license comments
+      if (css.startsWith('/*!', i)) {
+        emit(css.slice(i, end));
+      } else {
+        pendingSpace = true;
+      }
+      i = end;
+    } else if (char === '"' || char === '\'') {
+      const end = findStringEnd(css, i);
+      emit(css.slice(i, end));
+      i = end;
+    } else if (char === '\\') {
+      emit(css.slice(i, i + 2));
+      i += 2;
+    } else if (/^url\(/i.test(css.slice(i, i + 4)) && !/[\w-]/.test(css[i - 1] || '')) {
+      const end = findUrlEnd(css, i + 4);
+      if (end === i + 4) {
+        // A quoted URL continues as a string and a closing paren
+        emit(css.slice(i, end));
+        parenDepth++;
+      } else if (css[end - 1] === ')') {
+        emit(`${css.slice(i, i + 4)}${css.slice(i + 4, end - 1).trim()})`);
+      } else {
+        emit(css.slice(i, end));
+      }
+      i = end;
+    } else {
+      if (char === '}' && output.endsWith(';')) {
+        output = output.slice(0, -1);
+        position.column--;
+      }
+
+      const duplicateSemicolon = char === ';' && (output.endsWith(';') || output.endsWith('{'));
+      if (!duplicateSemicolon) {
+        emit(char);
+      }
+
+      if (char === '(') parenDepth++;
+      if (char === ')') parenDepth = Math.max(0, parenDepth - 1);
+      if (char === ':' && mode === 'declaration' && parenDepth === 0 && !sawPropertyColon) {
+        sawPropertyColon = true;
+        afterPropertyColon = true;
+      }
+      if (SEPARATORS.includes(char) && char !== ',' && parenDepth === 0) {
+        mode = null;
+        pendingSpace = false;
+      }
+      i++;
+    }
+  }
+
+  return output.trim();
+}
+
+/**
+ * Decide whether the statement starting at index is a selector, a
+ * declaration or an at-rule
+ */
+function getStatementMode(css, index) {
+  if (css[index] === '@') return 'atrule';
+
+  let depth = 0;
+  for (let i = index; i < css.length; i++) {
+    const char = css[i];
+
+    if (char === '"' || char === '\'') {
+      i = findStringEnd(css, i) - 1;
+    } else if (char === '\\') {
+      i++;
+    } else if (css.startsWith('/*', i)) {
+      const close = css.indexOf('*/', i + 2);
+      i = close === -1 ? css.length : close + 1;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (depth === 0 && char === '{') {
+      return 'selector';
+    } else if (depth === 0 && (char === ';' || char === '}')) {
+      return 'declaration';
+    }
+  }
+
+  return 'declaration';
+}
+
+/**
+ * Find the index after a string starting at a quote
+ */
+function findStringEnd(css, start) {
+  const quote = css[start];
+
+  for (let i = start + 1; i < css.length; i++) {
+    if (css[i] === '\\') {
+      i++;
+    } else if (css[i] === quote || css[i] === '\n') {
+      return i + 1;
+    }
+  }
+
+  return css.length;
+}
+
+/**
+ * Find the index after the ) closing an unquoted url(
+ */
+function findUrlEnd(css, start) {
+  let i = start;
+  while (/\s/.test(css[i] || '')) i++;
+
+  // Quoted URLs are handled as strings
+  if (css[i] === '"' || css[i] === '\'') return start;
+
+  for (; i < css.length; i++) {
+    if (css[i] === '\\') {
+      i++;
+    } else if (css[i] === ')') {
+      return i + 1;
+    }
+  }
+
+  return css.length;
+}
+
+module.exports = {
+  minifyCss,
+  minifyCssWithSourceMap
+};
@@ -0,0 +1,164 @@
+/**
+ * Dependency Graph
+ *
+ * Works out which project files a plugin actually uses by starting at the
+ * files named in the manifest and following references from HTML and CSS,
+ * and relative imports from JavaScript modules.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { parseHtml, getAttribute, findHtmlReferences, findCssReferences, resolveReference } = require('./references');
+const { isFileTarget } = require('./project-validator');
+const { findModuleSpecifiers } = require('./js-modules');
+const { resolveSpecifier } = require('./module-bundler');
+
+// Specifiers naming project files rather than packages
+const RELATIVE_SPECIFIER = /^\.{0,2}\//;
+
+/**
+ * Get the project files a manifest refers to
+ */
+function getManifestReferences(manifest) {
+  const references = ['manifest.json', manifest.entryPoint || 'index.html'];
+
+  if (typeof manifest.icon === 'string' && manifest.icon) {
+    references.push(manifest.icon);
+  }
+
+  if (manifest.hooks && typeof manifest.hooks === 'object') {
+    for (const target of Object.values(manifest.hooks)) {
+      if (isFileTarget(target)) references.push(target);
+    }
+  }
+
+  if (Array.isArray(manifest.shortcuts)) {
+    for (const shortcut of manifest.shortcuts) {
+      if (!shortcut || typeof shortcut !== 'object') continue;
+      if (isFileTarget(shortcut.action)) references.push(shortcut.action);
+      if (typeof shortcut.icon === 'string' && shortcut.icon) references.push(shortcut.icon);
+    }
+  }
+
+  return references
+    .map(reference => resolveReference('', reference))
+    .filter(Boolean);
+}
+
+/**
+ * Find the references a file makes, by file type
+ */
+function findFileReferences(relativePath, content) {
+  const ext = path.extname(relativePath).toLowerCase();
+
+  if (ext === '.html' || ext === '.htm') {
+    return [...findHtmlReferences(content), ...findInlineModuleImports(content)];
+  }
+  if (ext === '.css') {
+    return findCssReferences(content);
+  }
+  if (ext === '.js' || ext === '.mjs') {
+    return findImports(content);
+  }
+
+  return [];
+}
+
+/**
+ * Find the relative imports of a JavaScript module
+ *
+ * Kinds: import, dynamic-import (import() calls). Packages from
+ * node_modules aren't project files and are left to the module bundler.
+ */
+function findImports(code) {
+  return findModuleSpecifiers(code)
+    .filter(({ specifier }) => RELATIVE_SPECIFIER.test(specifier))
+    .map(({ specifier, dynamic }) => ({ kind: dynamic ? 'dynamic-import' : 'import', value: specifier }));
+}
+
+/**
+ * Find the relative imports of inline <script type="module"> elements
+ */
+function findInlineModuleImports(html) {
+  return parseHtml(html)
+    .filter(element => element.tag === 'script' && element.content && !getAttribute(element, 'src') && isModuleScript(element))
+    .flatMap(element => findImports(element.content).map(reference => ({ ...reference, element })));
+}
+
+/**
+ * Whether a <script> element is an ES module
+ */
+function isModuleScript(element) {
+  const type = getAttribute(element, 'type');
+  return Boolean(type && (type.value || '').trim().toLowerCase() === 'module');
+}
+
+/**
+ * Build the dependency graph of a project
+ *
+ * Returns:
+ *   files   - Map of relative path to { references } for every reachable file
+ *   missing - [{ path, from }] referenced files that don't exist
+ *   outside - [{ reference, from }] references pointing outside the project
+ */
+async function buildDependencyGraph(projectDir, entries) {
+  const files = new Map();
+  const missing = [];
+  const outside = [];
+  const queue = entries.map(entry => ({ path: entry, from: 'manifest.json' }));
+
+  while (queue.length > 0) {
+    const { path: relativePath, from } = queue.shift();
+    if (files.has(relativePath) || missing.some(item => item.path === relativePath)) continue;
+
+    if (relativePath.startsWith('../') || relativePath === '..') {
+      outside.push({ reference: relativePath, from });
+      continue;
+    }
+
+    const filePath = path.join(projectDir, relativePath);
+    if (!await fs.pathExists(filePath) || !(await fs.stat(filePath)).isFile()) {
+      missing.push({ path: relativePath, from });
+      continue;
+    }
+
+    const node = { references: [] };
+    files.set(relativePath, node);
+
+    const ext = path.extname(relativePath).toLowerCase();
+    if (!['.html', '.htm', '.css', '.js', '.mjs'].includes(ext)) continue;
+
+    const content = await fs.readFile(filePath, 'utf8');
+    for (const reference of findFileReferences(relativePath, content)) {
+      const resolved = reference.kind === 'import' || reference.kind === 'dynamic-import'
+        ? await resolveImport(projectDir, relativePath, reference.value)
+        : resolveReference(relativePath, reference.value);
+      if (!resolved) continue;
+
+      node.references.push({ ...reference, path: resolved });
+      queue.push({ path: resolved, from: relativePath });
+    }
+  }
+
+  return { files, missing, outside };
+}
+
+/**
+ * Resolve a relative import the way the module bundler does, trying
+ * extensions and index files
+ *
+ * Imports that don't resolve are returned as written, to be reported
+ * missing.
+ */
+async function resolveImport(projectDir, fromFile, specifier) {
+  const resolved = await resolveSpecifier(projectDir, specifier, path.join(projectDir, fromFile));
+  if (!resolved) return resolveReference(fromFile, specifier);
+
+  return path.relative(projectDir, resolved).split(path.sep).join('/');
+}
+
+module.exports = {
+  getManifestReferences,
+  findFileReferences,
+  buildDependencyGraph
+};
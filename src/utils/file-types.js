@@ -0,0 +1,41 @@
+/**
+ * File Types
+ *
+ * Tells text files from binary ones, so a build only transforms files that
+ * are safe to read as UTF-8 and copies everything else byte for byte.
+ */
+
+const path = require('path');
+
+// Extensions that are always binary, whatever their content looks like
+const BINARY_EXTENSIONS = new Set([
+  '.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.ico', '.bmp', '.tif', '.tiff',
+  '.woff', '.woff2', '.ttf', '.otf', '.eot',
+  '.wasm', '.pdf', '.zip', '.gz', '.br',
+  '.mp3', '.mp4', '.m4a', '.ogg', '.wav', '.webm'
+]);
+
+// Throws on bytes that aren't valid UTF-8
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Whether a file is text that can be read and written back as UTF-8
+ *
+ * Files with a binary extension, NUL bytes (binary formats, UTF-16) or
+ * invalid UTF-8 sequences are binary.
+ */
+function isTextFile(file, content) {
+  if (BINARY_EXTENSIONS.has(path.extname(file).toLowerCase())) return false;
+  if (content.includes(0)) return false;
+
+  try {
+    utf8Decoder.decode(content);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  isTextFile
+};
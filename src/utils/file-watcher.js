@@ -0,0 +1,198 @@
+/**
+ * File Watcher
+ *
+ * Watches a project for changes with one non-recursive fs.watch per
+ * directory, since recursive watching isn't available everywhere. Bursts
+ * of events are collected into one callback, editor temp files and ignored
+ * paths are skipped, and directories added or removed while watching are
+ * picked up or dropped.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { loadIgnoreRules } = require('./ignore');
+
+// Directories never watched
+const ALWAYS_IGNORED_DIRS = ['.git', 'node_modules'];
+
+// Files whose patterns leave paths unwatched
+const IGNORE_FILES = ['.gitignore', '.cposignore'];
+
+// Swap, backup and lock files editors write next to the files being edited
+const EDITOR_TEMP_FILE = /^(\.#.*|#.*#|.*~|.*\.sw[a-p]|4913|\.DS_Store|Thumbs\.db|.*___jb_(tmp|old)___)$/;
+
+// How long to wait for a burst of events to settle
+const DEFAULT_DELAY = 100;
+
+/**
+ * Watch a directory tree
+ *
+ * options:
+ *   ignore    - project-relative directories not to watch, like the build
+ *               output, besides .git and node_modules
+ *   keep      - project-relative files reported even if .gitignore or
+ *               .cposignore match them, like .env files
+ *   delay     - milliseconds to wait for a burst of events to settle
+ *   onChange(files) - called with the project-relative paths (forward
+ *               slashes) that changed, were added or were removed; a
+ *               directory added while watching reports the files in it
+ *
+ * Returns watcher:
+ *   close()   - stop watching
+ *
+ * Throws if rootDir can't be watched.
+ */
+async function createFileWatcher(rootDir, options = {}) {
+  const ignoredDirs = [...ALWAYS_IGNORED_DIRS, ...(options.ignore || [])]
+    .map(dir => toUrlPath(dir).replace(/\/$/, ''))
+    .filter(dir => dir && !dir.startsWith('../'));
+  const keep = new Set((options.keep || []).map(toUrlPath));
+  const delay = options.delay !== undefined ? options.delay : DEFAULT_DELAY;
+  const onChange = options.onChange || (() => {});
+
+  const watchers = new Map();
+  const pending = new Set();
+  let isIgnoredByRules = await loadIgnoreRules(rootDir, IGNORE_FILES);
+  let timer = null;
+  let flushing = false;
+  let closed = false;
+
+  const isIgnored = (relativePath, isDirectory) => {
+    if (ignoredDirs.some(dir => relativePath === dir || relativePath.startsWith(`${dir}/`))) return true;
+    if (keep.has(relativePath)) return false;
+    if (!isDirectory && EDITOR_TEMP_FILE.test(path.posix.basename(relativePath))) return true;
+    return isIgnoredByRules(relativePath, isDirectory);
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(flush, delay);
+  };
+
+  // Watch a directory and the directories below it that aren't watched
+  // yet; returns the files in the newly watched ones
+  const watchTree = async relativeDir => {
+    if (closed || (relativeDir && isIgnored(relativeDir, true))) return [];
+
+    const dirPath = path.join(rootDir, relativeDir);
+    const isNew = !watchers.has(relativeDir);
+    let entries;
+    try {
+      if (isNew) {
+        const watcher = fs.watch(dirPath, (eventType, filename) => {
+          // Without a name, rescan the whole directory
+          pending.add(filename ? join(relativeDir, filename.toString()) : relativeDir);
+          schedule();
+        });
+        watcher.on('error', () => unwatchTree(relativeDir));
+        watchers.set(relativeDir, watcher);
+      }
+      entries = await fs.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      if (!relativeDir) throw error;
+      unwatchTree(relativeDir);
+      return [];
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const relativePath = join(relativeDir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await watchTree(relativePath));
+      } else if (isNew && !isIgnored(relativePath, false)) {
+        files.push(relativePath);
+      }
+    }
+    return files;
+  };
+
+  const unwatchTree = relativeDir => {
+    for (const [dir, watcher] of watchers) {
+      if (!relativeDir || dir === relativeDir || dir.startsWith(`${relativeDir}/`)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    }
+  };
+
+  // Changed ignore files change which directories are watched
+  const reloadIgnoreRules = async () => {
+    isIgnoredByRules = await loadIgnoreRules(rootDir, IGNORE_FILES);
+    for (const dir of [...watchers.keys()]) {
+      if (dir && isIgnored(dir, true)) unwatchTree(dir);
+    }
+    return watchTree('').catch(() => []);
+  };
+
+  const flush = async () => {
+    if (flushing) {
+      schedule();
+      return;
+    }
+    flushing = true;
+
+    const changed = new Set();
+    const paths = [...pending];
+    pending.clear();
+
+    for (const relativePath of paths) {
+      if (closed) break;
+      const stat = await fs.stat(path.join(rootDir, relativePath)).catch(() => null);
+
+      if (stat && stat.isDirectory()) {
+        // Directories added while watching are watched and their files
+        // reported; events on watched ones rescan them for directories
+        // the events missed
+        (await watchTree(relativePath)).forEach(file => changed.add(file));
+      } else if (!stat) {
+        // In a removed directory only the directory itself is reported,
+        // by the watcher of the directory it was in
+        const parentDir = path.posix.dirname(relativePath);
+        if (parentDir !== '.' && !await fs.pathExists(path.join(rootDir, parentDir))) continue;
+
+        const wasDirectory = [...watchers.keys()].some(dir => dir === relativePath || dir.startsWith(`${relativePath}/`));
+        unwatchTree(relativePath);
+        if (wasDirectory || !isIgnored(relativePath, false)) changed.add(relativePath);
+      } else if (!isIgnored(relativePath, false)) {
+        changed.add(relativePath);
+      }
+
+      if (IGNORE_FILES.includes(relativePath)) {
+        (await reloadIgnoreRules()).forEach(file => changed.add(file));
+      }
+    }
+
+    flushing = false;
+    if (changed.size > 0 && !closed) onChange([...changed].sort());
+  };
+
+  await watchTree('');
+
+  const watcher = {
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      unwatchTree('');
+    }
+  };
+
+  return watcher;
+}
+
+/**
+ * Join a project-relative directory and a name with forward slashes
+ */
+function join(relativeDir, name) {
+  return relativeDir ? `${relativeDir}/${toUrlPath(name)}` : toUrlPath(name);
+}
+
+/**
+ * Convert a relative path to forward slashes
+ */
+function toUrlPath(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+module.exports = {
+  createFileWatcher
+};
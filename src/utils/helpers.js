@@ -6,6 +6,9 @@ const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
 
+// Optional build config file in plugin projects
+const BUILD_CONFIG_FILE = 'cpos.config.json';
+
 /**
  * Check if current directory is a plugin project
  */
@@ -35,6 +38,30 @@ async function saveManifest(manifest, dir = process.cwd()) {
   await fs.writeJson(manifestPath, manifest, { spaces: 2 });
 }
 
+/**
+ * Load the project's cpos.config.json, or {} if there is none
+ */
+async function loadBuildConfig(dir = process.cwd()) {
+  const configPath = path.join(dir, BUILD_CONFIG_FILE);
+
+  if (!await fs.pathExists(configPath)) {
+    return {};
+  }
+
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`${BUILD_CONFIG_FILE} is not valid JSON: ${error.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${BUILD_CONFIG_FILE} must contain an object`);
+  }
+
+  return config;
+}
+
 /**
  * Generate safe filename from plugin name
  */
@@ -84,6 +111,18 @@ function formatFileSize(bytes) {
   return `${parseFloat((bytes / Math.pow(k, i)).toFixed(2))} ${sizes[i]}`;
 }
 
+/**
+ * Parse a size such as 8192, 8kb or 1.5MB into bytes
+ * Returns null if the size can't be parsed
+ */
+function parseFileSize(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|k|mb|m)?\s*$/i.exec(String(value));
+  if (!match) return null;
+
+  const units = { b: 1, k: 1024, kb: 1024, m: 1024 * 1024, mb: 1024 * 1024 };
+  return Math.round(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
 /**
  * Calculate directory size recursively
  */
@@ -142,6 +181,32 @@ async function findFilesByExtension(dir, extensions, excludeDirs = []) {
   return files;
 }
 
+/**
+ * List files in a directory recursively, named by their path relative to
+ * it (with prefix in front) using forward slashes
+ */
+async function listFiles(dir, prefix = '') {
+  const files = [];
+
+  if (!await fs.pathExists(dir)) {
+    return files;
+  }
+
+  for (const item of await fs.readdir(dir)) {
+    const itemPath = path.join(dir, item);
+    const name = prefix ? `${prefix}/${item}` : item;
+    const stat = await fs.stat(itemPath);
+
+    if (stat.isDirectory()) {
+      files.push(...await listFiles(itemPath, name));
+    } else {
+      files.push({ name, path: itemPath });
+    }
+  }
+
+  return files;
+}
+
 /**
  * Print error and exit
  */
@@ -216,11 +281,14 @@ module.exports = {
   isPluginProject,
   loadManifest,
   saveManifest,
+  loadBuildConfig,
   sanitizePluginName,
   copyTemplates,
   formatFileSize,
+  parseFileSize,
   getDirectorySize,
   findFilesByExtension,
+  listFiles,
   exitWithError,
   printWarning,
   printSuccess,
@@ -228,5 +296,6 @@ module.exports = {
   isValidVersion,
   compareVersions,
   getTemplatesDir,
-  getCliVersion
+  getCliVersion,
+  BUILD_CONFIG_FILE
 };
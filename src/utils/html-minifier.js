@@ -0,0 +1,176 @@
+/**
+ * HTML Minifier
+ *
+ * Removes comments and collapses whitespace in HTML. Whitespace inside
+ * <pre> and <textarea> is kept as written, inline <script> and <style>
+ * contents are minified as JavaScript and CSS, and whitespace between
+ * inline elements is collapsed to a single space rather than removed.
+ */
+
+const { minifyJs } = require('./js-minifier');
+const { minifyCss } = require('./css-minifier');
+
+// Tags, comments, doctypes and processing instructions
+const HTML_TOKEN_PATTERN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+
+// Elements whitespace next to can be removed without changing the layout
+const BLOCK_TAGS = new Set([
+  'html', 'head', 'body', 'title', 'meta', 'link', 'script', 'style', 'base', 'noscript', 'template',
+  'div', 'p', 'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th',
+  'caption', 'colgroup', 'col', 'section', 'article', 'aside', 'header', 'footer', 'nav', 'main',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'form', 'fieldset', 'legend', 'hr', 'br', 'figure', 'figcaption',
+  'blockquote', 'address', 'details', 'summary', 'dialog', 'option', 'optgroup', 'datalist', 'pre'
+]);
+
+// Elements whose content is copied or minified as a whole
+const RAW_CONTENT_TAGS = new Set(['script', 'style', 'pre', 'textarea']);
+
+// Script types holding JavaScript
+const JS_TYPE_PATTERN = /^(text\/javascript|application\/javascript|text\/ecmascript|application\/ecmascript|module)$/i;
+
+// Script types holding JSON
+const JSON_TYPE_PATTERN = /^(application\/json|application\/ld\+json|importmap)$/i;
+
+// HTML whitespace (not &nbsp;)
+const HTML_WHITESPACE = /[ \t\n\r\f]+/g;
+
+/**
+ * Minify HTML
+ *
+ * Options:
+ *   mangle - shorten local variable names in inline scripts (default true)
+ */
+function minifyHtml(html, options = {}) {
+  const parts = [];
+  const pattern = new RegExp(HTML_TOKEN_PATTERN.source, 'g');
+  let cursor = 0;
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    if (match.index > cursor) {
+      parts.push({ type: 'text', value: html.slice(cursor, match.index) });
+    }
+
+    const [token, closeName, openName, attributes] = match;
+
+    if (token.startsWith('<!--')) {
+      // Conditional comments are kept
+      if (/^<!--\[if|^<!\[endif/i.test(token)) {
+        parts.push({ type: 'other', value: token });
+      }
+    } else if (closeName) {
+      parts.push({ type: 'tag', name: closeName.toLowerCase(), value: `</${closeName}>` });
+    } else if (openName) {
+      const name = openName.toLowerCase();
+      parts.push({ type: 'tag', name, value: `<${openName}${formatAttributes(attributes)}>` });
+
+      if (RAW_CONTENT_TAGS.has(name) && !/\/\s*$/.test(attributes)) {
+        const closePattern = new RegExp(`</${name}\\s*>`, 'ig');
+        closePattern.lastIndex = pattern.lastIndex;
+        const close = closePattern.exec(html);
+        const contentEnd = close ? close.index : html.length;
+
+        parts.push({ type: 'raw', value: minifyContent(name, attributes, html.slice(pattern.lastIndex, contentEnd), options) });
+        if (close) {
+          parts.push({ type: 'tag', name, value: `</${name}>` });
+        }
+        pattern.lastIndex = close ? close.index + close[0].length : html.length;
+      }
+    } else {
+      parts.push({ type: 'other', value: token });
+    }
+
+    cursor = pattern.lastIndex;
+  }
+
+  if (cursor < html.length) {
+    parts.push({ type: 'text', value: html.slice(cursor) });
+  }
+
+  return parts.map((part, index) => {
+    if (part.type !== 'text') return part.value;
+
+    let text = part.value.replace(HTML_WHITESPACE, ' ');
+    if (isBlockBoundary(parts[index - 1])) text = text.trimStart();
+    if (isBlockBoundary(parts[index + 1])) text = text.trimEnd();
+    return text;
+  }).join('').trim();
+}
+
+/**
+ * Whether whitespace next to this part can be dropped
+ */
+function isBlockBoundary(part) {
+  if (!part) return true;
+  if (part.type === 'other' || part.type === 'raw') return true;
+  return part.type === 'tag' && BLOCK_TAGS.has(part.name);
+}
+
+/**
+ * Collapse whitespace between attributes, leaving quoted values alone
+ */
+function formatAttributes(attributes) {
+  let output = '';
+  let quote = null;
+
+  for (const char of attributes) {
+    if (quote) {
+      output += char;
+      if (char === quote) quote = null;
+    } else if (/[ \t\n\r\f]/.test(char)) {
+      if (!output.endsWith(' ')) output += ' ';
+    } else {
+      if (char === '"' || char === '\'') quote = char;
+      output += char;
+    }
+  }
+
+  output = output.replace(/ $/, '');
+
+  // <br /> can lose its space, but not after an unquoted value
+  if (output === ' /' || /["'] \/$/.test(output)) {
+    output = output.slice(0, -2) + '/';
+  }
+
+  return output;
+}
+
+/**
+ * Minify the content of a <script> or <style>; other content is kept
+ */
+function minifyContent(name, attributes, content, options) {
+  if (name === 'style') {
+    return keepIfUnsafe(minifyCss(content), content, 'style');
+  }
+
+  if (name !== 'script') return content;
+
+  const typeMatch = /(?:^|\s)type\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i.exec(attributes);
+  const type = typeMatch ? (typeMatch[1] || typeMatch[2] || typeMatch[3] || '').trim() : '';
+
+  if (!type || JS_TYPE_PATTERN.test(type)) {
+    return keepIfUnsafe(minifyJs(content, options), content, 'script');
+  }
+
+  if (JSON_TYPE_PATTERN.test(type)) {
+    try {
+      return keepIfUnsafe(JSON.stringify(JSON.parse(content)), content, 'script');
+    } catch {
+      return content.trim();
+    }
+  }
+
+  return content;
+}
+
+/**
+ * Fall back to the original content if the minified content would close
+ * its element early
+ */
+function keepIfUnsafe(minified, original, name) {
+  return new RegExp(`</${name}`, 'i').test(minified) ? original : minified;
+}
+
+module.exports = {
+  minifyHtml
+};
@@ -0,0 +1,152 @@
+/**
+ * Ignore Rules
+ *
+ * Reads .gitignore-style files (.cposignore, .gitignore) and matches
+ * project-relative paths against them.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Load ignore rules from files in a directory
+ * Returns a matcher: (relativePath, isDirectory) => boolean
+ */
+async function loadIgnoreRules(dir, fileNames = ['.cposignore']) {
+  const patterns = [];
+
+  for (const fileName of fileNames) {
+    const filePath = path.join(dir, fileName);
+    if (await fs.pathExists(filePath)) {
+      patterns.push(...(await fs.readFile(filePath, 'utf8')).split(/\r?\n/));
+    }
+  }
+
+  return createIgnoreMatcher(patterns);
+}
+
+/**
+ * Create a matcher from gitignore-style pattern lines
+ */
+function createIgnoreMatcher(patterns) {
+  const rules = patterns.map(parsePattern).filter(Boolean);
+
+  return function isIgnored(relativePath, isDirectory = false) {
+    if (rules.length === 0) return false;
+
+    const parts = relativePath.split(/[\\/]/).filter(Boolean);
+
+    // A file inside an ignored directory is ignored, as in git
+    for (let i = 1; i <= parts.length; i++) {
+      const isLast = i === parts.length;
+      if (matchRules(rules, parts.slice(0, i).join('/'), isLast ? isDirectory : true)) {
+        return true;
+      }
+    }
+
+    return false;
+  };
+}
+
+/**
+ * Apply rules in order; the last matching rule wins
+ */
+function matchRules(rules, relativePath, isDirectory) {
+  let ignored = false;
+
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) continue;
+    if (rule.regex.test(relativePath)) {
+      ignored = !rule.negated;
+    }
+  }
+
+  return ignored;
+}
+
+/**
+ * Parse a single pattern line
+ */
+function parsePattern(line) {
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
+
+  let negated = false;
+  if (pattern.startsWith('!')) {
+    negated = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
+  }
+
+  let directoryOnly = false;
+  if (pattern.endsWith('/')) {
+    directoryOnly = true;
+    pattern = pattern.slice(0, -1);
+  }
+
+  // Patterns containing a slash are relative to the ignore file's directory
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+  if (!pattern) return null;
+
+  const source = globToRegex(pattern);
+  return {
+    negated,
+    directoryOnly,
+    regex: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`)
+  };
+}
+
+/**
+ * Convert a glob to a regular expression source
+ */
+function globToRegex(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegex(glob[++i]);
+    } else {
+      source += escapeRegex(char);
+    }
+  }
+
+  return source;
+}
+
+/**
+ * Escape a character for use in a regular expression
+ */
+function escapeRegex(char) {
+  return char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+module.exports = {
+  loadIgnoreRules,
+  createIgnoreMatcher
+};
@@ -0,0 +1,570 @@
+/**
+ * JavaScript Minifier
+ *
+ * Removes comments and whitespace from tokenized JavaScript, keeping line
+ * breaks where automatic semicolon insertion depends on them, and shortens
+ * the names of variables local to functions.
+ *
+ * Names are only shortened when it is safe to do so from the token stream:
+ * top-level names are kept (other scripts and inline handlers may use them),
+ * and nothing is renamed in code that uses eval or with.
+ */
+
+const {
+  tokenize,
+  isKeyword,
+  matchBrackets,
+  canEndStatement,
+  continuesExpression,
+  isStatementStart,
+  getNameRole,
+  KEYWORDS
+} = require('./js-tokenizer');
+const { createSourceMapBuilder, createLineIndex, createPositionTracker } = require('./source-map');
+
+// Names that keep their meaning in some positions, never renamed
+const CONTEXTUAL_NAMES = new Set([
+  'arguments', 'eval', 'async', 'await', 'of', 'get', 'set', 'static', 'from', 'as',
+  'let', 'yield', 'target', 'meta', 'constructor', 'undefined'
+]);
+
+// Keywords a line break can't follow without ending the statement
+const RESTRICTED_KEYWORDS = new Set(['return', 'throw', 'break', 'continue', 'yield', 'async']);
+
+// Characters used for shortened names
+const NAME_START_CHARS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ_$';
+const NAME_CHARS = NAME_START_CHARS + '0123456789';
+
+/**
+ * Minify JavaScript
+ *
+ * Options:
+ *   mangle - shorten local variable names (default true)
+ *
+ * Code that can't be tokenized is returned unchanged.
+ */
+function minifyJs(code, options = {}) {
+  let tokens;
+  try {
+    tokens = tokenize(code);
+  } catch {
+    return code;
+  }
+
+  const renames = options.mangle === false ? new Map() : mangleNames(tokens.filter(isCode));
+  return printTokens(tokens, renames);
+}
+
+/**
+ * Minify JavaScript and map the output back to the original code
+ *
+ * Takes the same options as minifyJs, plus:
+ *   source - the original file as it should appear in the source map
+ *   file - the name of the generated file
+ *   sources - [{ source, content }] when the code was put together from
+ *             several files, used together with:
+ *   mapOffset - function from an offset in code to { source, offset }, with
+ *               source an index into sources, or null for generated code
+ *
+ * Returns { code, map }, where map is null if the code couldn't be
+ * tokenized and was returned unchanged.
+ */
+function minifyJsWithSourceMap(code, options = {}) {
+  let tokens;
+  try {
+    tokens = tokenize(code);
+  } catch {
+    return { code, map: null };
+  }
+
+  const builder = createSourceMapBuilder();
+  const sources = options.sources || [{ source: options.source || 'source.js', content: code }];
+  const mapOffset = options.sources ? options.mapOffset : offset => ({ source: 0, offset });
+  const sourceIndexes = sources.map(({ source, content }) => builder.addSource(source, content));
+  const lineIndexes = sources.map(({ content }) => createLineIndex(content));
+
+  const renames = options.mangle === false ? new Map() : mangleNames(tokens.filter(isCode));
+  const minified = printTokens(tokens, renames, (token, generated, name) => {
+    const mapped = mapOffset(token.start);
+    if (!mapped) return;
+
+    const original = lineIndexes[mapped.source](mapped.offset);
+    builder.addMapping({
+      generatedLine: generated.line,
+      generatedColumn: generated.column,
+      source: sourceIndexes[mapped.source],
+      originalLine: original.line,
+      originalColumn: original.column,
+      name: originalName(token, sources[mapped.source].content, mapped.offset) || name
+    });
+  });
+
+  return { code: minified, map: builder.toJSON(options.file || '') };
+}
+
+/**
+ * The name a token had in its source file, if it was renamed
+ */
+function originalName(token, content, offset) {
+  if (token.type !== 'name') return null;
+
+  const pattern = /[A-Za-z_$][\w$]*/y;
+  pattern.lastIndex = offset;
+  const match = pattern.exec(content);
+  return match && match[0] !== token.value ? match[0] : null;
+}
+
+/**
+ * Whether a token is code rather than a comment
+ */
+function isCode(token) {
+  return token.type !== 'comment' && token.type !== 'hashbang';
+}
+
+/**
+ * Print tokens with as little whitespace as possible
+ *
+ * onToken, if given, is called with each printed token, its position in the
+ * output and its original name if it was renamed.
+ */
+function printTokens(tokens, renames, onToken = null) {
+  let output = '';
+  let last = null;
+  let lastText = '';
+  let lineBreak = false;
+  const position = createPositionTracker();
+
+  const append = text => {
+    output += text;
+    if (onToken) position.advance(text);
+  };
+
+  for (const token of tokens) {
+    if (token.type === 'hashbang') {
+      append(token.value + '\n');
+      continue;
+    }
+
+    if (token.type === 'comment') {
+      // Keep /*! license comments
+      if (token.value.startsWith('/*!')) {
+        append((output && !output.endsWith('\n') ? '\n' : '') + token.value + '\n');
+        last = null;
+        lastText = '';
+        lineBreak = false;
+      } else if (token.nl || /[\n\r\u2028\u2029]/.test(token.value)) {
+        lineBreak = true;
+      }
+      continue;
+    }
+
+    const rename = renames.get(token);
+    const text = rename ? (rename.shorthand ? `${token.value}:${rename.name}` : rename.name) : token.value;
+
+    if (last) {
+      if ((lineBreak || token.nl) && needsLineBreak(last, token)) {
+        append('\n');
+      } else if (needsSpace(lastText, text, token)) {
+        append(' ');
+      }
+    }
+
+    if (onToken) onToken(token, position, rename ? token.value : null);
+    append(text);
+    last = token;
+    lastText = text;
+    lineBreak = false;
+  }
+
+  return output.trim();
+}
+
+/**
+ * Whether removing the line break between two tokens could change how
+ * the code parses
+ */
+function needsLineBreak(prev, next) {
+  if (prev.type === 'name' && !prev.afterDot && RESTRICTED_KEYWORDS.has(prev.value)) {
+    return true;
+  }
+  return canEndStatement(prev) && !continuesExpression(next);
+}
+
+/**
+ * Whether two tokens need a space between them to stay separate
+ */
+function needsSpace(prevText, nextText, next) {
+  const a = prevText[prevText.length - 1];
+  const b = nextText[0];
+
+  if (isWordChar(a) && (isWordChar(b) || (b === '.' && next.type === 'number'))) return true;
+  if ((a === '+' || a === '-') && b === a) return true;
+  if (a === '/' && (b === '/' || b === '*')) return true;
+  if (a === '<' && (b === '/' || nextText.startsWith('!--'))) return true;
+  if (prevText.endsWith('--') && b === '>') return true;
+  if (b === '.' && /^[\d_]+$/.test(prevText)) return true;
+
+  return false;
+}
+
+/**
+ * Whether a character can be part of an identifier or number
+ */
+function isWordChar(char) {
+  return Boolean(char) && (/[\w$\\]/.test(char) || char.charCodeAt(0) > 127);
+}
+
+/**
+ * Work out shorter names for function-local variables
+ *
+ * Returns a Map of token to { name, shorthand }, where shorthand marks
+ * object shorthand properties ({ name }) that must become { name: short }.
+ */
+function mangleNames(tokens) {
+  const renames = new Map();
+
+  if (tokens.some(token => token.type === 'name' && !token.afterDot &&
+      (token.value === 'eval' || token.value === 'with' || token.value.includes('\\')))) {
+    return renames;
+  }
+
+  const { match, parent } = matchBrackets(tokens);
+  const scopes = findScopes(tokens, match, parent);
+  if (scopes.length === 0) return renames;
+  scopes.sort((a, b) => a.start - b.start || b.end - a.end);
+
+  collectDeclarations(tokens, match, parent, scopes);
+
+  // Resolve each variable reference to the scope declaring it
+  const scopeAt = mapScopes(tokens, scopes);
+  const references = [];
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'name' || isKeyword(token)) return;
+
+    const role = getNameRole(tokens, index, parent);
+    if (role !== 'reference' && role !== 'shorthand') return;
+
+    for (let scope = scopeAt[index]; scope; scope = scope.parent) {
+      if (scope.names.has(token.value)) {
+        scope.names.set(token.value, scope.names.get(token.value) + 1);
+        references.push({ token, scope, shorthand: role === 'shorthand' });
+        return;
+      }
+    }
+  });
+
+  // Pick names: never one used anywhere in the code, and never one an
+  // enclosing scope already uses
+  const reserved = new Set([...KEYWORDS, ...CONTEXTUAL_NAMES]);
+  for (const token of tokens) {
+    if (token.type === 'name') reserved.add(token.value);
+  }
+
+  for (const scope of scopes.filter(candidate => !candidate.parent)) {
+    assignNames(scope, reserved, new Set());
+  }
+
+  for (const { token, scope, shorthand } of references) {
+    const name = scope.mapping.get(token.value);
+    if (name) {
+      renames.set(token, { name, shorthand });
+    }
+  }
+
+  return renames;
+}
+
+/**
+ * Create scopes for function parameters, function bodies and the blocks
+ * inside functions, in source order
+ */
+function findScopes(tokens, match, parent) {
+  const scopes = [];
+  const bodies = new Map();
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'punct' || token.value !== '{' || token.braceKind !== 'block') return;
+
+    const fn = findFunction(tokens, index, match, parent);
+    if (fn) {
+      const params = createScope(fn.start, match[index]);
+      const body = createScope(index, match[index]);
+      body.params = params;
+      for (const param of fn.params) {
+        params.names.set(tokens[param].value, 0);
+      }
+      bodies.set(index, body);
+      scopes.push(params, body);
+      return;
+    }
+
+    // Blocks only get scopes inside functions
+    for (let outer = parent[index]; outer !== -1; outer = parent[outer]) {
+      if (bodies.has(outer)) {
+        const block = createScope(index, match[index]);
+        bodies.set(index, block);
+        scopes.push(block);
+        return;
+      }
+    }
+  });
+
+  scopes.bodies = bodies;
+  return scopes;
+}
+
+/**
+ * Create an empty scope covering a token range
+ */
+function createScope(start, end) {
+  return { start, end, names: new Map(), mapping: new Map(), parent: null, children: [], params: null };
+}
+
+/**
+ * If the block at index is a function body, find its parameters
+ */
+function findFunction(tokens, index, match, parent) {
+  const prev = tokens[index - 1];
+  if (!prev || prev.type !== 'punct') return null;
+
+  // Arrow functions
+  if (prev.value === '=>') {
+    const before = tokens[index - 2];
+    if (before && before.type === 'punct' && before.value === ')') {
+      return { start: match[index - 2], params: findParams(tokens, match[index - 2], match, parent) };
+    }
+    if (before && before.type === 'name' && !isKeyword(before)) {
+      return { start: index - 2, params: CONTEXTUAL_NAMES.has(before.value) ? [] : [index - 2] };
+    }
+    return null;
+  }
+
+  if (prev.value !== ')') return null;
+
+  const open = match[index - 1];
+  const before = tokens[open - 1];
+  if (!before) return null;
+
+  const isFunctionKeyword = offset => {
+    const token = tokens[open - offset];
+    return Boolean(token) && token.type === 'name' && token.value === 'function' && !token.afterDot;
+  };
+  const isStar = offset => {
+    const token = tokens[open - offset];
+    return Boolean(token) && token.type === 'punct' && token.value === '*';
+  };
+
+  // function (), function* (), function name (), function* name ()
+  const isFunction = isFunctionKeyword(1) ||
+    (isStar(1) && isFunctionKeyword(2)) ||
+    (before.type === 'name' && (isFunctionKeyword(2) || (isStar(2) && isFunctionKeyword(3))));
+
+  // Methods in object literals and class bodies
+  const container = parent[open] !== -1 ? tokens[parent[open]] : null;
+  const isMethod = Boolean(container) && container.type === 'punct' && container.value === '{' &&
+    (container.braceKind === 'object' || container.braceKind === 'class') &&
+    (['name', 'string', 'number', 'private'].includes(before.type) || (before.type === 'punct' && before.value === ']'));
+
+  if (!isFunction && !isMethod) return null;
+
+  return { start: open, params: findParams(tokens, open, match, parent) };
+}
+
+/**
+ * Find simple parameter names between a pair of parentheses
+ */
+function findParams(tokens, open, match, parent) {
+  const params = [];
+
+  for (let i = open + 1; i < match[open]; i++) {
+    const token = tokens[i];
+    if (parent[i] !== open || token.type !== 'name' || isKeyword(token) || CONTEXTUAL_NAMES.has(token.value)) continue;
+
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    const startsParam = prev.type === 'punct' && (prev.value === '(' || prev.value === ',' ||
+      (prev.value === '...' && ['(', ','].includes(tokens[i - 2].value)));
+    const endsParam = next.type === 'punct' && [',', ')', '='].includes(next.value);
+
+    if (startsParam && endsParam) params.push(i);
+  }
+
+  return params;
+}
+
+/**
+ * Add var, let, const and function declarations to the scopes they belong to
+ */
+function collectDeclarations(tokens, match, parent, scopes) {
+  const { bodies } = scopes;
+
+  const functionBodyOf = index => {
+    for (let outer = parent[index]; outer !== -1; outer = parent[outer]) {
+      const scope = bodies.get(outer);
+      if (scope && scope.params) return scope;
+    }
+    return null;
+  };
+
+  const declare = (scope, name) => {
+    if (!scope || CONTEXTUAL_NAMES.has(name)) return;
+    // A var repeating a parameter name is the same binding
+    if (scope.params && scope.params.names.has(name)) return;
+    if (!scope.names.has(name)) scope.names.set(name, 0);
+  };
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'name' || token.afterDot) return;
+
+    if (token.value === 'var' || token.value === 'let' || token.value === 'const') {
+      const next = tokens[index + 1];
+      if (!next || !(next.type === 'name' || (next.type === 'punct' && (next.value === '{' || next.value === '[')))) return;
+
+      const container = parent[index];
+      const inForHead = container !== -1 && tokens[container].value === '(' &&
+        tokens[container - 1] && ['for', 'await'].includes(tokens[container - 1].value);
+
+      let scope = null;
+      if (token.value === 'var') {
+        scope = functionBodyOf(index);
+      } else if (!inForHead && container !== -1 && bodies.has(container)) {
+        scope = bodies.get(container);
+      }
+      if (!scope) return;
+
+      for (const name of findDeclaredNames(tokens, index, match)) {
+        declare(scope, name);
+      }
+      return;
+    }
+
+    // Function declarations directly in a function body
+    if (token.value === 'function') {
+      const body = bodies.get(parent[index]);
+      if (!body || !body.params || !isStatementStart(tokens, index)) return;
+
+      const name = tokens[index + 1] && tokens[index + 1].value === '*' ? tokens[index + 2] : tokens[index + 1];
+      if (name && name.type === 'name' && !isKeyword(name)) {
+        declare(body, name.value);
+      }
+    }
+  });
+}
+
+/**
+ * Find the simple names declared by a var, let or const statement
+ */
+function findDeclaredNames(tokens, index, match) {
+  const names = [];
+  let i = index + 1;
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+
+    if (token.type === 'name' && !isKeyword(token)) {
+      names.push(token.value);
+      i++;
+    } else if (token.type === 'punct' && (token.value === '{' || token.value === '[')) {
+      // Destructuring patterns are left alone
+      i = match[i] + 1;
+    } else {
+      break;
+    }
+
+    // Skip the initializer, up to the next declarator
+    let next = -1;
+    for (let j = i; j < tokens.length; j++) {
+      const current = tokens[j];
+
+      // Skip nested brackets; a closing bracket ends the statement
+      if (match[j] > j) {
+        while (match[j] > j) j = match[j];
+        continue;
+      }
+      if (match[j] !== -1) break;
+
+      if (current.type === 'punct' && current.value === ';') break;
+      if (current.type === 'punct' && current.value === ',') {
+        next = j + 1;
+        break;
+      }
+      if (j > i && current.nl && canEndStatement(tokens[j - 1]) && !continuesExpression(current)) break;
+    }
+
+    if (next === -1) break;
+    i = next;
+  }
+
+  return names;
+}
+
+/**
+ * Link scopes into a tree and find the innermost scope of every token
+ */
+function mapScopes(tokens, scopes) {
+  const scopeAt = new Array(tokens.length).fill(null);
+  const stack = [];
+  let next = 0;
+
+  for (let index = 0; index < tokens.length; index++) {
+    while (stack.length > 0 && stack[stack.length - 1].end < index) {
+      stack.pop();
+    }
+    while (next < scopes.length && scopes[next].start === index) {
+      const scope = scopes[next++];
+      scope.parent = stack.length > 0 ? stack[stack.length - 1] : null;
+      if (scope.parent) scope.parent.children.push(scope);
+      stack.push(scope);
+    }
+    scopeAt[index] = stack.length > 0 ? stack[stack.length - 1] : null;
+  }
+
+  return scopeAt;
+}
+
+/**
+ * Give the names declared in a scope and its children short replacements
+ */
+function assignNames(scope, reserved, taken) {
+  const used = new Set(taken);
+  const names = [...scope.names.entries()].sort((a, b) => b[1] - a[1]);
+  let counter = 0;
+
+  for (const [name] of names) {
+    let candidate;
+    do {
+      candidate = generateName(counter++);
+    } while (reserved.has(candidate) || used.has(candidate));
+
+    if (candidate.length < name.length) {
+      scope.mapping.set(name, candidate);
+      used.add(candidate);
+    }
+  }
+
+  for (const child of scope.children) {
+    assignNames(child, reserved, used);
+  }
+}
+
+/**
+ * Generate the nth short name: a, b, ..., $, aa, ba, ...
+ */
+function generateName(index) {
+  let name = NAME_START_CHARS[index % NAME_START_CHARS.length];
+  index = Math.floor(index / NAME_START_CHARS.length);
+
+  while (index > 0) {
+    index--;
+    name += NAME_CHARS[index % NAME_CHARS.length];
+    index = Math.floor(index / NAME_CHARS.length);
+  }
+
+  return name;
+}
+
+module.exports = {
+  minifyJs,
+  minifyJsWithSourceMap
+};
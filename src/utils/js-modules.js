@@ -0,0 +1,1074 @@
+/**
+ * JavaScript Modules
+ *
+ * Reads the import and export statements of an ES module from its tokens
+ * and works out which names in it refer to its top-level bindings, so the
+ * module bundler can link modules together and rename those bindings.
+ * Top-level statements are listed with the bindings they declare and use,
+ * and whether they can be dropped when nothing uses them.
+ *
+ * Positions in the result are offsets into the module source.
+ */
+
+const {
+  tokenize,
+  isKeyword,
+  matchBrackets,
+  canEndStatement,
+  continuesExpression,
+  isStatementStart,
+  getNameRole
+} = require('./js-tokenizer');
+
+// Keywords whose parenthesised head is followed by a block, not a function body
+const BLOCK_HEAD_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'with']);
+
+// Binding name of an export default expression or anonymous declaration
+const DEFAULT_BINDING = '*default*';
+
+// Punctuators that change state when evaluated
+const ASSIGNMENT_PUNCTUATORS = new Set([
+  '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??=',
+  '++', '--'
+]);
+
+/**
+ * Parse an ES module
+ *
+ * Returns:
+ *   imports       - [{ specifier, bindings: [{ imported, local }] }], imported
+ *                   is a name, 'default' or '*' for a namespace import
+ *   exports       - [{ exported, local }] for bindings declared in the module
+ *   reexports     - [{ exported, imported, specifier }], imported '*' for
+ *                   export * as name
+ *   starExports   - specifiers of export * from
+ *   requests      - every specifier imported or re-exported from, in source
+ *                   order (the order the modules are evaluated in)
+ *   statements    - top-level statements as { start, end, declares, uses,
+ *                   pure, guard }; guard is set when a dropped statement has
+ *                   to leave an empty statement behind (if (a) var b = 1;)
+ *   edits         - { start, end, text, binding } ranges to replace: the text
+ *                   is followed by the bundle name of binding, if set
+ *   references    - { start, end, name, shorthand } for every name
+ *                   referring to a top-level binding, declarations included
+ *   names         - every other variable name the module uses, local or
+ *                   global
+ *   dynamicImports - [{ specifier, start }], specifier null unless a string
+ *   usesImportMeta, usesEval, topLevelAwait
+ *
+ * Throws a SyntaxError if the code can't be tokenized.
+ */
+function parseModule(code) {
+  const tokens = tokenize(code).filter(token => token.type !== 'comment' && token.type !== 'hashbang');
+  const { match, parent } = matchBrackets(tokens);
+  const module = {
+    imports: [],
+    exports: [],
+    reexports: [],
+    starExports: [],
+    requests: [],
+    statements: [],
+    edits: [],
+    references: [],
+    names: new Set(),
+    dynamicImports: [],
+    usesImportMeta: false,
+    usesEval: false,
+    topLevelAwait: false
+  };
+
+  const context = { tokens, match, parent, module, bindingTokens: new Map(), excluded: new Set(), conciseBodies: new Map() };
+  const scopes = findScopes(context);
+  context.scopes = scopes;
+  context.program = scopes[0];
+  context.scopeAt = mapScopes(tokens, scopes);
+
+  declareNames(context);
+  splitStatements(context);
+  resolveReferences(context);
+
+  return module;
+}
+
+/**
+ * Find the specifiers a module imports as [{ specifier, dynamic }], where
+ * dynamic marks import() calls, or an empty list if the code can't be parsed
+ */
+function findModuleSpecifiers(code) {
+  let module;
+  try {
+    module = parseModule(code);
+  } catch {
+    return [];
+  }
+
+  return [
+    ...module.requests.map(specifier => ({ specifier, dynamic: false })),
+    ...module.dynamicImports.filter(item => item.specifier).map(({ specifier }) => ({ specifier, dynamic: true }))
+  ];
+}
+
+/**
+ * Whether a token is a given punctuator
+ */
+function isPunct(token, value) {
+  return Boolean(token) && token.type === 'punct' && token.value === value;
+}
+
+/**
+ * Whether a token is a given name, not a property
+ */
+function isName(token, value) {
+  return Boolean(token) && token.type === 'name' && !token.afterDot && token.value === value;
+}
+
+/**
+ * Whether a token can be a variable name
+ */
+function isIdentifier(token) {
+  return Boolean(token) && token.type === 'name' && !isKeyword(token);
+}
+
+/**
+ * Get the value of a string literal token
+ */
+function stringValue(token) {
+  try {
+    return JSON.parse(token.value[0] === '"' ? token.value : `"${token.value.slice(1, -1).replace(/\\'/g, '\'').replace(/"/g, '\\"')}"`);
+  } catch {
+    return token.value.slice(1, -1);
+  }
+}
+
+/**
+ * Create a scope covering a token range
+ */
+function createScope(start, end, isFunction) {
+  return { start, end, isFunction, names: new Set(), parent: null };
+}
+
+/**
+ * Find the scopes of a module: the program, functions (with their
+ * parameters), blocks, catch clauses, for heads and named class expressions
+ */
+function findScopes(context) {
+  const { tokens, match, parent, conciseBodies } = context;
+  const scopes = [createScope(0, tokens.length, true)];
+  context.functionScopes = new Map();
+  context.classScopes = new Map();
+
+  tokens.forEach((token, index) => {
+    // Arrow functions, with a block or an expression body
+    if (isPunct(token, '=>')) {
+      const prev = tokens[index - 1];
+      const start = isPunct(prev, ')') ? match[index - 1] : index - 1;
+      const next = tokens[index + 1];
+      let end;
+
+      if (isPunct(next, '{')) {
+        end = match[index + 1];
+      } else {
+        end = findExpressionEnd(context, index + 1);
+        conciseBodies.set(index + 1, end);
+      }
+
+      const scope = createScope(start, end, true);
+      scope.params = isPunct(prev, ')') ? { open: start } : { name: index - 1 };
+      context.functionScopes.set(index, scope);
+      scopes.push(scope);
+      return;
+    }
+
+    // Named class expressions see their own name
+    if (isName(token, 'class') && isIdentifier(tokens[index + 1]) && !isDeclarationStart(tokens, index)) {
+      const body = findClassBody(tokens, index, parent);
+      if (body !== -1) {
+        const scope = createScope(index, match[body], false);
+        scope.names.add(tokens[index + 1].value);
+        context.bindingTokens.set(index + 1, scope);
+        context.classScopes.set(index, scope);
+        scopes.push(scope);
+      }
+      return;
+    }
+
+    if (!isPunct(token, '{') || token.braceKind !== 'block' || isPunct(tokens[index - 1], '=>')) return;
+
+    const close = match[index];
+    const prev = tokens[index - 1];
+
+    if (isPunct(prev, ')')) {
+      const open = match[index - 1];
+      const head = tokens[open - 1];
+
+      if (isName(head, 'catch')) {
+        const scope = createScope(open, close, false);
+        scope.catchParams = open;
+        scopes.push(scope);
+        return;
+      }
+
+      if (head && head.type === 'name' && !head.afterDot && BLOCK_HEAD_KEYWORDS.has(head.value)) {
+        // A for head with let or const gets its own scope
+        if (head.value === 'for' && (isName(tokens[open + 1], 'let') || isName(tokens[open + 1], 'const'))) {
+          scopes.push(createScope(open, close, false));
+        } else {
+          scopes.push(createScope(index, close, false));
+        }
+        return;
+      }
+
+      const fn = findFunction(context, open);
+      if (fn) {
+        const scope = createScope(fn.start, close, true);
+        scope.params = { open };
+        if (fn.name !== -1) {
+          scope.names.add(tokens[fn.name].value);
+          context.bindingTokens.set(fn.name, scope);
+        }
+        context.functionScopes.set(index, scope);
+        scopes.push(scope);
+        return;
+      }
+    }
+
+    scopes.push(createScope(index, close, false));
+  });
+
+  // for (let ...) statement without a block
+  tokens.forEach((token, index) => {
+    if (!isName(token, 'for') || !isPunct(tokens[index + 1], '(')) return;
+
+    const open = index + 1;
+    const close = match[open];
+    if (!(isName(tokens[open + 1], 'let') || isName(tokens[open + 1], 'const')) || isPunct(tokens[close + 1], '{')) return;
+
+    let end = close + 1;
+    while (end < tokens.length - 1 && !(isPunct(tokens[end], ';') && parent[end] === parent[index])) {
+      end = skipBrackets(context, end) + 1;
+    }
+    scopes.push(createScope(open, end, false));
+  });
+
+  scopes.sort((a, b) => a.start - b.start || b.end - a.end);
+  return scopes;
+}
+
+/**
+ * If the parenthesis at open starts the parameters of a function or method,
+ * return the start of its scope and the index of a function expression name
+ */
+function findFunction(context, open) {
+  const { tokens, parent } = context;
+  const before = tokens[open - 1];
+  if (!before) return null;
+
+  // function (), function* ()
+  if (isName(before, 'function') || (isPunct(before, '*') && isName(tokens[open - 2], 'function'))) {
+    const keyword = isName(before, 'function') ? open - 1 : open - 2;
+    return { start: keyword, name: -1 };
+  }
+
+  // function name (), function* name ()
+  if (before.type === 'name') {
+    const keyword = isPunct(tokens[open - 2], '*') ? open - 3 : open - 2;
+    if (isName(tokens[keyword], 'function')) {
+      // Declarations bind their name outside the function
+      return isDeclarationStart(tokens, keyword) ? { start: open, name: -1 } : { start: keyword, name: open - 1 };
+    }
+  }
+
+  // Methods in object literals and class bodies
+  const container = parent[open] !== -1 ? tokens[parent[open]] : null;
+  const isMethod = isPunct(container, '{') && (container.braceKind === 'object' || container.braceKind === 'class') &&
+    (['name', 'string', 'number', 'private'].includes(before.type) || isPunct(before, ']'));
+
+  return isMethod ? { start: open, name: -1 } : null;
+}
+
+/**
+ * Find the class body brace of a class starting at index
+ */
+function findClassBody(tokens, index, parent) {
+  for (let i = index + 1; i < tokens.length; i++) {
+    if (isPunct(tokens[i], '{') && tokens[i].braceKind === 'class' && parent[i] === parent[index]) return i;
+    if (parent[i] !== parent[index] && !isInside(parent, i, parent[index])) return -1;
+  }
+  return -1;
+}
+
+/**
+ * Whether token i is nested inside the bracket at container (-1 for the
+ * top level)
+ */
+function isInside(parent, i, container) {
+  for (let outer = parent[i]; outer !== -1; outer = parent[outer]) {
+    if (outer === container) return true;
+  }
+  return container === -1;
+}
+
+/**
+ * Whether the token at index starts a declaration, allowing for export
+ * and export default in front of it
+ */
+function isDeclarationStart(tokens, index) {
+  let start = index;
+  if (isName(tokens[start - 1], 'async') && !tokens[start].nl) start--;
+
+  const prev = tokens[start - 1];
+  if (isName(prev, 'export')) return true;
+  if (isName(prev, 'default') && isName(tokens[start - 2], 'export')) return true;
+  return isStatementStart(tokens, start);
+}
+
+/**
+ * Find the last token of the expression starting at index: it ends at a
+ * comma, semicolon, unmatched colon or closing bracket at its own level, or
+ * where a line break ends the statement
+ */
+function findExpressionEnd(context, index) {
+  const { tokens, match, parent } = context;
+  const level = parent[index];
+  let ternaries = 0;
+  let i = index;
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+
+    if (i > index && token.nl && canEndStatement(tokens[i - 1]) && !continuesExpression(token)) break;
+    if (parent[i] !== level) break;
+    if (isPunct(token, ',') || isPunct(token, ';')) break;
+    if (isPunct(token, '?')) ternaries++;
+    if (isPunct(token, ':')) {
+      if (ternaries === 0) break;
+      ternaries--;
+    }
+
+    // Closing brackets end the expression; opening ones are skipped over
+    if (match[i] !== -1 && match[i] < i) break;
+    i = skipBrackets(context, i) + 1;
+  }
+
+  return i - 1;
+}
+
+/**
+ * Link scopes into a tree and find the innermost scope of every token
+ */
+function mapScopes(tokens, scopes) {
+  const scopeAt = new Array(tokens.length).fill(null);
+  const stack = [];
+  let next = 0;
+
+  for (let index = 0; index < tokens.length; index++) {
+    while (stack.length > 0 && stack[stack.length - 1].end < index) {
+      stack.pop();
+    }
+    while (next < scopes.length && scopes[next].start === index) {
+      const scope = scopes[next++];
+      scope.parent = stack.length > 0 ? stack[stack.length - 1] : null;
+      stack.push(scope);
+    }
+    scopeAt[index] = stack[stack.length - 1];
+  }
+
+  return scopeAt;
+}
+
+/**
+ * Get the scope a var declared at index belongs to
+ */
+function functionScopeAt(context, index) {
+  let scope = context.scopeAt[index];
+  while (scope && !scope.isFunction) scope = scope.parent;
+  return scope;
+}
+
+/**
+ * Get the scope a let, const, class or function declared at index belongs
+ * to. A declaration's own function scope starts after its name, so the
+ * scope at the keyword is the enclosing one.
+ */
+function blockScopeAt(context, index) {
+  return context.scopeAt[index];
+}
+
+/**
+ * Add a binding to a scope
+ */
+function declare(context, scope, tokenIndex) {
+  scope.names.add(context.tokens[tokenIndex].value);
+  context.bindingTokens.set(tokenIndex, scope);
+}
+
+/**
+ * Declare the names of every var, let, const, function, class, parameter
+ * and catch clause
+ */
+function declareNames(context) {
+  const { tokens, match } = context;
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'name' || token.afterDot) return;
+
+    if (token.value === 'var' || token.value === 'let' || token.value === 'const') {
+      const next = tokens[index + 1];
+      if (!next || !(isIdentifier(next) || isPunct(next, '{') || isPunct(next, '['))) return;
+
+      const scope = token.value === 'var' ? functionScopeAt(context, index) : blockScopeAt(context, index);
+      const names = [];
+      readDeclarators(context, index + 1, names);
+      for (const name of names) declare(context, scope, name);
+      return;
+    }
+
+    if ((token.value === 'function' || token.value === 'class') && isDeclarationStart(tokens, index)) {
+      const name = isPunct(tokens[index + 1], '*') ? index + 2 : index + 1;
+      if (isIdentifier(tokens[name])) {
+        declare(context, blockScopeAt(context, index), name);
+      }
+    }
+  });
+
+  // Parameters and catch clause bindings
+  const seen = new Set();
+  for (const scope of context.functionScopes.values()) {
+    if (seen.has(scope)) continue;
+    seen.add(scope);
+
+    const names = [];
+    if (scope.params.name !== undefined) {
+      names.push(scope.params.name);
+    } else {
+      readParams(context, scope.params.open, names);
+    }
+    for (const name of names) declare(context, scope, name);
+  }
+
+  for (const scope of context.scopes) {
+    if (scope.catchParams === undefined) continue;
+
+    const names = [];
+    readParams(context, scope.catchParams, names);
+    for (const name of names) declare(context, scope, name);
+  }
+}
+
+/**
+ * Read the declarators of a var, let or const starting at index, collecting
+ * binding names. Returns the index of the last token of the declaration.
+ */
+function readDeclarators(context, index, names) {
+  const { tokens } = context;
+  let i = index;
+
+  while (i < tokens.length) {
+    i = readPattern(context, i, names);
+
+    if (isPunct(tokens[i], '=')) {
+      i = findExpressionEnd(context, i + 1) + 1;
+    }
+
+    if (isPunct(tokens[i], ',')) {
+      i++;
+      continue;
+    }
+
+    return isPunct(tokens[i], ';') ? i : i - 1;
+  }
+
+  return tokens.length - 1;
+}
+
+/**
+ * Read the parameters between the parenthesis at open and its match
+ */
+function readParams(context, open, names) {
+  const { tokens, match } = context;
+  let i = open + 1;
+
+  while (i < match[open]) {
+    if (isPunct(tokens[i], '...')) i++;
+    const next = readPattern(context, i, names);
+    i = next > i ? next : i + 1;
+
+    if (isPunct(tokens[i], '=')) {
+      i = findExpressionEnd(context, i + 1) + 1;
+    }
+    if (isPunct(tokens[i], ',')) i++;
+  }
+}
+
+/**
+ * Read a binding pattern (a name, [array] or {object} destructuring)
+ * starting at index, collecting the token indices of the names it binds.
+ * Returns the index after the pattern.
+ */
+function readPattern(context, index, names) {
+  const { tokens, match } = context;
+  const token = tokens[index];
+
+  if (isIdentifier(token)) {
+    names.push(index);
+    return index + 1;
+  }
+
+  if (!isPunct(token, '[') && !isPunct(token, '{')) return index;
+
+  const close = match[index];
+  const isObject = token.value === '{';
+  let i = index + 1;
+
+  while (i < close) {
+    const start = i;
+
+    if (isPunct(tokens[i], ',')) {
+      i++;
+      continue;
+    }
+
+    if (isPunct(tokens[i], '...')) {
+      i = readPattern(context, i + 1, names);
+    } else if (isObject) {
+      // key: pattern, [computed]: pattern or a shorthand name
+      const keyEnd = isPunct(tokens[i], '[') ? match[i] + 1 : i + 1;
+      if (isPunct(tokens[keyEnd], ':')) {
+        i = readPattern(context, keyEnd + 1, names);
+      } else {
+        if (isIdentifier(tokens[i])) names.push(i);
+        i = keyEnd;
+      }
+    } else {
+      i = readPattern(context, i, names);
+    }
+
+    if (isPunct(tokens[i], '=')) {
+      i = findExpressionEnd(context, i + 1) + 1;
+    }
+
+    // Skip anything unexpected up to the next element
+    while (i < close && !isPunct(tokens[i], ',')) {
+      i = skipBrackets(context, i) + 1;
+    }
+    if (i === start) i++;
+  }
+
+  return close + 1;
+}
+
+/**
+ * Split the top level into statements, reading import and export
+ * statements and declarations
+ */
+function splitStatements(context) {
+  const { tokens, parent, module } = context;
+  let i = 0;
+  let generic = null;
+
+  const closeGeneric = () => {
+    if (!generic) return;
+    module.statements.push(generic);
+    generic = null;
+  };
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+    const atStart = parent[i] === -1 && isStatementStart(tokens, i);
+    let end = -1;
+
+    if (atStart && isName(token, 'import') && !isPunct(tokens[i + 1], '(') && !isPunct(tokens[i + 1], '.')) {
+      closeGeneric();
+      end = readImport(context, i);
+    } else if (atStart && isName(token, 'export')) {
+      closeGeneric();
+      end = readExport(context, i);
+    } else if (atStart && isDeclarationKeyword(tokens, i)) {
+      closeGeneric();
+      end = readDeclaration(context, i, i).end;
+    }
+
+    if (end !== -1) {
+      i = end + 1;
+      continue;
+    }
+
+    if (!generic) {
+      generic = createStatement(context, i, i, false);
+    }
+    generic.endToken = i;
+    generic.end = token.end;
+    i = skipBrackets(context, i) + 1;
+  }
+
+  closeGeneric();
+}
+
+/**
+ * Get the last token of the bracketed group starting at index (the closing
+ * bracket, or the end of a template literal), or index itself
+ */
+function skipBrackets(context, index) {
+  let i = index;
+
+  while (context.match[i] > i) {
+    i = context.match[i];
+    const token = context.tokens[i];
+    if (!(token.type === 'template' && token.templateOpen)) break;
+  }
+
+  return i;
+}
+
+/**
+ * Whether the token at index starts a var, let, const, function or class
+ * declaration
+ */
+function isDeclarationKeyword(tokens, index) {
+  const token = tokens[index];
+  const next = tokens[index + 1];
+
+  if (isName(token, 'var') || isName(token, 'const')) return true;
+  if (isName(token, 'let')) return Boolean(next) && (isIdentifier(next) || isPunct(next, '[') || isPunct(next, '{'));
+  if (isName(token, 'function') || isName(token, 'class')) return true;
+  return isName(token, 'async') && isName(next, 'function') && !next.nl;
+}
+
+/**
+ * Create a top-level statement covering tokens start..end
+ */
+function createStatement(context, startToken, endToken, pure) {
+  const { tokens } = context;
+  const prev = tokens[startToken - 1];
+
+  return {
+    start: tokens[startToken].start,
+    end: tokens[endToken].end,
+    startToken,
+    endToken,
+    declares: [],
+    uses: new Set(),
+    pure,
+    guard: Boolean(prev) && (isPunct(prev, ')') || isName(prev, 'else') || isName(prev, 'do'))
+  };
+}
+
+/**
+ * Read a declaration at index (after any export keywords starting at
+ * statementStart) and add it as a statement
+ */
+function readDeclaration(context, statementStart, index) {
+  const { tokens, match, parent } = context;
+  const token = tokens[index];
+  const names = [];
+  let end;
+  let pure;
+
+  if (isName(token, 'var') || isName(token, 'let') || isName(token, 'const')) {
+    end = readDeclarators(context, index + 1, names);
+    pure = isPure(context, index + 1, end, 'declaration');
+  } else if (isName(token, 'class')) {
+    const body = findClassBody(tokens, index, parent);
+    end = body === -1 ? index : match[body];
+    if (isIdentifier(tokens[index + 1])) names.push(index + 1);
+    pure = isPure(context, index + 1, end, 'class');
+  } else {
+    // function, function*, async function
+    const keyword = isName(token, 'async') ? index + 1 : index;
+    const name = isPunct(tokens[keyword + 1], '*') ? keyword + 2 : keyword + 1;
+    if (isIdentifier(tokens[name])) names.push(name);
+
+    let open = name;
+    while (open < tokens.length && !isPunct(tokens[open], '(')) open++;
+    const body = match[open] + 1;
+    end = isPunct(tokens[body], '{') ? match[body] : match[open];
+    pure = true;
+  }
+
+  const statement = createStatement(context, statementStart, end, pure);
+  statement.declares = names.map(name => tokens[name].value);
+  context.module.statements.push(statement);
+  return { end, names, statement };
+}
+
+/**
+ * Read an import statement at index, returning the index of its last token
+ */
+function readImport(context, index) {
+  const { tokens, match, module } = context;
+  const bindings = [];
+  let i = index + 1;
+  let specifier = null;
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+
+    if (token.type === 'string') {
+      specifier = stringValue(token);
+      break;
+    }
+
+    if (isPunct(token, '*')) {
+      // import * as name
+      bindings.push({ imported: '*', local: tokens[i + 2].value });
+      declare(context, context.program, i + 2);
+      i += 3;
+    } else if (isPunct(token, '{')) {
+      for (const { name, alias, aliasIndex } of readSpecifierList(context, i)) {
+        bindings.push({ imported: name, local: alias });
+        declare(context, context.program, aliasIndex);
+      }
+      i = match[i] + 1;
+    } else if (isIdentifier(token) && !isName(token, 'from')) {
+      bindings.push({ imported: 'default', local: token.value });
+      declare(context, context.program, i);
+      i++;
+    } else {
+      i++;
+    }
+  }
+
+  const end = readModuleEnd(context, i);
+  module.imports.push({ specifier, bindings });
+  module.requests.push(specifier);
+  removeStatement(context, index, end);
+  return end;
+}
+
+/**
+ * Find the end of an import or export ... from statement, after the
+ * specifier at index and any import attributes
+ */
+function readModuleEnd(context, index) {
+  const { tokens, match } = context;
+  let end = index;
+
+  if ((isName(tokens[end + 1], 'with') || isName(tokens[end + 1], 'assert')) && !tokens[end + 1].nl &&
+      isPunct(tokens[end + 2], '{')) {
+    end = match[end + 2];
+  }
+  if (isPunct(tokens[end + 1], ';')) end++;
+  return end;
+}
+
+/**
+ * Read the { name as alias, ... } list at the brace at open
+ */
+function readSpecifierList(context, open) {
+  const { tokens, match } = context;
+  const specifiers = [];
+  const tokenName = token => (token.type === 'string' ? stringValue(token) : token.value);
+
+  for (let i = open + 1; i < match[open]; i++) {
+    const token = tokens[i];
+    if (isPunct(token, ',')) continue;
+
+    const name = tokenName(token);
+    if (isName(tokens[i + 1], 'as')) {
+      specifiers.push({ name, alias: tokenName(tokens[i + 2]), index: i, aliasIndex: i + 2 });
+      i += 2;
+    } else {
+      specifiers.push({ name, alias: name, index: i, aliasIndex: i });
+    }
+  }
+
+  return specifiers;
+}
+
+/**
+ * Read an export statement at index, returning the index of its last token
+ */
+function readExport(context, index) {
+  const { tokens, match, module } = context;
+  const next = tokens[index + 1];
+
+  // export * from 'x', export * as name from 'x'
+  if (isPunct(next, '*')) {
+    let i = index + 2;
+    let alias = null;
+    if (isName(tokens[i], 'as')) {
+      alias = tokens[i + 1].type === 'string' ? stringValue(tokens[i + 1]) : tokens[i + 1].value;
+      i += 2;
+    }
+    const specifier = stringValue(tokens[i + 1]);
+    const end = readModuleEnd(context, i + 1);
+    module.requests.push(specifier);
+
+    if (alias) {
+      module.reexports.push({ exported: alias, imported: '*', specifier });
+    } else {
+      module.starExports.push(specifier);
+    }
+    removeStatement(context, index, end);
+    return end;
+  }
+
+  // export { a, b as c }, export { a } from 'x'
+  if (isPunct(next, '{')) {
+    const close = match[index + 1];
+    const specifiers = readSpecifierList(context, index + 1);
+    let end = close;
+
+    if (isName(tokens[close + 1], 'from')) {
+      const specifier = stringValue(tokens[close + 2]);
+      end = readModuleEnd(context, close + 2);
+      module.requests.push(specifier);
+      for (const { name, alias } of specifiers) {
+        module.reexports.push({ exported: alias, imported: name, specifier });
+      }
+    } else {
+      if (isPunct(tokens[end + 1], ';')) end++;
+      for (const { name, alias, index: nameIndex } of specifiers) {
+        module.exports.push({ exported: alias, local: name });
+        context.exportedNames = context.exportedNames || [];
+        context.exportedNames.push(nameIndex);
+      }
+    }
+
+    removeStatement(context, index, end);
+    return end;
+  }
+
+  // export default ...
+  if (isName(next, 'default')) {
+    const start = index + 2;
+    const target = tokens[start];
+    const isFunction = isName(target, 'function') || (isName(target, 'async') && isName(tokens[start + 1], 'function') && !tokens[start + 1].nl);
+
+    if (isFunction || isName(target, 'class')) {
+      const keyword = isName(target, 'async') ? start + 1 : start;
+      const nameIndex = isPunct(tokens[keyword + 1], '*') ? keyword + 2 : keyword + 1;
+
+      if (isIdentifier(tokens[nameIndex])) {
+        const { names, statement } = readDeclaration(context, index, start);
+        module.exports.push({ exported: 'default', local: tokens[names[0]].value });
+        module.edits.push({ start: tokens[index].start, end: target.start, text: '' });
+        return statement.endToken;
+      }
+
+      // Anonymous declarations get a name
+      const { statement } = readDeclaration(context, index, start);
+      statement.declares = [DEFAULT_BINDING];
+      module.exports.push({ exported: 'default', local: DEFAULT_BINDING });
+      const nameAt = isPunct(tokens[keyword + 1], '*') ? tokens[keyword + 1].end : tokens[keyword].end;
+      module.edits.push({ start: tokens[index].start, end: target.start, text: '' });
+      module.edits.push({ start: nameAt, end: nameAt, text: ' ', binding: DEFAULT_BINDING });
+      return statement.endToken;
+    }
+
+    // export default expression;
+    let end = findExpressionEnd(context, start);
+    if (isPunct(tokens[end + 1], ';')) end++;
+
+    const statement = createStatement(context, index, end, isPure(context, start, end, 'expression'));
+    statement.declares = [DEFAULT_BINDING];
+    module.statements.push(statement);
+    module.exports.push({ exported: 'default', local: DEFAULT_BINDING });
+    module.edits.push({ start: tokens[index].start, end: target.start, text: 'var ', binding: DEFAULT_BINDING, suffix: ' = ' });
+    if (!isPunct(tokens[end], ';')) {
+      module.edits.push({ start: tokens[end].end, end: tokens[end].end, text: ';' });
+    }
+    return end;
+  }
+
+  // export var/let/const/function/class
+  const { end, names } = readDeclaration(context, index, index + 1);
+  for (const name of names) {
+    module.exports.push({ exported: tokens[name].value, local: tokens[name].value });
+  }
+  module.edits.push({ start: tokens[index].start, end: next.start, text: '' });
+  return end;
+}
+
+/**
+ * Remove an import or export statement from the output
+ */
+function removeStatement(context, start, end) {
+  const { tokens, module } = context;
+  module.edits.push({ start: tokens[start].start, end: tokens[end].end, text: '' });
+  for (let i = start; i <= end; i++) {
+    context.excluded.add(i);
+  }
+}
+
+/**
+ * Whether evaluating tokens from..to can't have side effects: no calls,
+ * assignments, new, delete, await, yield or tagged templates outside of
+ * function bodies
+ *
+ * kind is 'declaration' (the = of declarators is allowed), 'class' (field
+ * initializers are allowed, static blocks aren't) or 'expression'.
+ */
+function isPure(context, from, to, kind) {
+  const { tokens, match, conciseBodies } = context;
+
+  for (let i = from; i <= to; i++) {
+    const token = tokens[i];
+    const prev = tokens[i - 1];
+
+    if (conciseBodies.has(i)) {
+      i = conciseBodies.get(i);
+      continue;
+    }
+
+    if (token.type === 'punct') {
+      if (token.value === '{' && token.braceKind === 'block') {
+        // Class static blocks run when the class is defined
+        if (kind === 'class' && isName(prev, 'static')) return false;
+        i = match[i];
+        continue;
+      }
+      if (token.value === '(' && isCall(context, i)) return false;
+      if (ASSIGNMENT_PUNCTUATORS.has(token.value)) {
+        const allowed = token.value === '=' &&
+          ((kind === 'declaration' && isDeclaratorAssignment(context, i, from)) || kind === 'class');
+        if (!allowed) return false;
+      }
+      if (token.value === '@') return false;
+      continue;
+    }
+
+    if (token.type === 'template' && !token.templateClose && prev &&
+        (prev.type === 'name' || isPunct(prev, ')') || isPunct(prev, ']'))) {
+      return false;
+    }
+
+    if (token.type === 'name' && !token.afterDot && ['new', 'delete', 'await', 'yield'].includes(token.value)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Whether the parenthesis at index is a call rather than a group or the
+ * parameters of a function, method or arrow function
+ */
+function isCall(context, index) {
+  const { tokens, match } = context;
+  const prev = tokens[index - 1];
+  const after = tokens[match[index] + 1];
+
+  if (!prev) return false;
+  if ((isPunct(after, '{') && after.braceKind === 'block') || isPunct(after, '=>')) return false;
+
+  if (prev.type === 'name') {
+    if (prev.afterDot || isName(prev, 'import') || isName(prev, 'super')) return true;
+    return !isKeyword(prev);
+  }
+
+  return isPunct(prev, ')') || isPunct(prev, ']') || isPunct(prev, '?.') ||
+    (prev.type === 'template' && !prev.templateOpen);
+}
+
+/**
+ * Whether the = at index belongs to a declarator (let a = ...) or to a
+ * destructuring default on the left of one, in the declaration starting
+ * at from
+ */
+function isDeclaratorAssignment(context, index, from) {
+  const { tokens, parent, match } = context;
+
+  if (parent[index] !== parent[from]) {
+    // Defaults inside a destructuring pattern on the left
+    for (let outer = parent[index]; outer !== -1; outer = parent[outer]) {
+      if (parent[outer] === parent[from] && (outer === from || isPunct(tokens[outer - 1], ','))) {
+        return isPunct(tokens[match[outer] + 1], '=');
+      }
+    }
+    return false;
+  }
+
+  // let a = ..., { b } = ..., [c] = ...
+  const prev = tokens[index - 1];
+  const targetStart = isPunct(prev, '}') || isPunct(prev, ']') ? match[index - 1] : index - 1;
+  return targetStart === from || isPunct(tokens[targetStart - 1], ',');
+}
+
+/**
+ * Resolve every name in the module, recording references to top-level
+ * bindings and the bindings each statement uses
+ */
+function resolveReferences(context) {
+  const { tokens, parent, module, program, bindingTokens } = context;
+
+  // Map tokens to statements
+  const statementAt = new Array(tokens.length).fill(null);
+  for (const statement of module.statements) {
+    for (let i = statement.startToken; i <= statement.endToken; i++) {
+      statementAt[i] = statement;
+    }
+  }
+
+  const exportedNames = new Set(context.exportedNames || []);
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'name' || token.afterDot) return;
+
+    if (token.value === 'with' && isPunct(tokens[index + 1], '(')) module.usesEval = true;
+
+    if (isName(token, 'import')) {
+      if (isPunct(tokens[index + 1], '.')) {
+        module.usesImportMeta = true;
+      } else if (isPunct(tokens[index + 1], '(')) {
+        const argument = tokens[index + 2];
+        const isString = argument && argument.type === 'string' && isPunct(tokens[index + 3], ')');
+        module.dynamicImports.push({ specifier: isString ? stringValue(argument) : null, start: token.start });
+      }
+      return;
+    }
+
+    if (isName(token, 'await') && functionScopeAt(context, index) === program) {
+      module.topLevelAwait = true;
+    }
+
+    if (isKeyword(token) || (context.excluded.has(index) && !exportedNames.has(index))) return;
+
+    let scope = bindingTokens.get(index) || null;
+    let shorthand = false;
+
+    if (!scope) {
+      if (exportedNames.has(index)) {
+        // export { name }
+        scope = program.names.has(token.value) ? program : null;
+      } else {
+        const role = getNameRole(tokens, index, parent);
+        if (role !== 'reference' && role !== 'shorthand') return;
+        shorthand = role === 'shorthand';
+
+        for (let current = context.scopeAt[index]; current; current = current.parent) {
+          if (current.names.has(token.value)) {
+            scope = current;
+            break;
+          }
+        }
+      }
+    } else {
+      shorthand = getNameRole(tokens, index, parent) === 'shorthand';
+    }
+
+    if (token.value === 'eval' && !scope) module.usesEval = true;
+
+    if (scope !== program) {
+      module.names.add(token.value);
+      return;
+    }
+
+    // export { name } is removed; the export list links it instead
+    if (exportedNames.has(index)) return;
+
+    module.references.push({ start: token.start, end: token.end, name: token.value, shorthand });
+
+    const statement = statementAt[index];
+    if (statement && !bindingTokens.has(index)) {
+      statement.uses.add(token.value);
+    }
+  });
+}
+
+module.exports = {
+  parseModule,
+  findModuleSpecifiers,
+  DEFAULT_BINDING
+};
@@ -0,0 +1,496 @@
+/**
+ * JavaScript Tokenizer
+ *
+ * Splits JavaScript source into tokens without parsing it. Tells regular
+ * expressions from division, follows template literals into their ${}
+ * expressions and classifies braces as blocks, object literals or class
+ * bodies. Tokens keep their source positions.
+ *
+ * Token types: name, private, number, string, template, regex, punct,
+ * comment, hashbang. Every token has { type, value, start, end, nl }, where
+ * nl is true when a line break comes between it and the previous token.
+ *
+ * The helpers after tokenize() work on code tokens (without comments) and
+ * are shared by the minifier and the module bundler.
+ */
+
+// Reserved words, which can't be variable names
+const KEYWORDS = new Set([
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+  'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if',
+  'import', 'in', 'instanceof', 'new', 'null', 'return', 'super', 'switch', 'this', 'throw',
+  'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield', 'let', 'static',
+  'implements', 'interface', 'package', 'private', 'protected', 'public', 'await'
+]);
+
+// Keywords after which a slash starts a regular expression
+const REGEX_AFTER_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+  'case', 'do', 'else', 'yield', 'await'
+]);
+
+// Keywords after which a brace starts an object literal
+const OBJECT_AFTER_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+  'case', 'yield', 'await', 'default'
+]);
+
+// Keywords whose parenthesised head can be followed by a regular expression
+const STATEMENT_HEAD_KEYWORDS = new Set(['if', 'while', 'for', 'with']);
+
+// Punctuators that can end a statement
+const STATEMENT_END_PUNCTUATORS = new Set([')', ']', '}', '++', '--']);
+
+// Punctuators that can't continue an expression from the previous line
+const STATEMENT_START_PUNCTUATORS = new Set(['++', '--', '!', '~', '{']);
+
+// Object literal and class member modifiers
+const MEMBER_MODIFIERS = new Set(['get', 'set', 'async', 'static']);
+
+// Punctuators, longest first
+const PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=',
+  '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>',
+  '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%', '&', '|',
+  '^', '!', '~', '?', ':', '=', '.', '@'
+];
+
+const IDENTIFIER_PATTERN = /(?:[$_\p{ID_Start}]|\\u[\da-fA-F]{4}|\\u\{[\da-fA-F]+\})(?:[$\u200c\u200d\p{ID_Continue}]|\\u[\da-fA-F]{4}|\\u\{[\da-fA-F]+\})*/uy;
+const NUMBER_PATTERN = /(?:0[xX][\da-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?)n?/y;
+const REGEX_FLAGS_PATTERN = /[$\p{ID_Continue}]*/uy;
+const LINE_TERMINATOR = /[\n\r\u2028\u2029]/;
+const WHITESPACE = /[\s\ufeff]/;
+
+/**
+ * Tokenize JavaScript source
+ * Throws on unterminated literals and unbalanced brackets
+ */
+function tokenize(code) {
+  const tokens = [];
+  const stack = [{ kind: 'program', ternaries: 0, pendingClass: false }];
+  let prev = null;
+  let nl = false;
+  let i = 0;
+
+  if (code.startsWith('#!')) {
+    const end = findLineEnd(code, 0);
+    tokens.push({ type: 'hashbang', value: code.slice(0, end), start: 0, end, nl: false });
+    i = end;
+  }
+
+  while (i < code.length) {
+    const char = code[i];
+
+    if (WHITESPACE.test(char)) {
+      if (LINE_TERMINATOR.test(char)) nl = true;
+      i++;
+      continue;
+    }
+
+    // Comments
+    if (char === '/' && (code[i + 1] === '/' || code[i + 1] === '*')) {
+      const isBlock = code[i + 1] === '*';
+      const close = isBlock ? code.indexOf('*/', i + 2) : findLineEnd(code, i);
+      if (isBlock && close === -1) {
+        throw new SyntaxError(`Unterminated comment at ${i}`);
+      }
+      const end = isBlock ? close + 2 : close;
+      const value = code.slice(i, end);
+      tokens.push({ type: 'comment', value, start: i, end, nl });
+      if (isBlock && LINE_TERMINATOR.test(value)) nl = true;
+      i = end;
+      continue;
+    }
+
+    const top = stack[stack.length - 1];
+    const token = { type: null, value: null, start: i, end: i, nl };
+    nl = false;
+
+    if (char === '}' && top.kind === 'template') {
+      stack.pop();
+      i = readTemplate(code, i, token, stack);
+    } else if (char === '`') {
+      i = readTemplate(code, i, token, stack);
+    } else if (matchAt(IDENTIFIER_PATTERN, code, i)) {
+      token.type = 'name';
+      token.value = matchAt(IDENTIFIER_PATTERN, code, i);
+      token.afterDot = Boolean(prev && prev.type === 'punct' && (prev.value === '.' || prev.value === '?.'));
+      i += token.value.length;
+
+      // A class keyword makes the next brace at this level a class body
+      if (token.value === 'class' && !token.afterDot && !isObjectKeyPosition(prev, top)) {
+        top.pendingClass = true;
+      }
+    } else if (char === '#' && matchAt(IDENTIFIER_PATTERN, code, i + 1)) {
+      token.type = 'private';
+      token.value = '#' + matchAt(IDENTIFIER_PATTERN, code, i + 1);
+      i += token.value.length;
+    } else if (/\d/.test(char) || (char === '.' && /\d/.test(code[i + 1] || ''))) {
+      token.type = 'number';
+      token.value = matchAt(NUMBER_PATTERN, code, i);
+      i += token.value.length;
+    } else if (char === '"' || char === '\'') {
+      token.type = 'string';
+      i = readString(code, i);
+      token.value = code.slice(token.start, i);
+    } else if (char === '/' && isRegexAllowed(prev)) {
+      token.type = 'regex';
+      i = readRegex(code, i);
+      token.value = code.slice(token.start, i);
+    } else {
+      const punctuator = PUNCTUATORS.find(candidate => code.startsWith(candidate, i) &&
+        !(candidate === '?.' && /\d/.test(code[i + 2] || '')));
+      if (!punctuator) {
+        throw new SyntaxError(`Unexpected character '${char}' at ${i}`);
+      }
+      token.type = 'punct';
+      token.value = punctuator;
+      i += punctuator.length;
+      trackPunctuator(token, prev, stack);
+    }
+
+    token.end = i;
+    tokens.push(token);
+    prev = token;
+  }
+
+  if (stack.length > 1) {
+    throw new SyntaxError('Unexpected end of input: unclosed bracket or template');
+  }
+
+  return tokens;
+}
+
+/**
+ * Match a sticky pattern at a position
+ */
+function matchAt(pattern, code, index) {
+  pattern.lastIndex = index;
+  const match = pattern.exec(code);
+  return match && match[0] ? match[0] : null;
+}
+
+/**
+ * Find the end of the line containing a position
+ */
+function findLineEnd(code, index) {
+  for (let i = index; i < code.length; i++) {
+    if (LINE_TERMINATOR.test(code[i])) return i;
+  }
+  return code.length;
+}
+
+/**
+ * Read a string literal, returning the index after it
+ */
+function readString(code, start) {
+  const quote = code[start];
+
+  for (let i = start + 1; i < code.length; i++) {
+    if (code[i] === '\\') {
+      i++;
+    } else if (code[i] === quote) {
+      return i + 1;
+    } else if (code[i] === '\n' || code[i] === '\r') {
+      break;
+    }
+  }
+
+  throw new SyntaxError(`Unterminated string at ${start}`);
+}
+
+/**
+ * Read a template literal part starting at ` or at the } closing a ${}
+ * expression. Parts ending in ${ push a template level onto the stack.
+ */
+function readTemplate(code, start, token, stack) {
+  for (let i = start + 1; i < code.length; i++) {
+    if (code[i] === '\\') {
+      i++;
+    } else if (code[i] === '`' || (code[i] === '$' && code[i + 1] === '{')) {
+      const open = code[i] === '$';
+      const end = open ? i + 2 : i + 1;
+
+      token.type = 'template';
+      token.value = code.slice(start, end);
+      token.templateOpen = open;
+      token.templateClose = code[start] === '}';
+      if (open) {
+        stack.push({ kind: 'template', ternaries: 0, pendingClass: false });
+      }
+      return end;
+    }
+  }
+
+  throw new SyntaxError(`Unterminated template literal at ${start}`);
+}
+
+/**
+ * Read a regular expression literal, returning the index after its flags
+ */
+function readRegex(code, start) {
+  let inClass = false;
+
+  for (let i = start + 1; i < code.length; i++) {
+    const char = code[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (LINE_TERMINATOR.test(char)) {
+      break;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === ']') {
+      inClass = false;
+    } else if (char === '/' && !inClass) {
+      return i + 1 + (matchAt(REGEX_FLAGS_PATTERN, code, i + 1) || '').length;
+    }
+  }
+
+  throw new SyntaxError(`Unterminated regular expression at ${start}`);
+}
+
+/**
+ * Whether a slash after this token starts a regular expression
+ */
+function isRegexAllowed(prev) {
+  if (!prev) return true;
+
+  switch (prev.type) {
+    case 'name':
+      return !prev.afterDot && REGEX_AFTER_KEYWORDS.has(prev.value);
+    case 'template':
+      return prev.templateOpen;
+    case 'punct':
+      if (prev.value === ')') {
+        return Boolean(prev.parenBefore && prev.parenBefore.type === 'name' &&
+          STATEMENT_HEAD_KEYWORDS.has(prev.parenBefore.value));
+      }
+      if (prev.value === '}') return prev.braceKind !== 'object';
+      return ![']', '++', '--'].includes(prev.value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Whether a name at this position would be an object literal key
+ */
+function isObjectKeyPosition(prev, top) {
+  return top.braceKind === 'object' && Boolean(prev) && prev.type === 'punct' &&
+    (prev.value === '{' || prev.value === ',');
+}
+
+/**
+ * Keep the bracket stack, brace kinds and ternary/colon pairing up to date
+ */
+function trackPunctuator(token, prev, stack) {
+  const top = stack[stack.length - 1];
+
+  switch (token.value) {
+    case '(':
+      stack.push({ kind: 'paren', before: prev, ternaries: 0, pendingClass: false });
+      break;
+    case '[':
+      stack.push({ kind: 'bracket', ternaries: 0, pendingClass: false });
+      break;
+    case '{':
+      token.braceKind = classifyBrace(prev, top);
+      stack.push({ kind: 'brace', braceKind: token.braceKind, ternaries: 0, pendingClass: false });
+      break;
+    case ')':
+    case ']':
+    case '}': {
+      const expected = { ')': 'paren', ']': 'bracket', '}': 'brace' }[token.value];
+      if (top.kind !== expected) {
+        throw new SyntaxError(`Unexpected '${token.value}' at ${token.start}`);
+      }
+      stack.pop();
+      if (token.value === ')') token.parenBefore = top.before;
+      if (token.value === '}') token.braceKind = top.braceKind;
+      break;
+    }
+    case '?':
+      top.ternaries++;
+      break;
+    case ':':
+      if (top.ternaries > 0) {
+        top.ternaries--;
+        token.colonKind = 'ternary';
+      } else if (top.braceKind === 'object') {
+        token.colonKind = 'key';
+      } else {
+        token.colonKind = 'label';
+      }
+      break;
+    case ';':
+      top.pendingClass = false;
+      break;
+  }
+}
+
+/**
+ * Decide whether a brace opens a block, an object literal or a class body
+ */
+function classifyBrace(prev, top) {
+  if (top.pendingClass) {
+    top.pendingClass = false;
+    return 'class';
+  }
+
+  if (!prev) return 'block';
+
+  if (prev.type === 'template') return 'object';
+
+  if (prev.type === 'punct') {
+    if ([')', ';', '{', '}', '=>'].includes(prev.value)) return 'block';
+    if (prev.value === ':') return prev.colonKind === 'label' ? 'block' : 'object';
+    return 'object';
+  }
+
+  if (prev.type === 'name' && !prev.afterDot && OBJECT_AFTER_KEYWORDS.has(prev.value)) {
+    return 'object';
+  }
+
+  return 'block';
+}
+
+/**
+ * Whether a token is a reserved word rather than an identifier
+ */
+function isKeyword(token) {
+  return token.type === 'name' && !token.afterDot && KEYWORDS.has(token.value);
+}
+
+/**
+ * Whether a statement can end after this token
+ */
+function canEndStatement(token) {
+  if (token.type === 'punct') return STATEMENT_END_PUNCTUATORS.has(token.value);
+  if (token.type === 'template') return !token.templateOpen;
+  return true;
+}
+
+/**
+ * Whether this token continues an expression from the previous line
+ */
+function continuesExpression(token) {
+  if (token.type === 'punct') return !STATEMENT_START_PUNCTUATORS.has(token.value);
+  if (token.type === 'template') return true;
+  if (token.type === 'name') return !token.afterDot && (token.value === 'in' || token.value === 'instanceof');
+  return false;
+}
+
+/**
+ * Match brackets and find the innermost bracket enclosing every token
+ */
+function matchBrackets(tokens) {
+  const match = new Array(tokens.length).fill(-1);
+  const parent = new Array(tokens.length).fill(-1);
+  const stack = [];
+
+  tokens.forEach((token, index) => {
+    const isPunct = token.type === 'punct';
+    const closes = (isPunct && [')', ']', '}'].includes(token.value)) || (token.type === 'template' && token.templateClose);
+    const opens = (isPunct && ['(', '[', '{'].includes(token.value)) || (token.type === 'template' && token.templateOpen);
+
+    if (closes) {
+      const open = stack.pop();
+      match[open] = index;
+      match[index] = open;
+    }
+    parent[index] = stack.length > 0 ? stack[stack.length - 1] : -1;
+    if (opens) stack.push(index);
+  });
+
+  return { match, parent };
+}
+
+/**
+ * Whether the token at index starts a statement
+ */
+function isStatementStart(tokens, index) {
+  let prev = tokens[index - 1];
+  if (prev && prev.type === 'name' && prev.value === 'async' && !tokens[index].nl) {
+    index--;
+    prev = tokens[index - 1];
+  }
+
+  if (!prev) return true;
+  if (prev.type === 'punct' && [';', '{', '}'].includes(prev.value)) return true;
+  return tokens[index].nl && canEndStatement(prev);
+}
+
+/**
+ * Decide what a name token is: a variable reference, an object shorthand
+ * property, or something that isn't a variable (property key, label, ...)
+ */
+function getNameRole(tokens, index, parent) {
+  const token = tokens[index];
+  const prev = tokens[index - 1];
+  const next = tokens[index + 1];
+
+  if (token.afterDot) return 'property';
+
+  const containerIndex = parent[index];
+  const container = containerIndex !== -1 ? tokens[containerIndex] : null;
+  const isPunct = (candidate, values) => Boolean(candidate) && candidate.type === 'punct' && values.includes(candidate.value);
+
+  if (container && container.type === 'punct' && container.value === '{') {
+    if (container.braceKind === 'object') {
+      const atMemberStart = isPunct(prev, ['{', ',']) || isModifier(tokens, index - 1, parent, 'object');
+      if (atMemberStart) {
+        if (isPunct(next, [':', '('])) return 'key';
+        if (MEMBER_MODIFIERS.has(token.value) && next && !isPunct(next, [',', '}', '=', ':', '('])) return 'key';
+        if (isPunct(next, [',', '}', '='])) return 'shorthand';
+      }
+      return 'reference';
+    }
+
+    if (container.braceKind === 'class') {
+      const atMemberStart = isPunct(prev, ['{', ';', '}']) || isModifier(tokens, index - 1, parent, 'class') ||
+        (token.nl && canEndStatement(prev));
+      return atMemberStart ? 'key' : 'reference';
+    }
+  }
+
+  // Labels and break/continue targets
+  if (next && next.type === 'punct' && next.value === ':' && next.colonKind === 'label' &&
+      (!prev || isPunct(prev, [';', '{', '}']) || (token.nl && canEndStatement(prev)))) {
+    return 'label';
+  }
+  if (prev && prev.type === 'name' && (prev.value === 'break' || prev.value === 'continue') && !token.nl) {
+    return 'label';
+  }
+
+  return 'reference';
+}
+
+/**
+ * Whether the token at index is a member modifier (get, set, async,
+ * static or *) at the start of a member
+ */
+function isModifier(tokens, index, parent, kind) {
+  const token = tokens[index];
+  if (!token) return false;
+
+  const isModifierToken = (token.type === 'name' && MEMBER_MODIFIERS.has(token.value)) ||
+    (token.type === 'punct' && token.value === '*');
+  if (!isModifierToken) return false;
+
+  const prev = tokens[index - 1];
+  const starts = kind === 'object' ? ['{', ','] : ['{', ';', '}'];
+  return (prev && prev.type === 'punct' && starts.includes(prev.value)) || isModifier(tokens, index - 1, parent, kind);
+}
+
+module.exports = {
+  tokenize,
+  isKeyword,
+  matchBrackets,
+  canEndStatement,
+  continuesExpression,
+  isStatementStart,
+  getNameRole,
+  KEYWORDS
+};
@@ -0,0 +1,146 @@
+/**
+ * Live Reload
+ *
+ * Pushes file changes from the dev server to open pages over Server-Sent
+ * Events. Stylesheet and image changes are swapped into the page in place,
+ * so plugin state survives; other changes reload the page.
+ */
+
+const path = require('path');
+
+// The URL pages listen on for changes
+const LIVE_RELOAD_PATH = '/__livereload';
+
+// Files a page can pick up without reloading
+const STYLESHEET_PATTERN = /\.css$/i;
+const IMAGE_PATTERN = /\.(png|jpe?g|gif|svg|webp|avif|ico|bmp)$/i;
+
+// Keeps idle connections from being closed by proxies
+const KEEP_ALIVE_INTERVAL = 30000;
+
+// Runs in the page: swaps stylesheets and images, reloads for the rest
+const CLIENT_SCRIPT = `
+<script>
+  // Live reload for development
+  (function() {
+    if (!window.EventSource) return;
+
+    function filePath(url) {
+      try {
+        return decodeURIComponent(new URL(url, location.href).pathname).replace(/^\\//, '');
+      } catch (e) {
+        return null;
+      }
+    }
+
+    function bust(url) {
+      var clean = url.replace(/([?&])__reload=\\d+&?/, '$1').replace(/[?&]$/, '');
+      return clean + (clean.indexOf('?') === -1 ? '?' : '&') + '__reload=' + Date.now();
+    }
+
+    // Load the new stylesheet next to the old one, then drop the old one,
+    // so the page is never unstyled
+    function swapStylesheet(link) {
+      if (link.__cposReplaced) return;
+      link.__cposReplaced = true;
+
+      var next = link.cloneNode();
+      next.href = bust(link.href);
+      next.onload = next.onerror = function() { link.remove(); };
+      link.after(next);
+    }
+
+    function update(files, reloadAll) {
+      var links = Array.prototype.slice.call(document.querySelectorAll('link[rel~="stylesheet"][href]'));
+      var matched = links.filter(function(link) { return files.indexOf(filePath(link.href)) !== -1; });
+      // An imported stylesheet or an image used in CSS changed
+      (matched.length > 0 && !reloadAll ? matched : links).forEach(swapStylesheet);
+
+      document.querySelectorAll('img[src]').forEach(function(img) {
+        if (files.indexOf(filePath(img.src)) !== -1) img.src = bust(img.src);
+      });
+    }
+
+    var source = new EventSource('${LIVE_RELOAD_PATH}');
+    var lost = false;
+    source.addEventListener('reload', function() { location.reload(); });
+    source.addEventListener('css', function(event) { update(JSON.parse(event.data).files, false); });
+    source.addEventListener('image', function(event) { update(JSON.parse(event.data).files, true); });
+    source.onerror = function() { lost = true; };
+    // The server restarted; files may have changed in between
+    source.onopen = function() { if (lost) location.reload(); };
+  })();
+</script>
+`;
+
+/**
+ * Create the live reload channel of a dev server
+ *
+ * Returns liveReload:
+ *   handle(req, res)  - serve the event stream; returns false for other
+ *                       URLs
+ *   notify(files)     - tell open pages about changed files (relative to
+ *                       the served root); returns 'css', 'image' or
+ *                       'reload' for what the pages do
+ *   close()           - end all open event streams
+ */
+function createLiveReload() {
+  const clients = new Set();
+  let keepAlive = null;
+
+  const liveReload = {
+    handle(req, res) {
+      if (req.url.split('?')[0] !== LIVE_RELOAD_PATH) return false;
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write('retry: 1000\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+
+      if (!keepAlive) {
+        keepAlive = setInterval(() => clients.forEach(client => client.write(': ping\n\n')), KEEP_ALIVE_INTERVAL);
+        keepAlive.unref();
+      }
+      return true;
+    },
+
+    notify(files) {
+      const urlPaths = files.map(file => file.split(path.sep).join('/'));
+      const type = urlPaths.every(file => STYLESHEET_PATTERN.test(file)) ? 'css'
+        : urlPaths.every(file => STYLESHEET_PATTERN.test(file) || IMAGE_PATTERN.test(file)) ? 'image'
+        : 'reload';
+
+      const message = `event: ${type}\ndata: ${JSON.stringify({ files: urlPaths })}\n\n`;
+      clients.forEach(client => client.write(message));
+      return type;
+    },
+
+    close() {
+      clearInterval(keepAlive);
+      keepAlive = null;
+      clients.forEach(client => client.end());
+      clients.clear();
+    }
+  };
+
+  return liveReload;
+}
+
+/**
+ * Add the live reload client to an HTML page
+ */
+function injectLiveReloadScript(html) {
+  const bodyEnd = html.search(/<\/body\s*>/i);
+  return bodyEnd === -1
+    ? html + CLIENT_SCRIPT
+    : html.slice(0, bodyEnd) + CLIENT_SCRIPT + html.slice(bodyEnd);
+}
+
+module.exports = {
+  createLiveReload,
+  injectLiveReloadScript
+};
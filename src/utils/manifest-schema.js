@@ -4,12 +4,19 @@
  * Defines the structure and validation rules for plugin manifest.json files.
  */
 
+// Sizes such as 8192, 16kb or 1.5MB
+const SIZE_PATTERN = /^\s*\d+(\.\d+)?\s*([kKmM]?[bB]|[kKmM])?\s*$/;
+
 const manifestSchema = {
   // Required fields
   required: ['name', 'id', 'version', 'entryPoint'],
 
   // Schema definition
   properties: {
+    $schema: {
+      type: 'string',
+      description: 'JSON Schema used by editors to validate this manifest'
+    },
     name: {
       type: 'string',
       description: 'Display name of the plugin',
@@ -52,6 +59,10 @@ const manifestSchema = {
       type: 'string',
       description: 'License identifier (e.g., MIT, Apache-2.0)'
     },
+    template: {
+      type: 'string',
+      description: 'Template the plugin was created from'
+    },
     minPosVersion: {
       type: 'string',
       description: 'Minimum required CommercePOS version',
@@ -77,6 +88,8 @@ const manifestSchema = {
       description: 'List of required permissions',
       items: {
         type: 'string',
+        // The POS ignores permissions it doesn't know, so only warn
+        warnOnly: true,
         enum: [
           'orders',         // Access to orders
           'products',       // Access to products and inventory
@@ -96,21 +109,25 @@ const manifestSchema = {
     settings: {
       type: 'array',
       description: 'Plugin configuration options',
+      uniqueBy: 'key',
       items: {
         type: 'object',
+        required: ['key', 'type'],
         properties: {
           key: { type: 'string', description: 'Setting identifier' },
           label: { type: 'string', description: 'Display label' },
           type: {
             type: 'string',
+            description: 'Input type',
             enum: ['text', 'number', 'boolean', 'select', 'password']
           },
-          default: { description: 'Default value' },
+          default: { description: 'Default value (must match the setting type)' },
           options: {
             type: 'array',
-            description: 'Options for select type'
+            description: 'Options for select type (values or { value, label } objects)',
+            minItems: 1
           },
-          required: { type: 'boolean', default: false }
+          required: { type: 'boolean', description: 'Whether a value must be entered', default: false }
         }
       }
     },
@@ -127,85 +144,243 @@ const manifestSchema = {
         onPaymentReceived: { type: 'string', description: 'Called when payment is received' }
       }
     },
+    budgets: {
+      type: 'object',
+      description: 'Output size limits checked by cpos-plugin build, in bytes or as sizes like "200kb"',
+      properties: {
+        maxBundleSize: { description: 'Largest total size of the built HTML, CSS and JavaScript', pattern: SIZE_PATTERN },
+        maxAssetSize: { description: 'Largest size of any single output file but the manifest', pattern: SIZE_PATTERN },
+        maxTotalSize: { description: 'Largest total size of the build output', pattern: SIZE_PATTERN }
+      }
+    },
     shortcuts: {
       type: 'array',
       description: 'Quick action shortcuts',
+      uniqueBy: 'id',
       items: {
         type: 'object',
+        required: ['id', 'label', 'action'],
         properties: {
-          id: { type: 'string' },
-          label: { type: 'string' },
-          icon: { type: 'string' },
-          action: { type: 'string' }
+          id: { type: 'string', description: 'Shortcut identifier' },
+          label: { type: 'string', description: 'Display label' },
+          icon: { type: 'string', description: 'Path to shortcut icon' },
+          action: { type: 'string', description: 'Action or file to open' }
         }
       }
     }
   }
 };
 
+// Value type a setting's default must have, by setting type
+const SETTING_VALUE_TYPES = {
+  text: 'string',
+  password: 'string',
+  select: 'string',
+  number: 'number',
+  boolean: 'boolean'
+};
+
+// Draft of the generated JSON Schema
+const JSON_SCHEMA_DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+// File name of the generated JSON Schema in plugin projects
+const JSON_SCHEMA_FILE = 'manifest.schema.json';
+
 /**
- * Validate a manifest object against the schema
+ * Build a JSON pointer (RFC 6901) from path segments
  */
-function validateManifest(manifest) {
-  const errors = [];
-  const warnings = [];
+function toPointer(...segments) {
+  return segments
+    .map(segment => '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1'))
+    .join('');
+}
 
-  // Check required fields
-  for (const field of manifestSchema.required) {
-    if (!manifest[field]) {
-      errors.push(`Missing required field: ${field}`);
-    }
+/**
+ * Describe a path for messages (e.g. settings[0].type)
+ */
+function describePath(segments) {
+  return segments.reduce((name, segment) => {
+    if (typeof segment === 'number') return `${name}[${segment}]`;
+    return name ? `${name}.${segment}` : segment;
+  }, '');
+}
+
+/**
+ * Check a value against a schema type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default: return true;
   }
+}
 
-  // Validate individual properties
-  for (const [key, value] of Object.entries(manifest)) {
-    const schema = manifestSchema.properties[key];
+/**
+ * Validate a value against a schema node, recursing into arrays and objects
+ */
+function validateValue(value, schema, segments, errors, warnings) {
+  const path = toPointer(...segments);
+  const name = describePath(segments);
 
-    if (!schema) {
-      warnings.push(`Unknown field: ${key}`);
-      continue;
+  // Type validation
+  if (schema.type && !matchesType(value, schema.type)) {
+    const article = ['array', 'object'].includes(schema.type) ? 'an' : 'a';
+    errors.push({ path, message: `${name} must be ${article} ${schema.type}` });
+    return;
+  }
+
+  // Pattern validation
+  if (schema.pattern && typeof value === 'string' && !schema.pattern.test(value)) {
+    errors.push({ path, message: `${name} has invalid format` });
+  }
+
+  // Length validation
+  if (schema.minLength && typeof value === 'string' && value.length < schema.minLength) {
+    errors.push({ path, message: `${name} must be at least ${schema.minLength} characters` });
+  }
+  if (schema.maxLength && typeof value === 'string' && value.length > schema.maxLength) {
+    errors.push({ path, message: `${name} must be at most ${schema.maxLength} characters` });
+  }
+
+  // Enum validation
+  if (schema.enum && !schema.enum.includes(value)) {
+    if (schema.warnOnly) {
+      warnings.push({ path, message: `Unknown value for ${name}: ${value}` });
+    } else {
+      errors.push({ path, message: `${name} must be one of: ${schema.enum.join(', ')}` });
     }
+  }
 
-    // Type validation
-    if (schema.type === 'string' && typeof value !== 'string') {
-      errors.push(`${key} must be a string`);
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path, message: `${name} must have at least ${schema.minItems} item(s)` });
     }
-    if (schema.type === 'array' && !Array.isArray(value)) {
-      errors.push(`${key} must be an array`);
+
+    if (schema.items) {
+      value.forEach((item, index) => {
+        validateValue(item, schema.items, [...segments, index], errors, warnings);
+      });
     }
-    if (schema.type === 'object' && typeof value !== 'object') {
-      errors.push(`${key} must be an object`);
+
+    if (schema.uniqueBy) {
+      checkUnique(value, schema.uniqueBy, segments, errors);
     }
+  } else if (schema.properties && matchesType(value, 'object')) {
+    validateObject(value, schema, segments, errors, warnings);
+  }
+}
 
-    // Pattern validation
-    if (schema.pattern && typeof value === 'string') {
-      if (!schema.pattern.test(value)) {
-        errors.push(`${key} has invalid format`);
-      }
+/**
+ * Validate required and known properties of an object
+ */
+function validateObject(value, schema, segments, errors, warnings) {
+  // Check required fields
+  for (const field of schema.required || []) {
+    if (value[field] === undefined || value[field] === null || value[field] === '') {
+      errors.push({
+        path: toPointer(...segments, field),
+        message: `Missing required field: ${describePath([...segments, field])}`
+      });
     }
+  }
+
+  // Validate individual properties
+  for (const [key, propertyValue] of Object.entries(value)) {
+    const propertySchema = schema.properties[key];
 
-    // Length validation
-    if (schema.minLength && typeof value === 'string' && value.length < schema.minLength) {
-      errors.push(`${key} must be at least ${schema.minLength} characters`);
+    if (!propertySchema) {
+      warnings.push({
+        path: toPointer(...segments, key),
+        message: `Unknown field: ${describePath([...segments, key])}`
+      });
+      continue;
     }
-    if (schema.maxLength && typeof value === 'string' && value.length > schema.maxLength) {
-      errors.push(`${key} must be at most ${schema.maxLength} characters`);
+
+    if (propertyValue === undefined || propertyValue === null) continue;
+    validateValue(propertyValue, propertySchema, [...segments, key], errors, warnings);
+  }
+}
+
+/**
+ * Check that a property is unique across array items
+ */
+function checkUnique(items, property, segments, errors) {
+  const seen = new Map();
+
+  items.forEach((item, index) => {
+    if (!matchesType(item, 'object') || item[property] === undefined) return;
+
+    const value = item[property];
+    if (seen.has(value)) {
+      errors.push({
+        path: toPointer(...segments, index, property),
+        message: `${describePath([...segments, index, property])} duplicates ${describePath([...segments, seen.get(value), property])}: ${value}`
+      });
+    } else {
+      seen.set(value, index);
     }
+  });
+}
+
+/**
+ * Validate rules between fields of a setting that the schema can't express
+ */
+function validateSetting(setting, segments, errors) {
+  const optionValues = Array.isArray(setting.options) ?
+    setting.options.map(option => (matchesType(option, 'object') ? option.value : option)) :
+    [];
+
+  // Select settings need options to choose from
+  if (setting.type === 'select' && !Array.isArray(setting.options)) {
+    errors.push({
+      path: toPointer(...segments, 'options'),
+      message: `${describePath([...segments, 'options'])} is required for select settings`
+    });
+  }
 
-    // Enum validation
-    if (schema.enum && !schema.enum.includes(value)) {
-      errors.push(`${key} must be one of: ${schema.enum.join(', ')}`);
+  if (setting.default === undefined || setting.default === null) return;
+
+  // Default must match the setting type
+  const expectedType = SETTING_VALUE_TYPES[setting.type];
+  const path = toPointer(...segments, 'default');
+  const name = describePath([...segments, 'default']);
+
+  if (setting.type === 'select' && optionValues.length > 0) {
+    if (!optionValues.includes(setting.default)) {
+      errors.push({ path, message: `${name} must be one of the setting options` });
     }
+  } else if (expectedType && !matchesType(setting.default, expectedType)) {
+    errors.push({ path, message: `${name} must be a ${expectedType} for ${setting.type} settings` });
+  }
+}
 
-    // Validate permissions array
-    if (key === 'permissions' && Array.isArray(value)) {
-      const validPermissions = manifestSchema.properties.permissions.items.enum;
-      for (const perm of value) {
-        if (!validPermissions.includes(perm)) {
-          warnings.push(`Unknown permission: ${perm}`);
-        }
+/**
+ * Validate a manifest object against the schema
+ *
+ * Errors and warnings are returned as { path, message } where path is a
+ * JSON pointer into the manifest (e.g. /settings/2/options).
+ */
+function validateManifest(manifest) {
+  const errors = [];
+  const warnings = [];
+
+  if (!matchesType(manifest, 'object')) {
+    errors.push({ path: '', message: 'Manifest must be a JSON object' });
+    return { valid: false, errors, warnings };
+  }
+
+  validateObject(manifest, manifestSchema, [], errors, warnings);
+
+  if (Array.isArray(manifest.settings)) {
+    manifest.settings.forEach((setting, index) => {
+      if (matchesType(setting, 'object')) {
+        validateSetting(setting, ['settings', index], errors);
       }
-    }
+    });
   }
 
   return {
@@ -215,6 +390,75 @@ function validateManifest(manifest) {
   };
 }
 
+/**
+ * Convert a schema node to standard JSON Schema keywords
+ */
+function toJsonSchemaNode(schema) {
+  const node = {};
+
+  for (const keyword of ['type', 'description', 'enum', 'minLength', 'maxLength', 'minItems', 'default', 'required']) {
+    if (schema[keyword] !== undefined) {
+      node[keyword] = schema[keyword];
+    }
+  }
+
+  if (schema.pattern) {
+    node.pattern = schema.pattern.source;
+  }
+
+  if (schema.items) {
+    node.items = toJsonSchemaNode(schema.items);
+  }
+
+  if (schema.properties) {
+    node.properties = {};
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      node.properties[key] = toJsonSchemaNode(propertySchema);
+    }
+  }
+
+  return node;
+}
+
+/**
+ * Generate a standard JSON Schema (draft 2020-12) for manifest.json
+ *
+ * Editors such as VS Code use it for autocompletion, inline docs and
+ * validation while typing. Rules without a JSON Schema equivalent, such
+ * as unique setting keys, are only checked by validateManifest().
+ */
+function generateJsonSchema() {
+  const schema = {
+    $schema: JSON_SCHEMA_DRAFT,
+    title: 'CommercePOS Plugin Manifest',
+    description: 'Configuration of a CommercePOS plugin (manifest.json)',
+    ...toJsonSchemaNode({ type: 'object', ...manifestSchema })
+  };
+
+  // Permission descriptions shown by editors when picking a value
+  const permissionDescriptions = getPermissionDescriptions();
+  const permissionItems = schema.properties.permissions.items;
+  permissionItems.enumDescriptions = permissionItems.enum.map(permission => permissionDescriptions[permission]);
+
+  // Select settings need options, and defaults must match the setting type
+  const settingItems = schema.properties.settings.items;
+  settingItems.allOf = [
+    {
+      if: { properties: { type: { const: 'select' } }, required: ['type'] },
+      then: { required: ['options'] }
+    },
+    // Select defaults are checked against the options instead
+    ...Object.entries(SETTING_VALUE_TYPES)
+      .filter(([settingType]) => settingType !== 'select')
+      .map(([settingType, valueType]) => ({
+        if: { properties: { type: { const: settingType } }, required: ['type'] },
+        then: { properties: { default: { type: valueType } } }
+      }))
+  ];
+
+  return schema;
+}
+
 /**
  * Generate a default manifest
  */
@@ -259,9 +503,59 @@ function getPermissionDescriptions() {
   };
 }
 
+/**
+ * Get the permission each POS_SDK method requires
+ *
+ * Methods mapped to null need no permission. Every public SDK method is
+ * listed, so a name missing from this map is not part of the SDK.
+ */
+function getMethodPermissions() {
+  return {
+    ready: null,
+    on: null,
+    off: null,
+    isPermissionDenied: null,
+    getDeniedPermission: null,
+    getPluginInfo: null,
+    getCurrentOrder: 'orders',
+    getCart: 'orders',
+    addToCart: 'orders',
+    removeFromCart: 'orders',
+    updateCartItemQuantity: 'orders',
+    getOrders: 'orders',
+    getCustomer: 'customers',
+    setCustomer: 'customers',
+    getProducts: 'products',
+    searchProducts: 'products',
+    getCategories: 'products',
+    getSettings: null,
+    saveSettings: null,
+    showToast: 'notifications',
+    showDialog: 'notifications',
+    close: null,
+    navigateTo: null,
+    processPayment: 'payments',
+    printReceipt: 'printer',
+    openCashDrawer: 'cashDrawer',
+    getStoreInfo: null,
+    getStaffInfo: 'staff',
+    getDailySummary: 'reports',
+    getWeeklySummary: 'reports',
+    getMonthlySummary: 'reports',
+    getStockSummary: 'reports',
+    getTopProducts: 'reports',
+    logEvent: null,
+    httpRequest: 'network'
+  };
+}
+
 module.exports = {
   manifestSchema,
   validateManifest,
   generateManifest,
-  getPermissionDescriptions
+  getPermissionDescriptions,
+  getMethodPermissions,
+  generateJsonSchema,
+  toPointer,
+  JSON_SCHEMA_FILE
 };
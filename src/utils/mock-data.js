@@ -0,0 +1,241 @@
+/**
+ * Mock Data
+ *
+ * Answers POS_SDK calls the dev server doesn't emulate itself. A project can
+ * answer any method from its mocks/ folder, with mocks/<method>.json holding
+ * the result or mocks/<method>.js exporting it or a function of the call
+ * params. Methods without a mock file get built-in sample data.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// The project folder mock files are read from
+const MOCKS_DIR = 'mocks';
+
+// Mock file extensions, in the order they are looked for
+const MOCK_EXTENSIONS = ['.js', '.json'];
+
+// Bridge method names are plain identifiers, never paths
+const METHOD_NAME = /^[A-Za-z_$][\w$]*$/;
+
+// Sample catalogue behind the product and category defaults
+const CATEGORIES = [
+  { id: 1, name: 'Beverages' },
+  { id: 2, name: 'Snacks' },
+  { id: 3, name: 'Household' }
+];
+
+const PRODUCTS = [
+  { id: 1, code: 'P001', name: 'Product A', price: 300, categoryId: 1, stock: 5, barcode: '8900000000011' },
+  { id: 2, code: 'P002', name: 'Product B', price: 300, categoryId: 1, stock: 3, barcode: '8900000000028' },
+  { id: 3, code: 'P003', name: 'Product C', price: 250, categoryId: 2, stock: 40, barcode: '8900000000035' },
+  { id: 4, code: 'P004', name: 'Product D', price: 200, categoryId: 2, stock: 25, barcode: '8900000000042' },
+  { id: 5, code: 'P005', name: 'Product E', price: 120, categoryId: 3, stock: 0, barcode: '8900000000059' }
+];
+
+const ORDERS = [
+  { id: 1, code: 'ORD001', orderNo: 'ORD-001', customerName: 'John Doe', total: 1500, status: 1, addedDate: '2024-01-15T10:30:00' },
+  { id: 2, code: 'ORD002', orderNo: 'ORD-002', customerName: 'Jane Smith', total: 2500, status: 1, addedDate: '2024-01-15T11:45:00' }
+];
+
+const TOP_PRODUCTS = [
+  { productCode: 'P001', productName: 'Product A', quantitySold: 150, totalRevenue: 45000, averagePrice: 300 },
+  { productCode: 'P002', productName: 'Product B', quantitySold: 120, totalRevenue: 36000, averagePrice: 300 },
+  { productCode: 'P003', productName: 'Product C', quantitySold: 100, totalRevenue: 25000, averagePrice: 250 }
+];
+
+// Built-in answers by bridge method name: a result, or a function of the
+// call params returning one
+const DEFAULT_MOCKS = {
+  getProducts: params => {
+    const products = PRODUCTS.filter(product => params.categoryId === undefined || product.categoryId === params.categoryId);
+    return { success: true, data: paginate(products, params), total: products.length };
+  },
+  searchProducts: params => {
+    const query = String(params.query || '').toLowerCase();
+    const data = PRODUCTS.filter(product =>
+      [product.name, product.code, product.barcode].some(value => value.toLowerCase().includes(query)));
+    return { success: true, data, total: data.length };
+  },
+  getCategories: { success: true, data: CATEGORIES },
+  getStoreInfo: {
+    id: 1,
+    name: 'Development Store',
+    address: '1 Market Street',
+    phone: '+91 00000 00000',
+    currency: 'INR',
+    timezone: 'Asia/Kolkata',
+    taxRate: 0.09
+  },
+  getStaffInfo: { id: 1, name: 'Dev Staff', role: 'cashier' },
+  processPayment: params => ({
+    success: true,
+    transactionId: `TXN-${Date.now()}`,
+    amount: params.amount,
+    status: 'approved'
+  }),
+  printReceipt: { success: true },
+  openCashDrawer: { success: true },
+  logEvent: { success: true },
+  httpRequest: { success: false, error: 'httpRequest has no mock; add mocks/httpRequest.js to answer it' },
+  getDailySummary: {
+    success: true,
+    data: {
+      totalSales: 12500,
+      totalOrders: 15,
+      avgOrder: 833,
+      itemsSold: 42,
+      hourlyData: [
+        { hour: 9, label: '9AM', sales: 1500, orders: 2 },
+        { hour: 10, label: '10AM', sales: 2200, orders: 3 },
+        { hour: 11, label: '11AM', sales: 1800, orders: 2 },
+        { hour: 12, label: '12PM', sales: 2500, orders: 4 },
+        { hour: 13, label: '1PM', sales: 1500, orders: 2 },
+        { hour: 14, label: '2PM', sales: 3000, orders: 2 }
+      ],
+      paymentMethods: [
+        { name: 'Cash', icon: '💵', type: 'cash', amount: 5000, count: 6, percent: 40 },
+        { name: 'Card', icon: '💳', type: 'card', amount: 4000, count: 5, percent: 32 },
+        { name: 'UPI', icon: '📱', type: 'upi', amount: 2500, count: 3, percent: 20 },
+        { name: 'Other', icon: '🔄', type: 'other', amount: 1000, count: 1, percent: 8 }
+      ],
+      topProducts: [
+        { name: 'Product A', qty: 12, revenue: 3600 },
+        { name: 'Product B', qty: 8, revenue: 2400 },
+        { name: 'Product C', qty: 10, revenue: 2000 },
+        { name: 'Product D', qty: 6, revenue: 1800 },
+        { name: 'Product E', qty: 6, revenue: 1200 }
+      ],
+      recentOrders: [
+        { id: 'ORD-015', time: '2:45 PM', amount: 850, status: 'completed' },
+        { id: 'ORD-014', time: '2:20 PM', amount: 1200, status: 'completed' },
+        { id: 'ORD-013', time: '1:55 PM', amount: 650, status: 'completed' }
+      ],
+      cashDrawer: 5000,
+      taxCollected: 1125,
+      discounts: 350
+    }
+  },
+  getWeeklySummary: {
+    success: true,
+    data: {
+      totalSales: 87500,
+      totalOrders: 105,
+      avgOrder: 833,
+      lastWeekSales: 75000,
+      lastWeekOrders: 90,
+      percentageChange: 16.67,
+      isPositive: true,
+      dailyData: [
+        { date: '2024-01-15', dayName: 'Monday', orderCount: 15, total: 12500 },
+        { date: '2024-01-16', dayName: 'Tuesday', orderCount: 18, total: 15000 },
+        { date: '2024-01-17', dayName: 'Wednesday', orderCount: 12, total: 10000 }
+      ]
+    }
+  },
+  getMonthlySummary: {
+    success: true,
+    data: {
+      totalSales: 350000,
+      totalOrders: 420,
+      avgOrder: 833,
+      lastMonthSales: 320000,
+      lastMonthOrders: 385,
+      percentageChange: 9.38,
+      isPositive: true,
+      dailyData: []
+    }
+  },
+  getStockSummary: {
+    success: true,
+    data: {
+      totalProducts: 150,
+      lowStockCount: 12,
+      outOfStockCount: 3,
+      totalStockValue: 250000,
+      totalQuantity: 5000,
+      lowStockProducts: [
+        { productCode: 'P001', productName: 'Product A', currentStock: 5, lowStockThreshold: 10 },
+        { productCode: 'P002', productName: 'Product B', currentStock: 3, lowStockThreshold: 10 }
+      ]
+    }
+  },
+  getTopProducts: params => ({
+    success: true,
+    data: TOP_PRODUCTS.slice(0, params.limit > 0 ? params.limit : TOP_PRODUCTS.length)
+  }),
+  getOrders: params => ({
+    success: true,
+    data: paginate(ORDERS, params),
+    total: ORDERS.length
+  })
+};
+
+/**
+ * Find the mock file a project answers a method with
+ *
+ * Returns the absolute path of mocks/<method>.js or mocks/<method>.json, or
+ * null if there is none.
+ */
+async function findMockFile(projectDir, method) {
+  if (!METHOD_NAME.test(method)) return null;
+
+  for (const ext of MOCK_EXTENSIONS) {
+    const file = path.join(projectDir, MOCKS_DIR, `${method}${ext}`);
+    if (await fs.pathExists(file)) return file;
+  }
+  return null;
+}
+
+/**
+ * Answer a call from a mock file
+ *
+ * JSON files hold the result. JavaScript modules export the result, or a
+ * (possibly async) function called with the call params and a context of
+ * { manifest, defaultMock } that returns it. Modules are loaded again for
+ * every call, so edits apply without restarting the server.
+ *
+ * Throws with the file name if the file can't be read or the function
+ * throws.
+ */
+async function runMockFile(file, params, context) {
+  const name = path.join(MOCKS_DIR, path.basename(file));
+  try {
+    if (path.extname(file) === '.json') return await fs.readJson(file);
+
+    delete require.cache[require.resolve(file)];
+    const mock = require(file);
+    return typeof mock === 'function' ? await mock(params, context) : mock;
+  } catch (error) {
+    throw new Error(`${name}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the built-in answer to a call, or null for methods without one
+ */
+function getDefaultMock(method, params = {}) {
+  if (!Object.prototype.hasOwnProperty.call(DEFAULT_MOCKS, method)) return null;
+
+  const mock = DEFAULT_MOCKS[method];
+  const result = typeof mock === 'function' ? mock(params) : mock;
+  // Callers get their own copy to change
+  return result === undefined ? null : JSON.parse(JSON.stringify(result));
+}
+
+/**
+ * Apply the { limit, offset } options of a listing call
+ */
+function paginate(items, params) {
+  const offset = params.offset > 0 ? params.offset : 0;
+  const limit = params.limit > 0 ? params.limit : items.length;
+  return items.slice(offset, offset + limit);
+}
+
+module.exports = {
+  findMockFile,
+  runMockFile,
+  getDefaultMock,
+  MOCKS_DIR
+};
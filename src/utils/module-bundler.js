@@ -0,0 +1,669 @@
+/**
+ * Module Bundler
+ *
+ * Bundles an ES module and everything it imports, from the project or from
+ * node_modules, into a single classic script. Modules are concatenated in
+ * evaluation order inside one function (scope hoisting): imports become
+ * direct references to the exporting module's bindings, top-level names
+ * that would collide are renamed, and declarations nothing uses are left
+ * out (tree-shaking).
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { parseModule, DEFAULT_BINDING } = require('./js-modules');
+
+// Extensions tried for specifiers without one
+const RESOLVE_EXTENSIONS = ['.js', '.mjs'];
+
+// package.json "exports" conditions, for a browser bundle
+const EXPORT_CONDITIONS = new Set(['browser', 'import', 'module', 'default']);
+
+// Globals that give a file away as CommonJS
+const COMMONJS_GLOBALS = ['require', 'module', 'exports'];
+
+/**
+ * Bundle the ES module at entryFile (relative to projectDir)
+ *
+ * Options:
+ *   code  - source of the entry module, for inline module scripts; the entry
+ *           file is then the HTML file imports are resolved from
+ *   cache - Map kept between calls (watch mode) so modules whose code is
+ *           unchanged aren't parsed again
+ *   transformSource(code, file) - applied to each JavaScript module read
+ *           from the project (not from node_modules), with file relative
+ *           to projectDir
+ *
+ * Returns:
+ *   code      - the bundled script
+ *   modules   - files bundled, in evaluation order
+ *   warnings  - circular imports and code the bundle can't support fully
+ *   sources   - [{ source, content }] of the bundled modules
+ *   mapOffset - function from an offset in code to { source, offset } in
+ *               the module it came from, or null for generated code
+ *
+ * Throws if a module can't be read, parsed or resolved, or imports a name
+ * another module doesn't export.
+ */
+async function bundleModules(projectDir, entryFile, options = {}) {
+  const state = {
+    projectDir,
+    modules: new Map(),
+    warnings: [],
+    cache: options.cache || null,
+    transformSource: options.transformSource || null
+  };
+
+  const entryPath = path.join(projectDir, entryFile);
+  const entry = await loadModule(state, entryPath, options.code);
+  const order = orderModules(entry, state.warnings);
+
+  const linker = createLinker(order);
+  const included = shakeTree(order, linker);
+  const names = assignNames(order, included, linker);
+
+  return generateCode(order, included, names, linker, state);
+}
+
+/**
+ * Read, parse and resolve a module and its dependencies
+ */
+async function loadModule(state, filePath, code) {
+  if (state.modules.has(filePath)) {
+    return state.modules.get(filePath);
+  }
+
+  const name = displayName(state.projectDir, filePath);
+  const module = { path: filePath, name, code: null, parsed: null, dependencies: new Map(), index: state.modules.size };
+  state.modules.set(filePath, module);
+
+  if (code !== undefined) {
+    module.code = code;
+  } else if (path.extname(filePath).toLowerCase() === '.json') {
+    // JSON modules export their value as default
+    const json = await fs.readFile(filePath, 'utf8');
+    try {
+      module.code = `export default ${JSON.stringify(JSON.parse(json))};\n`;
+    } catch (error) {
+      throw new Error(`${name} is not valid JSON: ${error.message}`);
+    }
+  } else if (RESOLVE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+    module.code = await fs.readFile(filePath, 'utf8');
+    if (state.transformSource && !/(^|\/)node_modules\//.test(name)) {
+      module.code = state.transformSource(module.code, name);
+    }
+  } else {
+    throw new Error(`${name} can't be bundled: only JavaScript and JSON modules can be imported`);
+  }
+
+  const cached = state.cache && state.cache.get(filePath);
+  if (cached && cached.code === module.code) {
+    module.parsed = cached.parsed;
+  } else {
+    try {
+      module.parsed = parseModule(module.code);
+    } catch (error) {
+      throw new Error(`${name}: ${error.message}`);
+    }
+    if (state.cache) state.cache.set(filePath, { code: module.code, parsed: module.parsed });
+  }
+
+  checkModule(module, state.warnings);
+
+  for (const specifier of module.parsed.requests) {
+    if (module.dependencies.has(specifier)) continue;
+
+    const resolved = await resolveSpecifier(state.projectDir, specifier, filePath);
+    if (!resolved) {
+      throw new Error(`Can't resolve '${specifier}' imported by ${name}`);
+    }
+    module.dependencies.set(specifier, await loadModule(state, resolved));
+  }
+
+  return module;
+}
+
+/**
+ * Report module features the bundle can't keep
+ */
+function checkModule(module, warnings) {
+  const { parsed, name } = module;
+  const isModule = parsed.requests.length > 0 || parsed.exports.length > 0;
+
+  if (!isModule && COMMONJS_GLOBALS.some(global => parsed.names.has(global))) {
+    throw new Error(`${name} looks like a CommonJS module; only ES modules can be bundled`);
+  }
+  if (parsed.topLevelAwait) {
+    throw new Error(`${name} uses top-level await, which a classic script can't run`);
+  }
+
+  if (parsed.usesImportMeta) {
+    warnings.push(`${name} uses import.meta, which isn't available in the bundle`);
+  }
+  if (parsed.usesEval) {
+    warnings.push(`${name} uses eval or with; top-level names it refers to may be renamed in the bundle`);
+  }
+  for (const { specifier } of parsed.dynamicImports) {
+    warnings.push(`${name} loads ${specifier ? `'${specifier}'` : 'a module'} with import(), which is left as is`);
+  }
+}
+
+/**
+ * Get the name of a file for messages and source maps
+ */
+function displayName(projectDir, filePath) {
+  return path.relative(projectDir, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Resolve an import specifier to a file path, or null
+ */
+async function resolveSpecifier(projectDir, specifier, fromFile) {
+  if (/^\.{0,2}\//.test(specifier)) {
+    const base = specifier.startsWith('/')
+      ? path.join(projectDir, specifier)
+      : path.resolve(path.dirname(fromFile), specifier);
+    return resolveFile(base);
+  }
+
+  // URLs and node: builtins can't be bundled
+  if (/^[a-z][a-z0-9+.-]*:/i.test(specifier)) return null;
+
+  return resolvePackage(specifier, fromFile);
+}
+
+/**
+ * Find the file a path refers to, trying extensions and index files
+ */
+async function resolveFile(base) {
+  const candidates = [
+    base,
+    ...RESOLVE_EXTENSIONS.map(ext => base + ext),
+    ...RESOLVE_EXTENSIONS.map(ext => path.join(base, `index${ext}`))
+  ];
+
+  for (const candidate of candidates) {
+    if (await fs.pathExists(candidate) && (await fs.stat(candidate)).isFile()) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a bare specifier (package or package/subpath) from node_modules
+ */
+async function resolvePackage(specifier, fromFile) {
+  const parts = specifier.split('/');
+  const packageName = specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+  const subpath = specifier.slice(packageName.length);
+
+  for (let dir = path.dirname(fromFile); ; dir = path.dirname(dir)) {
+    const packageDir = path.join(dir, 'node_modules', packageName);
+
+    if (await fs.pathExists(packageDir)) {
+      let pkg = {};
+      try {
+        pkg = await fs.readJson(path.join(packageDir, 'package.json'));
+      } catch {
+        // No or unreadable package.json: resolve files directly
+      }
+
+      if (pkg.exports !== undefined && pkg.exports !== null) {
+        const target = resolveExportsField(pkg.exports, `.${subpath}`);
+        return target ? resolveFile(path.join(packageDir, target)) : null;
+      }
+
+      if (subpath) {
+        return resolveFile(path.join(packageDir, subpath));
+      }
+
+      const main = pkg.module || (typeof pkg.browser === 'string' ? pkg.browser : null) || pkg.main || 'index.js';
+      return resolveFile(path.join(packageDir, main));
+    }
+
+    if (dir === path.dirname(dir)) return null;
+  }
+}
+
+/**
+ * Look a subpath up in a package.json "exports" field
+ */
+function resolveExportsField(exports, subpath) {
+  const isSubpathMap = typeof exports === 'object' && !Array.isArray(exports) &&
+    Object.keys(exports).some(key => key.startsWith('.'));
+  const map = isSubpathMap ? exports : { '.': exports };
+
+  if (map[subpath] !== undefined) {
+    return resolveConditions(map[subpath]);
+  }
+
+  // Patterns such as "./features/*": "./src/features/*.js"
+  for (const [key, target] of Object.entries(map)) {
+    const star = key.indexOf('*');
+    if (star === -1) continue;
+
+    const prefix = key.slice(0, star);
+    const suffix = key.slice(star + 1);
+    if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= key.length - 1) {
+      const resolved = resolveConditions(target);
+      const match = subpath.slice(prefix.length, subpath.length - suffix.length);
+      return resolved ? resolved.split('*').join(match) : null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Pick the target of a conditional export for a browser bundle
+ */
+function resolveConditions(target) {
+  if (typeof target === 'string') return target;
+
+  if (Array.isArray(target)) {
+    for (const candidate of target) {
+      const resolved = resolveConditions(candidate);
+      if (resolved) return resolved;
+    }
+    return null;
+  }
+
+  if (target && typeof target === 'object') {
+    for (const [condition, value] of Object.entries(target)) {
+      if (!EXPORT_CONDITIONS.has(condition)) continue;
+      const resolved = resolveConditions(value);
+      if (resolved) return resolved;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Sort modules in evaluation order (dependencies first, in import order)
+ * and report circular imports
+ */
+function orderModules(entry, warnings) {
+  const order = [];
+  const visiting = new Set();
+  const done = new Set();
+  const stack = [];
+
+  const visit = module => {
+    visiting.add(module);
+    stack.push(module);
+
+    for (const dependency of module.dependencies.values()) {
+      if (visiting.has(dependency)) {
+        const cycle = [...stack.slice(stack.indexOf(dependency)), dependency];
+        warnings.push(`Circular import: ${cycle.map(item => item.name).join(' -> ')}`);
+      } else if (!done.has(dependency)) {
+        visit(dependency);
+      }
+    }
+
+    stack.pop();
+    visiting.delete(module);
+    done.add(module);
+    order.push(module);
+  };
+
+  visit(entry);
+  return order;
+}
+
+/**
+ * Create the functions that follow imports and exports to the bindings
+ * they refer to: { module, local } or { namespace: module }
+ */
+function createLinker(order) {
+  for (const module of order) {
+    module.declaredBy = new Map();
+    module.importsByLocal = new Map();
+
+    for (const statement of module.parsed.statements) {
+      statement.module = module;
+      for (const name of statement.declares) {
+        module.declaredBy.set(name, statement);
+      }
+    }
+
+    for (const { specifier, bindings } of module.parsed.imports) {
+      for (const binding of bindings) {
+        module.importsByLocal.set(binding.local, { ...binding, module: module.dependencies.get(specifier) });
+      }
+    }
+  }
+
+  const resolveExport = (module, name, seen = new Set()) => {
+    if (seen.has(module)) return null;
+    seen.add(module);
+
+    const local = module.parsed.exports.find(item => item.exported === name);
+    if (local) return resolveLocal(module, local.local);
+
+    const reexport = module.parsed.reexports.find(item => item.exported === name);
+    if (reexport) {
+      const dependency = module.dependencies.get(reexport.specifier);
+      if (reexport.imported === '*') return { namespace: dependency };
+      return requireExport(dependency, reexport.imported, module);
+    }
+
+    // export * never re-exports default
+    if (name === 'default') return null;
+
+    for (const specifier of module.parsed.starExports) {
+      const found = resolveExport(module.dependencies.get(specifier), name, seen);
+      if (found) return found;
+    }
+
+    return null;
+  };
+
+  const requireExport = (module, name, importer) => {
+    const found = resolveExport(module, name);
+    if (!found) {
+      throw new Error(`${importer.name} imports '${name}' from ${module.name}, which doesn't export it`);
+    }
+    return found;
+  };
+
+  const resolveLocal = (module, local) => {
+    const imported = module.importsByLocal.get(local);
+    if (imported) {
+      if (imported.imported === '*') return { namespace: imported.module };
+      return requireExport(imported.module, imported.imported, module);
+    }
+
+    if (!module.declaredBy.has(local)) {
+      throw new Error(`${module.name} exports '${local}', which it doesn't declare`);
+    }
+    return { module, local };
+  };
+
+  const exportNames = (module, seen = new Set()) => {
+    if (seen.has(module)) return [];
+    seen.add(module);
+
+    const names = new Set([
+      ...module.parsed.exports.map(item => item.exported),
+      ...module.parsed.reexports.map(item => item.exported)
+    ]);
+    for (const specifier of module.parsed.starExports) {
+      for (const name of exportNames(module.dependencies.get(specifier), seen)) {
+        if (name !== 'default') names.add(name);
+      }
+    }
+    return [...names];
+  };
+
+  return { resolveLocal, resolveExport, exportNames, namespaces: new Set() };
+}
+
+/**
+ * Work out which statements the bundle needs: every statement with side
+ * effects, and the declarations they use, directly or through imports
+ */
+function shakeTree(order, linker) {
+  const included = new Set();
+  const queue = [];
+
+  const include = statement => {
+    if (!statement || included.has(statement)) return;
+    included.add(statement);
+    queue.push(statement);
+  };
+
+  const useNamespace = module => {
+    if (linker.namespaces.has(module)) return;
+    linker.namespaces.add(module);
+
+    for (const name of linker.exportNames(module)) {
+      useTarget(linker.resolveExport(module, name));
+    }
+  };
+
+  const useTarget = target => {
+    if (!target) return;
+    if (target.namespace) {
+      useNamespace(target.namespace);
+    } else {
+      include(target.module.declaredBy.get(target.local));
+    }
+  };
+
+  for (const module of order) {
+    for (const statement of module.parsed.statements) {
+      if (!statement.pure) include(statement);
+    }
+  }
+
+  while (queue.length > 0) {
+    const statement = queue.shift();
+    for (const name of statement.uses) {
+      useTarget(linker.resolveLocal(statement.module, name));
+    }
+  }
+
+  return included;
+}
+
+/**
+ * Pick bundle names for the top-level bindings and namespace objects that
+ * are included, renaming those that would clash with another module's
+ * names
+ */
+function assignNames(order, included, linker) {
+  const taken = new Set();
+  for (const module of order) {
+    for (const name of module.parsed.names) taken.add(name);
+  }
+
+  const names = new Map();
+  const assign = (key, base) => {
+    let name = base;
+    for (let counter = 1; taken.has(name); counter++) {
+      name = `${base}$${counter}`;
+    }
+    taken.add(name);
+    names.set(key, name);
+  };
+
+  for (const module of order) {
+    for (const statement of module.parsed.statements) {
+      if (!included.has(statement)) continue;
+
+      for (const local of statement.declares) {
+        assign(bindingKey(module, local), local === DEFAULT_BINDING ? `${identifierFor(module)}_default` : local);
+      }
+    }
+  }
+
+  for (const module of order) {
+    if (linker.namespaces.has(module)) {
+      assign(namespaceKey(module), `${identifierFor(module)}_namespace`);
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Key of a module's top-level binding in the names map
+ */
+function bindingKey(module, local) {
+  return `${module.index}:${local}`;
+}
+
+/**
+ * Key of a module's namespace object in the names map
+ */
+function namespaceKey(module) {
+  return `${module.index}:*`;
+}
+
+/**
+ * Turn a module's file name into an identifier
+ */
+function identifierFor(module) {
+  const base = path.basename(module.name, path.extname(module.name)).replace(/[^\w$]/g, '_');
+  return /^\d/.test(base) ? `_${base}` : base || 'module';
+}
+
+/**
+ * Get the bundle name a module's local name refers to
+ */
+function nameForLocal(module, local, names, linker) {
+  const target = linker.resolveLocal(module, local);
+  return target.namespace
+    ? names.get(namespaceKey(target.namespace))
+    : names.get(bindingKey(target.module, target.local));
+}
+
+/**
+ * Write the bundle: namespace objects first, then each module's included
+ * code with its imports and exports removed and its names linked, all
+ * inside a strict mode function
+ */
+function generateCode(order, included, names, linker, state) {
+  const segments = [];
+  let code = '(function () {\n\'use strict\';\n';
+
+  // Namespace objects read the bindings through getters, so they stay live
+  for (const module of order) {
+    const name = names.get(namespaceKey(module));
+    if (!name) continue;
+
+    const members = linker.exportNames(module).sort().map(exported => {
+      const target = linker.resolveExport(module, exported);
+      const value = target.namespace
+        ? names.get(namespaceKey(target.namespace))
+        : names.get(bindingKey(target.module, target.local));
+      const key = /^[A-Za-z_$][\w$]*$/.test(exported) ? exported : JSON.stringify(exported);
+      return `  get ${key}() { return ${value}; }`;
+    });
+    code += `var ${name} = Object.freeze({\n  __proto__: null${members.length > 0 ? ',\n' : ''}${members.join(',\n')}\n});\n`;
+  }
+
+  for (const module of order) {
+    const edits = getModuleEdits(module, included, names, linker);
+    code += `\n// ${module.name}\n`;
+
+    let cursor = 0;
+    const copy = (start, end) => {
+      if (end <= start) return;
+      segments.push({ start: code.length, end: code.length + end - start, source: module.index, offset: start, exact: true });
+      code += module.code.slice(start, end);
+    };
+
+    for (const edit of edits) {
+      copy(cursor, edit.start);
+      if (edit.text) {
+        if (edit.mapped) {
+          segments.push({ start: code.length, end: code.length + edit.text.length, source: module.index, offset: edit.start, exact: false });
+        }
+        code += edit.text;
+      }
+      cursor = Math.max(cursor, edit.end);
+    }
+    copy(cursor, module.code.length);
+    if (!code.endsWith('\n')) code += '\n';
+  }
+
+  code += '})();\n';
+
+  const sources = [...state.modules.values()].map(module => ({ source: module.name, content: module.code }));
+
+  return {
+    code,
+    modules: order.map(module => module.name),
+    warnings: state.warnings,
+    sources,
+    mapOffset: offset => mapOffset(segments, offset)
+  };
+}
+
+/**
+ * Get the edits that turn a module into its part of the bundle, sorted
+ * and without overlaps
+ */
+function getModuleEdits(module, included, names, linker) {
+  const removed = module.parsed.statements
+    .filter(statement => !included.has(statement))
+    .map(statement => statement.guard
+      ? { start: statement.start, end: statement.end, text: ';' }
+      : { ...expandToLine(module.code, statement.start, statement.end), text: '' });
+
+  const isRemoved = position => removed.some(range => position >= range.start && position < range.end);
+  const edits = [...removed];
+
+  for (const edit of module.parsed.edits) {
+    if (isRemoved(edit.start)) continue;
+
+    if (!edit.text && !edit.binding) {
+      edits.push({ ...expandToLine(module.code, edit.start, edit.end), text: '' });
+      continue;
+    }
+
+    const name = edit.binding ? names.get(bindingKey(module, edit.binding)) : '';
+    edits.push({ start: edit.start, end: edit.end, text: `${edit.text}${name}${edit.suffix || ''}` });
+  }
+
+  for (const reference of module.parsed.references) {
+    if (isRemoved(reference.start)) continue;
+
+    const name = nameForLocal(module, reference.name, names, linker);
+    if (!name || name === reference.name) continue;
+
+    const text = reference.shorthand ? `${reference.name}: ${name}` : name;
+    edits.push({ start: reference.start, end: reference.end, text, mapped: true });
+  }
+
+  return edits.sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * Widen a removed range to its whole lines when nothing else is on them,
+ * so dropped imports don't leave blank lines behind
+ */
+function expandToLine(code, start, end) {
+  let lineStart = start;
+  while (lineStart > 0 && /[ \t]/.test(code[lineStart - 1])) lineStart--;
+  if (lineStart > 0 && code[lineStart - 1] !== '\n') return { start, end };
+
+  const rest = /^[ \t]*(?:\r?\n|$)/.exec(code.slice(end));
+  return rest ? { start: lineStart, end: end + rest[0].length } : { start, end };
+}
+
+/**
+ * Find where an offset in the bundle came from
+ */
+function mapOffset(segments, offset) {
+  let low = 0;
+  let high = segments.length - 1;
+
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    const segment = segments[middle];
+
+    if (offset < segment.start) {
+      high = middle - 1;
+    } else if (offset >= segment.end) {
+      low = middle + 1;
+    } else {
+      return {
+        source: segment.source,
+        offset: segment.exact ? segment.offset + offset - segment.start : segment.offset
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  bundleModules,
+  resolveSpecifier
+};
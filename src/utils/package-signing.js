@@ -0,0 +1,182 @@
+/**
+ * Package Signing
+ *
+ * Signs plugin packages with Ed25519 using Node's built-in crypto.
+ *
+ * A signed package contains a SIGNATURE entry: a JSON document listing the
+ * SHA-256 of every other entry (manifest.json included) and an Ed25519
+ * signature over that list. The POS, or `cpos-plugin verify`, recomputes
+ * the hashes and checks the signature against the publisher's public key.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { readZipEntry, findZipEntry } = require('./zip-reader');
+
+// Name of the signature entry inside the package
+const SIGNATURE_ENTRY = 'SIGNATURE';
+
+// Signature document format
+const SIGNATURE_FORMAT = 'cposplugin-signature';
+const SIGNATURE_VERSION = 1;
+
+/**
+ * Generate an Ed25519 keypair as PEM strings
+ */
+function generateKeyPair() {
+  return crypto.generateKeyPairSync('ed25519', {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+}
+
+/**
+ * Load an Ed25519 private key from a PEM file
+ */
+async function loadPrivateKey(keyPath) {
+  const key = crypto.createPrivateKey(await fs.readFile(keyPath));
+  if (key.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`Signing key must be an Ed25519 private key: ${keyPath}`);
+  }
+  return key;
+}
+
+/**
+ * Load an Ed25519 public key from a PEM file
+ * A private key file is accepted too; its public half is used
+ */
+async function loadPublicKey(keyPath) {
+  const key = crypto.createPublicKey(await fs.readFile(keyPath));
+  if (key.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`Verification key must be an Ed25519 public key: ${keyPath}`);
+  }
+  return key;
+}
+
+/**
+ * Get a short fingerprint identifying a key
+ */
+function getKeyFingerprint(key) {
+  const publicKey = key.type === 'private' ? crypto.createPublicKey(key) : key;
+  const der = publicKey.export({ type: 'spki', format: 'der' });
+  return `SHA256:${crypto.createHash('sha256').update(der).digest('base64').replace(/=+$/, '')}`;
+}
+
+/**
+ * Hash a buffer with SHA-256
+ */
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Build the signed payload from a file hash list
+ * One "<sha256>  <name>" line per file, sorted by name
+ */
+function buildPayload(files) {
+  return [...files]
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+    .map(file => `${file.sha256}  ${file.name}\n`)
+    .join('');
+}
+
+/**
+ * Create the SIGNATURE entry contents
+ * files is a list of { name, content } for every other archived entry
+ */
+function createSignature(files, privateKey) {
+  const hashes = files
+    .map(file => ({ name: file.name, sha256: sha256(file.content) }))
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  const signature = crypto.sign(null, Buffer.from(buildPayload(hashes)), privateKey);
+
+  const document = {
+    format: SIGNATURE_FORMAT,
+    version: SIGNATURE_VERSION,
+    algorithm: 'ed25519',
+    hash: 'sha256',
+    keyFingerprint: getKeyFingerprint(privateKey),
+    files: hashes,
+    signature: signature.toString('base64')
+  };
+
+  return JSON.stringify(document, null, 2) + '\n';
+}
+
+/**
+ * Read the SIGNATURE document from a package, or null if unsigned
+ */
+function readSignature(zip) {
+  const entry = findZipEntry(zip, SIGNATURE_ENTRY);
+  if (!entry) return null;
+
+  const document = JSON.parse(readZipEntry(zip, entry).toString('utf8'));
+  if (document.format !== SIGNATURE_FORMAT || document.version !== SIGNATURE_VERSION) {
+    throw new Error(`Unsupported signature format: ${document.format} v${document.version}`);
+  }
+  return document;
+}
+
+/**
+ * Verify a package against a public key
+ * Returns { valid, problems, keyFingerprint }
+ */
+function verifySignature(zip, publicKey) {
+  const problems = [];
+  const document = readSignature(zip);
+
+  if (!document) {
+    return { valid: false, problems: ['Package is not signed'], keyFingerprint: null };
+  }
+
+  // Every archived entry must be listed with a matching hash, and nothing else
+  const listed = new Map(document.files.map(file => [file.name, file.sha256]));
+  const archived = zip.entries.filter(entry => !entry.isDirectory && entry.name !== SIGNATURE_ENTRY);
+
+  for (const entry of archived) {
+    if (!listed.has(entry.name)) {
+      problems.push(`File not covered by signature: ${entry.name}`);
+      continue;
+    }
+    if (sha256(readZipEntry(zip, entry)) !== listed.get(entry.name)) {
+      problems.push(`File was modified after signing: ${entry.name}`);
+    }
+    listed.delete(entry.name);
+  }
+
+  for (const name of listed.keys()) {
+    problems.push(`Signed file missing from package: ${name}`);
+  }
+
+  if (!document.files.some(file => file.name === 'manifest.json')) {
+    problems.push('Signature does not cover manifest.json');
+  }
+
+  // Signature over the hash list
+  const signatureValid = crypto.verify(
+    null,
+    Buffer.from(buildPayload(document.files)),
+    publicKey,
+    Buffer.from(document.signature, 'base64')
+  );
+  if (!signatureValid) {
+    problems.push('Signature does not match the public key');
+  }
+
+  return {
+    valid: problems.length === 0,
+    problems,
+    keyFingerprint: document.keyFingerprint
+  };
+}
+
+module.exports = {
+  SIGNATURE_ENTRY,
+  generateKeyPair,
+  loadPrivateKey,
+  loadPublicKey,
+  getKeyFingerprint,
+  createSignature,
+  readSignature,
+  verifySignature
+};
@@ -0,0 +1,410 @@
+/**
+ * POS Host Page
+ *
+ * The page `serve` opens: the plugin in an iframe inside a POS-like frame,
+ * with a side panel showing the cart, customer, orders, staff and settings
+ * of the emulated POS and the bridge calls the plugin made. The cart's
+ * order can be completed from the panel, as a cashier would. Plugin pages
+ * get a bridge script that hands window.POS._call to the host page when
+ * they are framed by it, so POS_SDK takes the same code path as in the app.
+ */
+
+const { CALL_PATH, EVENTS_PATH, ACTION_PATH } = require('./pos-host');
+
+// Bridge calls kept in the side panel
+const MAX_LOGGED_CALLS = 50;
+
+// Runs first in plugin pages: connects POS_SDK to the host page around
+// them, or on their own has them follow the POS events
+const BRIDGE_SCRIPT = `
+<script>
+  // POS bridge for development
+  (function() {
+    var host = null;
+    try {
+      host = window.parent !== window && window.parent.__cposHost;
+    } catch (e) {
+      // Framed by another origin
+    }
+
+    if (host) {
+      if (window.POS) return;
+      window.POS = {
+        _call: function(method, params) { return host.call(method, params); }
+      };
+      // POS_SDK only sends toasts to the app when it finds POSBridge
+      window.POSBridge = window.POS;
+      return;
+    }
+
+    // POS_SDK's development mode asks the dev server for data, but the
+    // events changes fire have to be followed here
+    if (!window.EventSource) return;
+    new EventSource('${EVENTS_PATH}').addEventListener('pos', function(event) {
+      var message = JSON.parse(event.data);
+      if (window._handlePOSEvent) window._handlePOSEvent(message.event, message.data);
+    });
+  })();
+</script>
+`;
+
+// Runs in the host page: answers bridge calls and follows the POS state
+const HOST_SCRIPT = `
+<script>
+  (function() {
+    var frame = document.getElementById('plugin');
+    var entryUrl = frame.getAttribute('src');
+    var closed = document.getElementById('closed');
+    var toasts = document.getElementById('toasts');
+    var dialog = document.getElementById('dialog');
+    var calls = document.getElementById('calls');
+    var completeOrder = document.getElementById('complete-order');
+    var clearCart = document.getElementById('clear-cart');
+
+    function el(tag, className, text) {
+      var node = document.createElement(tag);
+      if (className) node.className = className;
+      if (text !== undefined) node.textContent = text;
+      return node;
+    }
+
+    function isEmpty(value) {
+      return value === null || value === undefined || (typeof value === 'object' && Object.keys(value).length === 0);
+    }
+
+    function money(value) {
+      return typeof value === 'number' ? value.toFixed(2) : String(value);
+    }
+
+    function renderFields(id, value, empty) {
+      var container = document.getElementById(id);
+      container.textContent = '';
+      if (isEmpty(value)) {
+        container.appendChild(el('p', 'empty', empty));
+        return;
+      }
+
+      var list = el('dl');
+      Object.keys(value).forEach(function(key) {
+        var field = value[key];
+        list.appendChild(el('dt', null, key));
+        list.appendChild(el('dd', null, field !== null && typeof field === 'object' ? JSON.stringify(field) : String(field)));
+      });
+      container.appendChild(list);
+    }
+
+    function renderCart(cart) {
+      var container = document.getElementById('cart');
+      container.textContent = '';
+      var items = (cart && cart.items) || [];
+      if (items.length === 0) container.appendChild(el('p', 'empty', 'Empty'));
+
+      var table = el('table');
+      items.forEach(function(item) {
+        var row = el('tr');
+        row.appendChild(el('td', null, (item.name || item.productName || item.id) + ' \\u00d7 ' + (item.quantity || 1)));
+        row.appendChild(el('td', 'amount', money(item.total !== undefined ? item.total : (item.price || 0) * (item.quantity || 1))));
+        table.appendChild(row);
+      });
+      ['subtotal', 'tax', 'total'].forEach(function(key) {
+        var row = el('tr', 'sum ' + key);
+        row.appendChild(el('td', null, key.charAt(0).toUpperCase() + key.slice(1)));
+        row.appendChild(el('td', 'amount', money((cart && cart[key]) || 0)));
+        table.appendChild(row);
+      });
+      container.appendChild(table);
+    }
+
+    function renderOrders(orders) {
+      var container = document.getElementById('orders');
+      container.textContent = '';
+      if (orders.length === 0) {
+        container.appendChild(el('p', 'empty', 'None completed yet'));
+        return;
+      }
+
+      var table = el('table');
+      orders.forEach(function(order) {
+        var row = el('tr');
+        row.appendChild(el('td', null, order.orderNo + ' \\u00b7 ' + order.paymentMethod));
+        row.appendChild(el('td', 'amount', money(order.total)));
+        table.appendChild(row);
+      });
+      container.appendChild(table);
+    }
+
+    function renderState(state) {
+      var empty = !state.cart || state.cart.items.length === 0;
+      document.getElementById('order-number').textContent = state.currentOrder ? state.currentOrder.orderNo : '';
+      completeOrder.disabled = empty;
+      clearCart.disabled = empty;
+      renderCart(state.cart);
+      renderOrders(state.orders || []);
+      renderFields('customer', state.customer, 'No customer');
+      renderFields('staff', state.staff, 'Nobody signed in');
+      renderFields('settings', state.settings, 'No settings');
+    }
+
+    function logCall(method, params, result, failed) {
+      var denied = result && result.error === 'Permission denied';
+      var item = el('li', denied ? 'denied' : failed ? 'failed' : '');
+      var details = el('details');
+      var summary = el('summary');
+      summary.appendChild(el('code', null, method));
+      if (denied) summary.appendChild(el('span', 'note', ' needs ' + result.permission));
+      if (failed) summary.appendChild(el('span', 'note', ' failed'));
+      details.appendChild(summary);
+      details.appendChild(el('pre', null, 'params: ' + JSON.stringify(params, null, 2) +
+        '\\n' + (failed ? 'error: ' + result : 'result: ' + JSON.stringify(result, null, 2))));
+      item.appendChild(details);
+
+      calls.insertBefore(item, calls.firstChild);
+      while (calls.children.length > ${MAX_LOGGED_CALLS}) calls.removeChild(calls.lastChild);
+    }
+
+    function showToast(options) {
+      var toast = el('div', 'toast ' + (options.type || 'info'), options.message || '');
+      toasts.appendChild(toast);
+      setTimeout(function() { toast.remove(); }, options.duration || 3000);
+      return { success: true };
+    }
+
+    function showDialog(options) {
+      return new Promise(function(resolve) {
+        var buttons = options.buttons && options.buttons.length ? options.buttons : ['OK'];
+        var row = dialog.querySelector('.buttons');
+        dialog.querySelector('h3').textContent = options.title || '';
+        dialog.querySelector('p').textContent = options.message || '';
+        row.textContent = '';
+
+        buttons.forEach(function(label, index) {
+          var button = el('button', index === buttons.length - 1 ? 'primary' : '', String(label));
+          button.onclick = function() {
+            dialog.hidden = true;
+            resolve({ success: true, button: label, index: index });
+          };
+          row.appendChild(button);
+        });
+        dialog.hidden = false;
+      });
+    }
+
+    // Calls the CLI leaves to the host page
+    var hostMethods = {
+      showToast: showToast,
+      showDialog: showDialog,
+      closePlugin: function() {
+        frame.hidden = true;
+        frame.src = 'about:blank';
+        closed.hidden = false;
+        return { success: true };
+      },
+      navigateTo: function(params) {
+        return showToast({ message: 'Navigate to ' + params.screen, type: 'info' });
+      }
+    };
+
+    function act(action, params) {
+      return fetch('${ACTION_PATH}', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: action, params: params || {} })
+      })
+        .then(function(res) { return res.json(); })
+        .then(function(body) {
+          var error = body.error || (body.result && body.result.success === false && body.result.error);
+          if (error) showToast({ message: error, type: 'error' });
+        });
+    }
+
+    completeOrder.onclick = function() {
+      act('completeOrder', { method: document.getElementById('payment-method').value });
+    };
+    clearCart.onclick = function() { act('clearCart'); };
+
+    document.getElementById('reopen').onclick = function() {
+      frame.src = entryUrl;
+      frame.hidden = false;
+      closed.hidden = true;
+    };
+
+    window.__cposHost = {
+      call: function(method, params) {
+        params = params || {};
+        return fetch('${CALL_PATH}', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ method: method, params: params })
+        })
+          .then(function(res) {
+            return res.json().then(function(body) {
+              if (!res.ok) throw new Error(body.error || res.statusText);
+              return body;
+            });
+          })
+          .then(function(body) { return body.host ? hostMethods[method](params) : body.result; })
+          .then(function(result) {
+            logCall(method, params, result, false);
+            return result;
+          }, function(error) {
+            logCall(method, params, error.message, true);
+            throw error;
+          });
+      }
+    };
+
+    var source = new EventSource('${EVENTS_PATH}');
+    source.addEventListener('state', function(event) { renderState(JSON.parse(event.data)); });
+    // POS events go to the plugin the way the app sends them
+    source.addEventListener('pos', function(event) {
+      var message = JSON.parse(event.data);
+      try {
+        var plugin = frame.contentWindow;
+        if (plugin && plugin._handlePOSEvent) plugin._handlePOSEvent(message.event, message.data);
+      } catch (e) {
+        // The plugin page is loading or closed
+      }
+    });
+  })();
+</script>
+`;
+
+/**
+ * Render the host page for a plugin
+ */
+function renderHostPage(manifest) {
+  const entryPoint = typeof manifest.entryPoint === 'string' ? manifest.entryPoint : 'index.html';
+  const entryUrl = '/' + entryPoint.replace(/^\.?\//, '').split('/').map(encodeURIComponent).join('/');
+  const title = `${manifest.name || manifest.id || 'Plugin'}${manifest.version ? ` v${manifest.version}` : ''}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} · CommercePOS dev host</title>
+  <style>
+    * { box-sizing: border-box; }
+    html, body { height: 100%; margin: 0; }
+    body { display: flex; flex-direction: column; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 14px; color: #1f2937; background: #e5e7eb; }
+    header { display: flex; align-items: center; gap: 12px; padding: 10px 16px; background: #111827; color: #f9fafb; }
+    header .plugin { color: #9ca3af; }
+    header a { margin-left: auto; color: #93c5fd; }
+    main { flex: 1; display: flex; min-height: 0; }
+    .screen { flex: 1; display: flex; padding: 16px; min-width: 0; }
+    .device { position: relative; flex: 1; border: 10px solid #111827; border-radius: 16px; background: #fff; overflow: hidden; }
+    .device iframe { width: 100%; height: 100%; border: 0; display: block; }
+    .closed { position: absolute; inset: 0; display: flex; flex-direction: column; align-items: center; justify-content: center; gap: 8px; color: #6b7280; }
+    [hidden] { display: none !important; }
+    aside { width: 320px; overflow-y: auto; background: #fff; border-left: 1px solid #d1d5db; }
+    aside section { padding: 12px 16px; border-bottom: 1px solid #e5e7eb; }
+    h2 span { float: right; text-transform: none; letter-spacing: 0; }
+    .actions { display: flex; gap: 8px; margin-top: 8px; }
+    .actions select { flex: 1; }
+    button:disabled { opacity: 0.5; cursor: default; }
+    h2 { margin: 0 0 8px; font-size: 12px; text-transform: uppercase; letter-spacing: 0.05em; color: #6b7280; }
+    .empty { margin: 0; color: #9ca3af; }
+    dl { display: grid; grid-template-columns: auto 1fr; gap: 2px 12px; margin: 0; }
+    dt { color: #6b7280; }
+    dd { margin: 0; word-break: break-word; }
+    table { width: 100%; border-collapse: collapse; }
+    td { padding: 2px 0; }
+    td.amount { text-align: right; font-variant-numeric: tabular-nums; }
+    tr.sum td { color: #6b7280; }
+    tr.subtotal td { border-top: 1px solid #e5e7eb; padding-top: 4px; }
+    tr.total td { color: #111827; font-weight: 600; }
+    ol { list-style: none; margin: 0; padding: 0; }
+    li { border-bottom: 1px solid #f3f4f6; }
+    li.denied summary, li.failed summary { color: #b91c1c; }
+    summary { cursor: pointer; padding: 2px 0; }
+    pre { margin: 4px 0; padding: 6px; background: #f9fafb; font-size: 12px; overflow-x: auto; }
+    #toasts { position: fixed; left: 50%; bottom: 24px; transform: translateX(-50%); display: flex; flex-direction: column; gap: 8px; }
+    .toast { padding: 10px 16px; border-radius: 6px; color: #fff; background: #2563eb; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2); }
+    .toast.success { background: #15803d; }
+    .toast.error { background: #b91c1c; }
+    .toast.warning { background: #b45309; }
+    .dialog { position: fixed; inset: 0; display: flex; align-items: center; justify-content: center; background: rgba(17, 24, 39, 0.5); }
+    .dialog .box { width: 360px; padding: 20px; border-radius: 8px; background: #fff; }
+    .dialog h3 { margin: 0 0 8px; }
+    .buttons { display: flex; justify-content: flex-end; gap: 8px; margin-top: 16px; }
+    button { padding: 6px 14px; border: 1px solid #d1d5db; border-radius: 6px; background: #fff; cursor: pointer; }
+    button.primary { border-color: #2563eb; background: #2563eb; color: #fff; }
+  </style>
+</head>
+<body>
+  <header>
+    <strong>CommercePOS</strong>
+    <span class="plugin">${escapeHtml(title)}</span>
+    <a href="${escapeHtml(entryUrl)}" target="_blank">Open without host</a>
+  </header>
+  <main>
+    <div class="screen">
+      <div class="device">
+        <iframe id="plugin" src="${escapeHtml(entryUrl)}" title="${escapeHtml(title)}"></iframe>
+        <div id="closed" class="closed" hidden>
+          <p>The plugin closed itself.</p>
+          <button id="reopen">Reopen</button>
+        </div>
+      </div>
+    </div>
+    <aside>
+      <section>
+        <h2>Cart <span id="order-number"></span></h2>
+        <div id="cart"></div>
+        <div class="actions">
+          <select id="payment-method" aria-label="Payment method">
+            <option value="cash">Cash</option>
+            <option value="card">Card</option>
+            <option value="upi">UPI</option>
+          </select>
+          <button id="complete-order" class="primary">Complete order</button>
+          <button id="clear-cart">Clear</button>
+        </div>
+      </section>
+      <section><h2>Customer</h2><div id="customer"></div></section>
+      <section><h2>Orders</h2><div id="orders"></div></section>
+      <section><h2>Staff</h2><div id="staff"></div></section>
+      <section><h2>Settings</h2><div id="settings"></div></section>
+      <section><h2>Bridge calls</h2><ol id="calls"></ol></section>
+    </aside>
+  </main>
+  <div id="toasts"></div>
+  <div id="dialog" class="dialog" hidden>
+    <div class="box">
+      <h3></h3>
+      <p></p>
+      <div class="buttons"></div>
+    </div>
+  </div>
+${HOST_SCRIPT}
+</body>
+</html>
+`;
+}
+
+/**
+ * Add the bridge script to a plugin page, ahead of the page's own scripts
+ */
+function injectBridgeScript(html) {
+  const match = html.match(/<head\b[^>]*>/i) || html.match(/<html\b[^>]*>/i) || html.match(/<!doctype\b[^>]*>/i);
+  if (!match) return BRIDGE_SCRIPT + html;
+
+  const end = match.index + match[0].length;
+  return html.slice(0, end) + BRIDGE_SCRIPT + html.slice(end);
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  renderHostPage,
+  injectBridgeScript
+};
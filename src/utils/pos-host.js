@@ -0,0 +1,319 @@
+/**
+ * POS Host
+ *
+ * The CLI side of the emulated POS the dev server wraps plugins in. Plugin
+ * pages framed by the host page send their POS_SDK calls through
+ * window.POS._call to /__pos/call, where they are checked against the
+ * manifest's permissions and answered from the project's mocks/ folder, the
+ * in-memory POS state or built-in sample data. The host page follows that
+ * state, and the POS events to pass on to the plugin, over an event stream,
+ * and completes orders through /__pos/action.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { getMethodPermissions } = require('./manifest-schema');
+const { findMockFile, runMockFile, getDefaultMock } = require('./mock-data');
+const { createPosState } = require('./pos-state');
+
+// The URLs the host page and the bridge talk to
+const POS_HOST_PATH = '/__pos';
+const CALL_PATH = `${POS_HOST_PATH}/call`;
+const EVENTS_PATH = `${POS_HOST_PATH}/events`;
+const ACTION_PATH = `${POS_HOST_PATH}/action`;
+
+// Calls the host page carries out itself, once the CLI has allowed them
+const HOST_METHODS = new Set(['showToast', 'showDialog', 'closePlugin', 'navigateTo']);
+
+// Bridge method names that differ from the POS_SDK method calling them
+const SDK_METHOD_NAMES = { closePlugin: 'close' };
+
+// Call bodies are small JSON documents
+const MAX_CALL_BODY = 1024 * 1024;
+
+// Keeps idle connections from being closed by proxies
+const KEEP_ALIVE_INTERVAL = 30000;
+
+/**
+ * Create the POS host of a dev server
+ *
+ * A call is answered by the project's mock file for the method if there is
+ * one, else by the POS state, else by the built-in sample data. The
+ * manifest and mock files are read again for every call, so permissions,
+ * settings and mocks edited while serving apply right away.
+ *
+ * Returns posHost:
+ *   handle(req, res)       - answer bridge calls and host page actions and
+ *                            serve the event stream; returns false for
+ *                            other URLs
+ *   call(method, params)   - answer a POS_SDK call; resolves to
+ *                            { result }, { host: true } for calls the host
+ *                            page carries out, or { error } if a mock file
+ *                            failed
+ *   act(action, params)    - carry out a host page action: completeOrder
+ *                            (with { method } of payment) or clearCart
+ *   getState()             - the cart, customer, current and completed
+ *                            orders, staff, store and settings
+ *   onCall(listener)       - called with (method, params, response) after
+ *                            every call
+ *   close()                - end all open event streams
+ */
+function createPosHost(projectDir, manifest) {
+  const clients = new Set();
+  const listeners = [];
+  let keepAlive = null;
+  let savedSettings = {};
+
+  const readManifest = () => fs.readJson(path.join(projectDir, 'manifest.json')).catch(() => manifest);
+
+  const broadcast = (type, data) => {
+    const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    clients.forEach(client => client.write(message));
+  };
+
+  const posState = createPosState({
+    async findProduct(productId) {
+      const result = await answer('getProducts', {}).catch(() => null);
+      const products = Array.isArray(result) ? result : (result && Array.isArray(result.data) ? result.data : []);
+      const matches = product => product &&
+        [product.id, product.code].some(id => id !== undefined && id !== null && String(id) === String(productId));
+      return products.find(matches) || null;
+    },
+    async getTaxRate() {
+      const store = await answer('getStoreInfo', {}).catch(() => null);
+      return store && typeof store.taxRate === 'number' ? store.taxRate : 0;
+    }
+  });
+
+  const getState = async () => ({
+    ...posState.snapshot(),
+    staff: await answer('getStaffInfo', {}).catch(() => null),
+    store: await answer('getStoreInfo', {}).catch(() => null),
+    settings: await methods.getSettings()
+  });
+
+  // Tell host pages about the new state, and the plugin about the POS
+  // events the change fires
+  const changed = async (events = []) => {
+    broadcast('state', await getState());
+    events.forEach(event => broadcast('pos', event));
+  };
+
+  // Apply a { result, events } change of the POS state
+  const apply = async change => {
+    const { result, events } = await change;
+    if (events.length > 0) await changed(events);
+    return result;
+  };
+
+  const methods = {
+    async getPluginInfo() {
+      const current = await readManifest();
+      return { id: current.id, name: current.name, version: current.version };
+    },
+    getCart: () => posState.getCart(),
+    getCurrentOrder: () => posState.getCurrentOrder(),
+    addToCart: params => apply(posState.addToCart(params)),
+    removeFromCart: params => apply(posState.removeFromCart(params)),
+    updateCartItemQuantity: params => apply(posState.updateCartItemQuantity(params)),
+    getCustomer: () => posState.getCustomer(),
+    setCustomer: params => apply(posState.setCustomer(params)),
+    // Paying for a cart completes its order
+    async processPayment(params) {
+      const payment = getDefaultMock('processPayment', params);
+      if (posState.getCart().items.length === 0) return payment;
+
+      const method = params.method || params.paymentMethod || 'card';
+      const completed = await apply(posState.completeOrder({ method, amount: params.amount }));
+      return { ...payment, orderNo: completed.order.orderNo };
+    },
+    getOrders: params => posState.getOrders(params, getDefaultMock('getOrders')),
+    getDailySummary: () => posState.getDailySummary(getDefaultMock('getDailySummary')),
+    async getSettings() {
+      return { ...getDefaultSettings(await readManifest()), ...savedSettings };
+    },
+    async saveSettings(params) {
+      savedSettings = { ...savedSettings, ...(params.settings || {}) };
+      await changed();
+      return { success: true };
+    }
+  };
+
+  const answer = async (method, params) => {
+    const mockFile = await findMockFile(projectDir, method);
+    if (mockFile) {
+      const context = { manifest: await readManifest(), defaultMock: getDefaultMock(method, params) };
+      const result = await runMockFile(mockFile, params, context);
+      return result === undefined ? null : result;
+    }
+    if (hasOwn(methods, method)) return methods[method](params);
+    return getDefaultMock(method, params);
+  };
+
+  const posHost = {
+    handle(req, res) {
+      const urlPath = req.url.split('?')[0];
+
+      if (urlPath === EVENTS_PATH) {
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          Connection: 'keep-alive'
+        });
+        res.write('retry: 1000\n\n');
+        clients.add(res);
+        req.on('close', () => clients.delete(res));
+        getState().then(current => res.write(`event: state\ndata: ${JSON.stringify(current)}\n\n`));
+
+        if (!keepAlive) {
+          keepAlive = setInterval(() => clients.forEach(client => client.write(': ping\n\n')), KEEP_ALIVE_INTERVAL);
+          keepAlive.unref();
+        }
+        return true;
+      }
+
+      if (urlPath === CALL_PATH) {
+        if (req.method !== 'POST') {
+          sendJson(res, 405, { error: 'Bridge calls must be POSTed' });
+          return true;
+        }
+        readJsonBody(req)
+          .then(body => {
+            if (!body || typeof body.method !== 'string') throw new Error('A call needs a method name');
+            return posHost.call(body.method, body.params || {});
+          })
+          .then(response => sendJson(res, response.error ? 500 : 200, response),
+            error => sendJson(res, 400, { error: error.message }));
+        return true;
+      }
+
+      if (urlPath === ACTION_PATH) {
+        if (req.method !== 'POST') {
+          sendJson(res, 405, { error: 'Host actions must be POSTed' });
+          return true;
+        }
+        readJsonBody(req)
+          .then(body => posHost.act(body && body.action, (body && body.params) || {}))
+          .then(result => sendJson(res, 200, { result }), error => sendJson(res, 400, { error: error.message }));
+        return true;
+      }
+
+      return false;
+    },
+
+    async call(method, params = {}) {
+      const sdkMethod = hasOwn(SDK_METHOD_NAMES, method) ? SDK_METHOD_NAMES[method] : method;
+      const methodPermissions = getMethodPermissions();
+      const permission = hasOwn(methodPermissions, sdkMethod) ? methodPermissions[sdkMethod] : null;
+      const permissions = (await readManifest()).permissions || [];
+
+      let response;
+      if (permission && !permissions.includes(permission)) {
+        response = {
+          result: {
+            success: false,
+            error: 'Permission denied',
+            permission,
+            message: `${method} needs the "${permission}" permission, which manifest.json doesn't declare`
+          }
+        };
+      } else if (HOST_METHODS.has(method) && !await findMockFile(projectDir, method)) {
+        response = { host: true };
+      } else {
+        try {
+          response = { result: await answer(method, params) };
+        } catch (error) {
+          response = { error: error.message };
+        }
+      }
+
+      listeners.forEach(listener => listener(method, params, response));
+      return response;
+    },
+
+    async act(action, params = {}) {
+      if (action === 'completeOrder') {
+        const total = posState.getCart().total;
+        return apply(posState.completeOrder({ method: params.method || 'cash', amount: total }));
+      }
+      if (action === 'clearCart') return apply(posState.clearCart());
+      throw new Error(`Unknown host action: ${action}`);
+    },
+
+    getState,
+
+    onCall(listener) {
+      listeners.push(listener);
+    },
+
+    close() {
+      clearInterval(keepAlive);
+      keepAlive = null;
+      clients.forEach(client => client.end());
+      clients.clear();
+    }
+  };
+
+  return posHost;
+}
+
+/**
+ * Get the default value of every setting the manifest declares
+ */
+function getDefaultSettings(manifest) {
+  const settings = {};
+  for (const setting of Array.isArray(manifest.settings) ? manifest.settings : []) {
+    if (setting && typeof setting.key === 'string' && setting.default !== undefined) {
+      settings[setting.key] = setting.default;
+    }
+  }
+  return settings;
+}
+
+/**
+ * Whether an object has a property of its own, so bridge method names like
+ * constructor or toString don't find inherited ones
+ */
+function hasOwn(object, name) {
+  return Object.prototype.hasOwnProperty.call(object, name);
+}
+
+/**
+ * Read a JSON request body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_CALL_BODY) {
+        reject(new Error('Call body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new Error('Call body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+module.exports = {
+  createPosHost,
+  CALL_PATH,
+  EVENTS_PATH,
+  ACTION_PATH
+};
@@ -0,0 +1,365 @@
+/**
+ * POS State
+ *
+ * The in-memory POS behind the dev server: the cart with its totals and
+ * tax, the customer, the order being rung up and the orders completed while
+ * serving. Every change returns the SDK events the app fires for it, for the
+ * host to pass on to the plugin.
+ */
+
+// Numbers of orders completed while serving, after the sample orders'
+const FIRST_ORDER_ID = 1001;
+
+// Products listed in the daily summary's topProducts
+const TOP_PRODUCTS_LIMIT = 5;
+
+// Daily summary payment method rows, by the method a payment names
+const PAYMENT_METHODS = {
+  cash: { name: 'Cash', icon: '💵' },
+  card: { name: 'Card', icon: '💳' },
+  upi: { name: 'UPI', icon: '📱' },
+  other: { name: 'Other', icon: '🔄' }
+};
+
+/**
+ * Create the POS state
+ *
+ * options:
+ *   findProduct(productId) - resolves to the catalogue product with an id
+ *                            or code, to fill in cart items given only a
+ *                            productId
+ *   getTaxRate()           - resolves to the tax rate of items that don't
+ *                            carry their own taxRate
+ *
+ * Changes return { result, events }, addToCart a promise of it, with
+ * events the { event, data } the SDK receives through _handlePOSEvent.
+ *
+ * Returns posState:
+ *   snapshot()                       - cart, customer, current order and
+ *                                      completed orders
+ *   getCart(), getCustomer()
+ *   getCurrentOrder()                - the pending order with its items, or
+ *                                      null before anything is added
+ *   addToCart({ item })              - add an item, or more of one already
+ *                                      in the cart; starts an order
+ *   removeFromCart({ itemId })
+ *   updateCartItemQuantity({ itemId, quantity }) - 0 removes the item
+ *   setCustomer({ customer })
+ *   clearCart()                      - empty the cart and drop the current
+ *                                      order
+ *   completeOrder(payment)           - pay the current order with
+ *                                      { method, amount }, move it into the
+ *                                      orders and empty the cart
+ *   getOrders(params, sample)        - completed orders, newest first, then
+ *                                      sample orders
+ *   getDailySummary(sample)          - sample summary with the completed
+ *                                      orders added
+ */
+function createPosState(options) {
+  const state = {
+    items: [],
+    customer: null,
+    currentOrder: null,
+    orders: []
+  };
+  let nextOrderId = FIRST_ORDER_ID;
+  let nextItemId = 1;
+
+  const getCart = () => ({ items: state.items.map(item => ({ ...item })), ...getTotals(state.items) });
+
+  const cartEvents = () => {
+    const cart = getCart();
+    // cartChanged is the name the SDK docs and templates listen for
+    return [{ event: 'cartUpdated', data: cart }, { event: 'cartChanged', data: cart }];
+  };
+
+  const cartResult = () => ({ success: true, cart: getCart() });
+
+  const posState = {
+    snapshot() {
+      return {
+        cart: getCart(),
+        customer: state.customer,
+        currentOrder: posState.getCurrentOrder(),
+        orders: state.orders.map(toListedOrder)
+      };
+    },
+
+    getCart,
+
+    getCustomer() {
+      return state.customer;
+    },
+
+    getCurrentOrder() {
+      if (!state.currentOrder) return null;
+      return {
+        ...state.currentOrder,
+        items: getCart().items,
+        ...getTotals(state.items),
+        customer: state.customer
+      };
+    },
+
+    async addToCart(params) {
+      const item = params.item && typeof params.item === 'object' ? params.item : null;
+      if (!item) return { result: { success: false, error: 'addToCart needs an item' }, events: [] };
+
+      const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+      if (!(quantity > 0)) return { result: { success: false, error: `Invalid quantity: ${item.quantity}` }, events: [] };
+
+      const productId = firstDefined(item.productId, item.id, item.code);
+      const product = productId === undefined ? null : await options.findProduct(productId);
+      const price = Number(firstDefined(item.price, product && product.price));
+      if (!Number.isFinite(price)) {
+        const name = productId === undefined ? 'the item' : `item ${productId}`;
+        return { result: { success: false, error: `No price for ${name}` }, events: [] };
+      }
+
+      const events = [];
+      if (!state.currentOrder) {
+        const id = nextOrderId++;
+        state.currentOrder = {
+          id,
+          code: `ORD${id}`,
+          orderNo: `ORD-${id}`,
+          orderNumber: `ORD-${id}`,
+          status: 'pending',
+          addedDate: localIsoString(new Date())
+        };
+        events.push({ event: 'orderCreated', data: { ...state.currentOrder } });
+      }
+
+      // Lines are keyed by the catalogue product, so adding it by id or by
+      // code adds to the same line
+      const lineProductId = product ? firstDefined(product.id, productId) : productId;
+      const id = lineProductId === undefined ? `item-${nextItemId++}` : String(lineProductId);
+      const existing = state.items.find(line => line.id === id);
+      if (existing) {
+        existing.quantity += quantity;
+        existing.total = round(existing.price * existing.quantity);
+      } else {
+        const taxRate = Number(firstDefined(item.taxRate, product && product.taxRate, await options.getTaxRate()));
+        state.items.push({
+          id,
+          productId: lineProductId === undefined ? null : lineProductId,
+          name: firstDefined(item.name, item.productName, product && product.name, id),
+          price,
+          quantity,
+          taxRate: Number.isFinite(taxRate) ? taxRate : 0,
+          total: round(price * quantity)
+        });
+      }
+
+      return { result: cartResult(), events: [...events, ...cartEvents()] };
+    },
+
+    removeFromCart(params) {
+      const index = state.items.findIndex(line => line.id === String(params.itemId));
+      if (index === -1) return { result: { success: false, error: `Cart item not found: ${params.itemId}` }, events: [] };
+
+      state.items.splice(index, 1);
+      return { result: cartResult(), events: cartEvents() };
+    },
+
+    updateCartItemQuantity(params) {
+      const line = state.items.find(item => item.id === String(params.itemId));
+      if (!line) return { result: { success: false, error: `Cart item not found: ${params.itemId}` }, events: [] };
+
+      const quantity = Number(params.quantity);
+      if (!(quantity >= 0)) return { result: { success: false, error: `Invalid quantity: ${params.quantity}` }, events: [] };
+      if (quantity === 0) return posState.removeFromCart(params);
+
+      line.quantity = quantity;
+      line.total = round(line.price * quantity);
+      return { result: cartResult(), events: cartEvents() };
+    },
+
+    setCustomer(params) {
+      state.customer = params.customer || null;
+      return { result: { success: true }, events: [{ event: 'customerChanged', data: state.customer }] };
+    },
+
+    clearCart() {
+      state.items = [];
+      state.currentOrder = null;
+      return { result: cartResult(), events: cartEvents() };
+    },
+
+    completeOrder(payment = {}) {
+      if (state.items.length === 0) return { result: { success: false, error: 'The cart is empty' }, events: [] };
+
+      const method = PAYMENT_METHODS[payment.method] ? payment.method : 'other';
+      const hadCustomer = state.customer !== null;
+      const order = {
+        ...posState.getCurrentOrder(),
+        customerName: state.customer ? state.customer.name || null : null,
+        status: 'completed',
+        paymentMethod: method,
+        amountPaid: payment.amount === undefined ? null : Number(payment.amount),
+        completedDate: localIsoString(new Date())
+      };
+
+      state.orders.unshift(order);
+      state.items = [];
+      state.customer = null;
+      state.currentOrder = null;
+
+      return {
+        result: { success: true, order },
+        events: [
+          { event: 'orderCompleted', data: order },
+          ...cartEvents(),
+          ...(hadCustomer ? [{ event: 'customerChanged', data: null }] : [])
+        ]
+      };
+    },
+
+    getOrders(params, sample) {
+      const sampleOrders = sample && Array.isArray(sample.data) ? sample.data : [];
+      const orders = [...state.orders.map(toListedOrder), ...sampleOrders].filter(order => {
+        const day = String(order.addedDate || '').slice(0, 10);
+        return (!params.startDate || day >= params.startDate) && (!params.endDate || day <= params.endDate);
+      });
+
+      const offset = params.offset > 0 ? params.offset : 0;
+      const limit = params.limit > 0 ? params.limit : orders.length;
+      return { ...sample, success: true, data: orders.slice(offset, offset + limit), total: orders.length };
+    },
+
+    getDailySummary(sample) {
+      if (!sample || !sample.data) return sample;
+      return { ...sample, data: addOrdersToSummary(sample.data, [...state.orders].reverse()) };
+    }
+  };
+
+  return posState;
+}
+
+/**
+ * Add up the subtotal, tax and total of cart items
+ */
+function getTotals(items) {
+  const subtotal = round(items.reduce((sum, item) => sum + item.total, 0));
+  const tax = round(items.reduce((sum, item) => sum + item.total * item.taxRate, 0));
+  return { subtotal, tax, total: round(subtotal + tax) };
+}
+
+/**
+ * Add completed orders, oldest first, to a daily summary
+ */
+function addOrdersToSummary(summary, orders) {
+  const result = JSON.parse(JSON.stringify(summary));
+  const paymentMethods = result.paymentMethods || [];
+  const topProducts = result.topProducts || [];
+  const hourlyData = result.hourlyData || [];
+  const recentOrders = result.recentOrders || [];
+
+  for (const order of orders) {
+    const date = new Date(order.completedDate);
+    result.totalSales = round((result.totalSales || 0) + order.total);
+    result.totalOrders = (result.totalOrders || 0) + 1;
+    result.itemsSold = (result.itemsSold || 0) + order.items.reduce((sum, item) => sum + item.quantity, 0);
+    result.taxCollected = round((result.taxCollected || 0) + order.tax);
+    if (order.paymentMethod === 'cash') result.cashDrawer = round((result.cashDrawer || 0) + order.total);
+
+    let hour = hourlyData.find(entry => entry.hour === date.getHours());
+    if (!hour) {
+      hour = { hour: date.getHours(), label: formatHour(date.getHours()), sales: 0, orders: 0 };
+      hourlyData.push(hour);
+    }
+    hour.sales = round(hour.sales + order.total);
+    hour.orders += 1;
+
+    let payment = paymentMethods.find(entry => entry.type === order.paymentMethod);
+    if (!payment) {
+      payment = { ...PAYMENT_METHODS[order.paymentMethod], type: order.paymentMethod, amount: 0, count: 0, percent: 0 };
+      paymentMethods.push(payment);
+    }
+    payment.amount = round(payment.amount + order.total);
+    payment.count += 1;
+
+    for (const item of order.items) {
+      let product = topProducts.find(entry => entry.name === item.name);
+      if (!product) {
+        product = { name: item.name, qty: 0, revenue: 0 };
+        topProducts.push(product);
+      }
+      product.qty += item.quantity;
+      product.revenue = round(product.revenue + item.total);
+    }
+
+    recentOrders.unshift({
+      id: order.orderNo,
+      time: date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }),
+      amount: order.total,
+      status: 'completed'
+    });
+  }
+
+  const paid = paymentMethods.reduce((sum, entry) => sum + entry.amount, 0);
+  paymentMethods.forEach(entry => {
+    entry.percent = paid > 0 ? Math.round((entry.amount / paid) * 100) : 0;
+  });
+
+  result.avgOrder = result.totalOrders > 0 ? Math.round(result.totalSales / result.totalOrders) : 0;
+  result.hourlyData = hourlyData.sort((a, b) => a.hour - b.hour);
+  result.paymentMethods = paymentMethods;
+  result.topProducts = topProducts.sort((a, b) => b.revenue - a.revenue).slice(0, TOP_PRODUCTS_LIMIT);
+  result.recentOrders = recentOrders;
+  return result;
+}
+
+/**
+ * The entry of a completed order in getOrders
+ */
+function toListedOrder(order) {
+  return {
+    id: order.id,
+    code: order.code,
+    orderNo: order.orderNo,
+    customerName: order.customerName,
+    total: order.total,
+    // 1 marks completed orders, as in the app
+    status: 1,
+    addedDate: order.addedDate,
+    items: order.items,
+    subtotal: order.subtotal,
+    tax: order.tax,
+    paymentMethod: order.paymentMethod
+  };
+}
+
+/**
+ * Label an hour of the day like 9AM or 12PM
+ */
+function formatHour(hour) {
+  return `${hour % 12 || 12}${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Format a date as local time without a zone, like the sample orders
+ */
+function localIsoString(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * The first of some values that isn't undefined or null
+ */
+function firstDefined(...values) {
+  return values.find(value => value !== undefined && value !== null);
+}
+
+/**
+ * Round an amount to cents
+ */
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+module.exports = {
+  createPosState
+};
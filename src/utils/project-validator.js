@@ -0,0 +1,255 @@
+/**
+ * Project Validator
+ *
+ * Validates a plugin project on disk: the manifest schema, the files the
+ * manifest points at, and the permissions needed by the POS_SDK calls
+ * made from the plugin code.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { validateManifest, getMethodPermissions, toPointer } = require('./manifest-schema');
+const { findFilesByExtension } = require('./helpers');
+
+// File extensions a hook or shortcut target may point at
+const TARGET_EXTENSIONS = ['.html', '.htm', '.js'];
+
+// Directories never scanned for plugin code
+const EXCLUDED_DIRS = ['node_modules', 'dist', '.git'];
+
+/**
+ * Validate a plugin project
+ */
+async function validateProject(projectDir, manifest) {
+  const result = validateManifest(manifest);
+  const errors = [...result.errors];
+  const warnings = [...result.warnings];
+
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return { valid: false, errors, warnings };
+  }
+
+  // Entry point must exist
+  if (typeof manifest.entryPoint === 'string' && manifest.entryPoint) {
+    const problem = await checkFile(projectDir, manifest.entryPoint);
+    if (problem) {
+      errors.push({ path: toPointer('entryPoint'), message: `Entry point ${problem}` });
+    }
+  }
+
+  // Icon should exist
+  if (typeof manifest.icon === 'string' && manifest.icon) {
+    const problem = await checkFile(projectDir, manifest.icon);
+    if (problem) {
+      warnings.push({ path: toPointer('icon'), message: `Icon ${problem}` });
+    }
+  }
+
+  // Hook targets must exist
+  if (manifest.hooks && typeof manifest.hooks === 'object' && !Array.isArray(manifest.hooks)) {
+    for (const [hook, target] of Object.entries(manifest.hooks)) {
+      if (!isFileTarget(target)) continue;
+
+      const problem = await checkFile(projectDir, target);
+      if (problem) {
+        errors.push({ path: toPointer('hooks', hook), message: `Hook target ${problem}` });
+      }
+    }
+  }
+
+  // Shortcut actions and icons must exist
+  if (Array.isArray(manifest.shortcuts)) {
+    for (let i = 0; i < manifest.shortcuts.length; i++) {
+      const shortcut = manifest.shortcuts[i];
+      if (!shortcut || typeof shortcut !== 'object') continue;
+
+      if (isFileTarget(shortcut.action)) {
+        const problem = await checkFile(projectDir, shortcut.action);
+        if (problem) {
+          errors.push({ path: toPointer('shortcuts', i, 'action'), message: `Shortcut action ${problem}` });
+        }
+      }
+
+      if (typeof shortcut.icon === 'string' && shortcut.icon) {
+        const problem = await checkFile(projectDir, shortcut.icon);
+        if (problem) {
+          warnings.push({ path: toPointer('shortcuts', i, 'icon'), message: `Shortcut icon ${problem}` });
+        }
+      }
+    }
+  }
+
+  // SDK calls must be covered by declared permissions
+  const permissionResult = await checkPermissions(projectDir, manifest);
+  errors.push(...permissionResult.errors);
+  warnings.push(...permissionResult.warnings);
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Check that a manifest file reference stays in the project and exists
+ * Returns a description of the problem, or null if the file is fine
+ */
+async function checkFile(projectDir, reference) {
+  const relativePath = stripQuery(reference);
+  const filePath = path.resolve(projectDir, relativePath);
+
+  if (path.isAbsolute(relativePath) || !isInside(projectDir, filePath)) {
+    return `must be a path inside the plugin directory: ${reference}`;
+  }
+
+  if (!await fs.pathExists(filePath)) {
+    return `not found: ${relativePath}`;
+  }
+
+  const stat = await fs.stat(filePath);
+  if (!stat.isFile()) {
+    return `is not a file: ${relativePath}`;
+  }
+
+  return null;
+}
+
+/**
+ * Check that a resolved path is inside a directory
+ */
+function isInside(dir, filePath) {
+  const relative = path.relative(dir, filePath);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Remove query string and fragment from a file reference
+ */
+function stripQuery(reference) {
+  return reference.split(/[?#]/)[0];
+}
+
+/**
+ * Whether a hook or shortcut value refers to a file rather than a function name
+ */
+function isFileTarget(value) {
+  if (typeof value !== 'string' || !value) return false;
+  return TARGET_EXTENSIONS.includes(path.extname(stripQuery(value)).toLowerCase());
+}
+
+/**
+ * Find POS_SDK method calls in plugin code
+ * Returns a map of method name to the files calling it
+ */
+async function findSdkCalls(projectDir) {
+  const calls = new Map();
+  const files = await findFilesByExtension(projectDir, ['.js', '.html', '.htm'], EXCLUDED_DIRS);
+  const callPattern = /\bPOS_SDK\s*\.\s*([A-Za-z$][\w$]*)\s*\(/g;
+
+  for (const file of files) {
+    const content = await fs.readFile(file, 'utf8');
+    const relativePath = path.relative(projectDir, file).split(path.sep).join('/');
+    let match;
+
+    while ((match = callPattern.exec(content)) !== null) {
+      const method = match[1];
+      if (!calls.has(method)) {
+        calls.set(method, new Set());
+      }
+      calls.get(method).add(relativePath);
+    }
+  }
+
+  return calls;
+}
+
+/**
+ * Check SDK calls against the declared permissions
+ */
+async function checkPermissions(projectDir, manifest) {
+  const errors = [];
+  const warnings = [];
+  const methodPermissions = getMethodPermissions();
+  const declared = Array.isArray(manifest.permissions) ? manifest.permissions : [];
+  const calls = await findSdkCalls(projectDir);
+
+  for (const [method, files] of calls) {
+    const fileList = [...files].sort().join(', ');
+
+    if (!Object.prototype.hasOwnProperty.call(methodPermissions, method)) {
+      warnings.push({
+        path: '',
+        message: `POS_SDK.${method}() is not a known SDK method (called in ${fileList})`
+      });
+      continue;
+    }
+
+    const permission = methodPermissions[method];
+    if (permission && !declared.includes(permission)) {
+      errors.push({
+        path: toPointer('permissions'),
+        message: `POS_SDK.${method}() requires the "${permission}" permission (called in ${fileList})`
+      });
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Print validation errors and warnings, leaving out the formatted warnings
+ * in previousWarnings
+ */
+function printValidationResult(result, previousWarnings = []) {
+  for (const error of result.errors) {
+    console.log(chalk.red(`  ✗ ${formatIssue(error)}`));
+  }
+  for (const warning of result.warnings.map(formatIssue)) {
+    if (!previousWarnings.includes(warning)) {
+      console.log(chalk.yellow(`  ⚠ ${warning}`));
+    }
+  }
+}
+
+/**
+ * Format a validation issue with its JSON pointer
+ */
+function formatIssue(issue) {
+  return issue.path ? `${issue.path}: ${issue.message}` : issue.message;
+}
+
+/**
+ * Validate the project as a build step
+ * Prints the result, leaving out warnings already printed (in
+ * shownWarnings, which is updated to the warnings of this result), and
+ * returns false if the project has errors
+ */
+async function runProjectValidation(projectDir, manifest, spinner, shownWarnings = null) {
+  spinner.start('Validating plugin...');
+  const result = await validateProject(projectDir, manifest);
+  const previousWarnings = shownWarnings ? [...shownWarnings] : [];
+  if (shownWarnings) {
+    shownWarnings.length = 0;
+    shownWarnings.push(...result.warnings.map(formatIssue));
+  }
+
+  if (!result.valid) {
+    spinner.fail(`Validation failed (${result.errors.length} error${result.errors.length === 1 ? '' : 's'})`);
+    printValidationResult(result, previousWarnings);
+    console.log(chalk.gray('\nFix the errors above or pass --no-validate to skip validation.\n'));
+    return false;
+  }
+
+  spinner.succeed('Plugin validated');
+  printValidationResult(result, previousWarnings);
+  return true;
+}
+
+module.exports = {
+  validateProject,
+  printValidationResult,
+  runProjectValidation,
+  isFileTarget
+};
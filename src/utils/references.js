@@ -0,0 +1,279 @@
+/**
+ * File References
+ *
+ * Finds the files an HTML or CSS document refers to (<script src>,
+ * <link href>, <img src>, @import, url()) along with their positions,
+ * so callers can follow them or rewrite them in place.
+ */
+
+const path = require('path');
+
+// Tags and comments in an HTML document
+const HTML_TOKEN_PATTERN = /<!--[\s\S]*?-->|<([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+
+// Attributes inside a start tag
+const ATTRIBUTE_PATTERN = /([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// Elements whose content is raw text rather than markup
+const RAW_TEXT_TAGS = ['script', 'style'];
+
+// Characters that end a CSS identifier
+const CSS_IDENTIFIER_CHAR = /[\w-]/;
+
+/**
+ * Parse the elements of an HTML document
+ *
+ * Returns { tag, start, end, openEnd, attributes, content, contentStart }
+ * per element. For <script> and <style>, end is after the closing tag and
+ * content holds the raw text; for other tags end is after the start tag.
+ */
+function parseHtml(html) {
+  const elements = [];
+  const pattern = new RegExp(HTML_TOKEN_PATTERN.source, 'g');
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    if (!match[1]) continue; // comment
+
+    const tag = match[1].toLowerCase();
+    const start = match.index;
+    const openEnd = start + match[0].length;
+    const attributes = parseAttributes(match[2], start + 1 + match[1].length);
+    const element = { tag, start, end: openEnd, openEnd, attributes, content: null, contentStart: openEnd };
+
+    if (RAW_TEXT_TAGS.includes(tag) && !/\/\s*$/.test(match[2])) {
+      const closePattern = new RegExp(`</${tag}\\s*>`, 'ig');
+      closePattern.lastIndex = openEnd;
+      const close = closePattern.exec(html);
+      const contentEnd = close ? close.index : html.length;
+
+      element.content = html.slice(openEnd, contentEnd);
+      element.end = close ? close.index + close[0].length : html.length;
+      pattern.lastIndex = element.end;
+    }
+
+    elements.push(element);
+  }
+
+  return elements;
+}
+
+/**
+ * Parse attributes of a start tag
+ */
+function parseAttributes(source, offset) {
+  const attributes = [];
+  const pattern = new RegExp(ATTRIBUTE_PATTERN.source, 'g');
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    const rawValue = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    const quoted = match[2] !== undefined || match[3] !== undefined;
+    const end = offset + match.index + match[0].length - (quoted ? 1 : 0);
+
+    attributes.push({
+      name: match[1].toLowerCase(),
+      value: rawValue === undefined ? null : decodeEntities(rawValue),
+      valueStart: rawValue === undefined ? null : end - rawValue.length,
+      valueEnd: rawValue === undefined ? null : end
+    });
+  }
+
+  return attributes;
+}
+
+/**
+ * Decode the HTML entities commonly found in URLs
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Get an attribute of a parsed element
+ */
+function getAttribute(element, name) {
+  return element.attributes.find(attribute => attribute.name === name) || null;
+}
+
+/**
+ * Find file references in an HTML document
+ *
+ * Returns { kind, value, start, end, element } where start/end delimit the
+ * reference text. Kinds: script, stylesheet, link, image, import, url.
+ */
+function findHtmlReferences(html) {
+  const references = [];
+
+  for (const element of parseHtml(html)) {
+    let attribute = null;
+    let kind = null;
+
+    if (element.tag === 'script') {
+      attribute = getAttribute(element, 'src');
+      kind = 'script';
+    } else if (element.tag === 'link') {
+      attribute = getAttribute(element, 'href');
+      const rel = getAttribute(element, 'rel');
+      kind = rel && /\bstylesheet\b/i.test(rel.value || '') ? 'stylesheet' : 'link';
+    } else if (element.tag === 'img') {
+      attribute = getAttribute(element, 'src');
+      kind = 'image';
+    } else if (element.tag === 'style' && element.content) {
+      references.push(...findCssReferences(element.content, element.contentStart)
+        .map(reference => ({ ...reference, element })));
+    }
+
+    if (attribute && attribute.value) {
+      references.push({
+        kind,
+        value: attribute.value.trim(),
+        start: attribute.valueStart,
+        end: attribute.valueEnd,
+        element
+      });
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Find the end of a CSS string starting at a quote
+ */
+function findCssStringEnd(css, start) {
+  const quote = css[start];
+
+  for (let i = start + 1; i < css.length; i++) {
+    if (css[i] === '\\') {
+      i++;
+    } else if (css[i] === quote || css[i] === '\n') {
+      return i;
+    }
+  }
+
+  return css.length;
+}
+
+/**
+ * Find file references in a stylesheet
+ *
+ * Returns { kind, value, start, end } for @import and url() references,
+ * skipping comments and strings. offset is added to positions.
+ */
+function findCssReferences(css, offset = 0) {
+  const references = [];
+  let pendingImport = false;
+  let i = 0;
+
+  while (i < css.length) {
+    const char = css[i];
+
+    // Comments
+    if (char === '/' && css[i + 1] === '*') {
+      const end = css.indexOf('*/', i + 2);
+      i = end === -1 ? css.length : end + 2;
+      continue;
+    }
+
+    // Strings, which are references only after @import
+    if (char === '"' || char === '\'') {
+      const end = findCssStringEnd(css, i);
+      if (pendingImport) {
+        references.push({ kind: 'import', value: css.slice(i + 1, end), start: offset + i + 1, end: offset + end });
+        pendingImport = false;
+      }
+      i = end + 1;
+      continue;
+    }
+
+    if (char === '@' && /^@import\b/i.test(css.slice(i, i + 8))) {
+      pendingImport = true;
+      i += 7;
+      continue;
+    }
+
+    // url(...)
+    if ((char === 'u' || char === 'U') && /^url\(/i.test(css.slice(i, i + 4)) &&
+        !CSS_IDENTIFIER_CHAR.test(css[i - 1] || '')) {
+      let j = i + 4;
+      while (/\s/.test(css[j] || '')) j++;
+
+      let start;
+      let end;
+      let close;
+
+      if (css[j] === '"' || css[j] === '\'') {
+        start = j + 1;
+        end = findCssStringEnd(css, j);
+        close = css.indexOf(')', end);
+      } else {
+        close = css.indexOf(')', j);
+        start = j;
+        end = close === -1 ? css.length : close;
+        while (end > start && /\s/.test(css[end - 1])) end--;
+      }
+
+      references.push({
+        kind: pendingImport ? 'import' : 'url',
+        value: css.slice(start, end),
+        start: offset + start,
+        end: offset + end
+      });
+      pendingImport = false;
+      i = close === -1 ? css.length : close + 1;
+      continue;
+    }
+
+    if (char === ';' || char === '{') {
+      pendingImport = false;
+    }
+    i++;
+  }
+
+  return references;
+}
+
+/**
+ * Resolve a reference against the file containing it
+ *
+ * Returns a normalized project-relative path using forward slashes (which
+ * starts with ../ if it points outside the project), or null for references
+ * that aren't local files (http:, data:, //host, #fragment, ...).
+ */
+function resolveReference(fromFile, value) {
+  const reference = (value || '').trim();
+
+  if (!reference || /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(reference)) {
+    return null;
+  }
+
+  let filePart = reference.split(/[?#]/)[0];
+  if (!filePart) return null;
+
+  try {
+    filePart = decodeURIComponent(filePart);
+  } catch {
+    // Keep malformed escapes as written
+  }
+
+  // Root-relative references are relative to the plugin root
+  if (filePart.startsWith('/')) {
+    return path.posix.normalize(filePart.slice(1));
+  }
+
+  return path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), filePart));
+}
+
+module.exports = {
+  parseHtml,
+  getAttribute,
+  findHtmlReferences,
+  findCssReferences,
+  resolveReference
+};
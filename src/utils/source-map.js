@@ -0,0 +1,243 @@
+/**
+ * Source Maps
+ *
+ * Builds version 3 source maps and the comments that link generated files
+ * to them.
+ */
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// sourceMappingURL comments as written by build, on a line of their own
+const SOURCE_MAP_COMMENT_PATTERNS = [
+  /^[ \t]*\/\/[#@] sourceMappingURL=\S*[ \t]*(?:\r?\n|$)/gm,
+  /^[ \t]*\/\*[#@] sourceMappingURL=[^*]*\*\/[ \t]*(?:\r?\n|$)/gm
+];
+
+/**
+ * Create a source map builder for one generated file
+ *
+ * addMapping() takes zero-based lines and columns, in generated order.
+ */
+function createSourceMapBuilder() {
+  const sources = [];
+  const sourcesContent = [];
+  const names = [];
+  const lines = [];
+
+  return {
+    addSource(source, content = null) {
+      const index = sources.indexOf(source);
+      if (index !== -1) return index;
+
+      sources.push(source);
+      sourcesContent.push(content);
+      return sources.length - 1;
+    },
+
+    addMapping({ generatedLine, generatedColumn, source, originalLine, originalColumn, name }) {
+      while (lines.length <= generatedLine) lines.push([]);
+
+      const segment = [generatedColumn, source, originalLine, originalColumn];
+      if (name) {
+        let nameIndex = names.indexOf(name);
+        if (nameIndex === -1) {
+          names.push(name);
+          nameIndex = names.length - 1;
+        }
+        segment.push(nameIndex);
+      }
+      lines[generatedLine].push(segment);
+    },
+
+    toJSON(file) {
+      return {
+        version: 3,
+        file,
+        sources: [...sources],
+        sourcesContent: [...sourcesContent],
+        names: [...names],
+        mappings: encodeMappings(lines)
+      };
+    }
+  };
+}
+
+/**
+ * Encode mapping segments as base64 VLQ
+ */
+function encodeMappings(lines) {
+  let previousSource = 0;
+  let previousLine = 0;
+  let previousColumn = 0;
+  let previousName = 0;
+
+  return lines.map(segments => {
+    let previousGeneratedColumn = 0;
+
+    return segments.map(([generatedColumn, source, originalLine, originalColumn, name]) => {
+      let encoded = encodeVlq(generatedColumn - previousGeneratedColumn) +
+        encodeVlq(source - previousSource) +
+        encodeVlq(originalLine - previousLine) +
+        encodeVlq(originalColumn - previousColumn);
+
+      previousGeneratedColumn = generatedColumn;
+      previousSource = source;
+      previousLine = originalLine;
+      previousColumn = originalColumn;
+
+      if (name !== undefined) {
+        encoded += encodeVlq(name - previousName);
+        previousName = name;
+      }
+
+      return encoded;
+    }).join(',');
+  }).join(';');
+}
+
+/**
+ * Encode a number as base64 VLQ
+ */
+function encodeVlq(value) {
+  let vlq = value < 0 ? ((-value) << 1) + 1 : value << 1;
+  let encoded = '';
+
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    encoded += BASE64_CHARS[digit];
+  } while (vlq > 0);
+
+  return encoded;
+}
+
+/**
+ * Decode the base64 VLQ number at index
+ *
+ * Returns { value, length } with length the number of characters read.
+ */
+function decodeVlq(text, index = 0) {
+  let vlq = 0;
+  let shift = 0;
+  let length = 0;
+  let digit;
+
+  do {
+    digit = BASE64_CHARS.indexOf(text[index + length]);
+    if (digit === -1) throw new Error('Invalid source map mappings');
+    vlq += (digit & 31) * 2 ** shift;
+    shift += 5;
+    length++;
+  } while (digit & 32);
+
+  return { value: vlq % 2 === 1 ? -Math.floor(vlq / 2) : vlq / 2, length };
+}
+
+/**
+ * Move generated columns in encoded mappings after the generated code was
+ * edited
+ *
+ * shifts are { line, column, delta }: mappings on that line at or after
+ * the column move by delta columns.
+ */
+function shiftGeneratedColumns(mappings, shifts) {
+  return mappings.split(';').map((line, lineIndex) => {
+    const lineShifts = shifts.filter(shift => shift.line === lineIndex);
+    if (lineShifts.length === 0 || !line) return line;
+
+    let previousColumn = 0;
+    let previousShifted = 0;
+    return line.split(',').map(segment => {
+      const { value, length } = decodeVlq(segment);
+      const column = previousColumn + value;
+      const shifted = column + lineShifts
+        .filter(shift => column >= shift.column)
+        .reduce((sum, shift) => sum + shift.delta, 0);
+
+      const encoded = encodeVlq(shifted - previousShifted) + segment.slice(length);
+      previousColumn = column;
+      previousShifted = shifted;
+      return encoded;
+    }).join(',');
+  }).join(';');
+}
+
+/**
+ * Create a lookup from string offsets to zero-based { line, column }
+ */
+function createLineIndex(text) {
+  const lineStarts = [0];
+  const pattern = /\r\n?|\n|\u2028|\u2029/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    lineStarts.push(match.index + match[0].length);
+  }
+
+  return function positionAt(offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return { line: low, column: offset - lineStarts[low] };
+  };
+}
+
+/**
+ * Track the line and column at the end of generated output
+ */
+function createPositionTracker() {
+  const position = { line: 0, column: 0 };
+
+  position.advance = text => {
+    const lines = text.split(/\r\n?|\n|\u2028|\u2029/);
+    if (lines.length > 1) {
+      position.line += lines.length - 1;
+      position.column = lines[lines.length - 1].length;
+    } else {
+      position.column += text.length;
+    }
+  };
+
+  return position;
+}
+
+/**
+ * Get the comment linking a JS or CSS file to its source map
+ */
+function getSourceMapComment(url, type) {
+  return type === 'css' ? `/*# sourceMappingURL=${url} */` : `//# sourceMappingURL=${url}`;
+}
+
+/**
+ * Encode a source map as a data URL for inline use
+ */
+function toDataUrl(map) {
+  return `data:application/json;charset=utf-8;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}`;
+}
+
+/**
+ * Remove sourceMappingURL comments from JS, CSS or HTML
+ */
+function stripSourceMapComments(content) {
+  return SOURCE_MAP_COMMENT_PATTERNS.reduce((result, pattern) => result.replace(pattern, ''), content);
+}
+
+module.exports = {
+  createSourceMapBuilder,
+  createLineIndex,
+  createPositionTracker,
+  shiftGeneratedColumns,
+  getSourceMapComment,
+  toDataUrl,
+  stripSourceMapComments
+};
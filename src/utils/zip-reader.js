@@ -0,0 +1,200 @@
+/**
+ * ZIP Reader
+ *
+ * Minimal reader for the ZIP archives produced by `cpos-plugin package`.
+ * Parses the central directory and extracts stored or deflated entries,
+ * so packages can be inspected without an extra dependency.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+
+// Record signatures
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+// Fixed record sizes
+const EOCD_SIZE = 22;
+const CENTRAL_HEADER_SIZE = 46;
+const LOCAL_HEADER_SIZE = 30;
+const MAX_COMMENT_SIZE = 0xffff;
+
+// Compression methods
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+let crcTable = null;
+
+/**
+ * Read a ZIP archive and its central directory
+ */
+async function readZip(filePath) {
+  const buffer = await fs.readFile(filePath);
+  return { buffer, entries: readCentralDirectory(buffer) };
+}
+
+/**
+ * Find the end of central directory record
+ */
+function findEndOfCentralDirectory(buffer) {
+  const minOffset = Math.max(0, buffer.length - EOCD_SIZE - MAX_COMMENT_SIZE);
+
+  for (let offset = buffer.length - EOCD_SIZE; offset >= minOffset; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) {
+      return offset;
+    }
+  }
+
+  throw new Error('Not a ZIP archive (end of central directory not found)');
+}
+
+/**
+ * Parse central directory entries
+ */
+function readCentralDirectory(buffer) {
+  if (buffer.length < EOCD_SIZE) {
+    throw new Error('Not a ZIP archive (file too small)');
+  }
+
+  const eocd = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  const directorySize = buffer.readUInt32LE(eocd + 12);
+  const directoryOffset = buffer.readUInt32LE(eocd + 16);
+
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+  if (directoryOffset + directorySize > eocd) {
+    throw new Error('Corrupt ZIP archive (central directory out of range)');
+  }
+
+  const entries = [];
+  let offset = directoryOffset;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + CENTRAL_HEADER_SIZE > eocd || buffer.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error(`Corrupt ZIP archive (bad central directory entry ${i})`);
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const nameBuffer = buffer.subarray(offset + CENTRAL_HEADER_SIZE, offset + CENTRAL_HEADER_SIZE + nameLength);
+    // Bit 11 marks UTF-8 names; archiver always sets it for non-ASCII names
+    const name = nameBuffer.toString(flags & 0x800 ? 'utf8' : 'latin1');
+
+    entries.push({
+      name,
+      method: buffer.readUInt16LE(offset + 10),
+      crc32: buffer.readUInt32LE(offset + 16),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      externalAttributes: buffer.readUInt32LE(offset + 38),
+      localHeaderOffset: buffer.readUInt32LE(offset + 42),
+      isDirectory: name.endsWith('/')
+    });
+
+    offset += CENTRAL_HEADER_SIZE + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Extract the contents of an entry
+ */
+function readZipEntry(zip, entry) {
+  const { buffer } = zip;
+  const offset = entry.localHeaderOffset;
+
+  if (offset + LOCAL_HEADER_SIZE > buffer.length || buffer.readUInt32LE(offset) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`Corrupt ZIP archive (bad local header for ${entry.name})`);
+  }
+
+  const nameLength = buffer.readUInt16LE(offset + 26);
+  const extraLength = buffer.readUInt16LE(offset + 28);
+  const dataStart = offset + LOCAL_HEADER_SIZE + nameLength + extraLength;
+  const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+  if (data.length !== entry.compressedSize) {
+    throw new Error(`Corrupt ZIP archive (truncated data for ${entry.name})`);
+  }
+
+  if (entry.method === METHOD_STORED) {
+    return Buffer.from(data);
+  }
+  if (entry.method === METHOD_DEFLATED) {
+    return zlib.inflateRawSync(data);
+  }
+
+  throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+}
+
+/**
+ * Find an entry by name
+ */
+function findZipEntry(zip, name) {
+  return zip.entries.find(entry => entry.name === name) || null;
+}
+
+/**
+ * Check whether an entry path would be written outside the extraction root
+ */
+function isUnsafeEntryName(name) {
+  if (name.includes('\\') || name.includes('\0')) return true;
+  if (path.posix.isAbsolute(name) || /^[a-zA-Z]:/.test(name)) return true;
+
+  const normalized = path.posix.normalize(name);
+  return normalized === '..' || normalized.startsWith('../');
+}
+
+/**
+ * Extract an entry and check it against the recorded CRC-32 and size
+ * Returns the entry contents
+ */
+function verifyZipEntry(zip, entry) {
+  const content = readZipEntry(zip, entry);
+
+  if (content.length !== entry.size) {
+    throw new Error(`Size mismatch for ${entry.name} (expected ${entry.size}, got ${content.length})`);
+  }
+  if (crc32(content) !== entry.crc32) {
+    throw new Error(`CRC-32 mismatch for ${entry.name}`);
+  }
+
+  return content;
+}
+
+/**
+ * Compute CRC-32 of a buffer
+ */
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+module.exports = {
+  readZip,
+  readZipEntry,
+  findZipEntry,
+  verifyZipEntry,
+  isUnsafeEntryName,
+  crc32
+};
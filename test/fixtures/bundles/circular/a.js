@@ -0,0 +1,7 @@
+import { b } from './b.js';
+
+export function a() {
+  return 'a';
+}
+
+console.log(b());
@@ -0,0 +1,2 @@
+export { sum as cartTotal } from './math.js';
+export * from './currency.js';
@@ -0,0 +1,2 @@
+export const total = 'Total';
+export const subtotal = 'Subtotal';
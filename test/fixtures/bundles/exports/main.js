@@ -0,0 +1,6 @@
+import formatPrice, { TAX_RATE, addTax as withTax } from './price.js';
+import { cartTotal, currency } from './cart.js';
+import * as labels from './labels.js';
+
+document.getElementById('total').textContent =
+  labels.total + ': ' + formatPrice(withTax(cartTotal([100, 200]))) + ' ' + currency + ' (' + TAX_RATE + ')';
@@ -0,0 +1,9 @@
+export const TAX_RATE = 0.09;
+
+export function addTax(amount) {
+  return amount * (1 + TAX_RATE);
+}
+
+export default function formatPrice(amount) {
+  return amount.toFixed(2);
+}
@@ -0,0 +1,5 @@
+const name = 'customer';
+
+export function describe() {
+  return name;
+}
@@ -0,0 +1,5 @@
+import { describe as describeOrder } from './order.js';
+import { describe as describeCustomer } from './customer.js';
+
+const name = 'main';
+console.log(name, describeOrder(), describeCustomer());
@@ -0,0 +1,5 @@
+const name = 'order';
+
+export function describe() {
+  return name;
+}
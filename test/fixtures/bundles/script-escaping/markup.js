@@ -0,0 +1 @@
+export const markup = '<script>alert(1)</script><!-- note --></SCRIPT>';
@@ -0,0 +1,17 @@
+const prefix = 'used: ';
+
+export function used() {
+  return prefix + helper();
+}
+
+function helper() {
+  return 'yes';
+}
+
+export function unused() {
+  return 'never called';
+}
+
+export const UNUSED_VALUE = 42;
+
+console.log('utils loaded');
@@ -0,0 +1,10 @@
+function next(c){let d=c
+d++
+const e='n';[1,2].forEach(n=>d+=n)
+return d}
+function early(){return
+}
+let a=1
+let b=a
+++b
+const sum=a+b
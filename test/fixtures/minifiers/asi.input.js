@@ -0,0 +1,17 @@
+function next(value) {
+  let count = value
+  count++
+  const label = 'n'
+  ;[1, 2].forEach(n => count += n)
+  return count
+}
+
+function early() {
+  return
+}
+
+let a = 1
+let b = a
+++b
+const sum = a
+  + b
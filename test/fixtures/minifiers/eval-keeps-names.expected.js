@@ -0,0 +1,2 @@
+function usesEval(code){var local=1;return eval(code)+local;}
+function plain(firstValue){var doubled=firstValue*2;return doubled;}
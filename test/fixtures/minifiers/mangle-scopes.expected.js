@@ -0,0 +1,2 @@
+var counter=0;function outer(b,a){var c=b+a;function d(f){var g=f*2;return g+counter;}
+const e=(f)=>{const g=f+c;return g;};return d(c)+e(a);}
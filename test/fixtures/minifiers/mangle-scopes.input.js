@@ -0,0 +1,17 @@
+var counter = 0;
+
+function outer(firstValue, secondValue) {
+  var total = firstValue + secondValue;
+
+  function inner(total) {
+    var result = total * 2;
+    return result + counter;
+  }
+
+  const add = (amount) => {
+    const shadow = amount + total;
+    return shadow;
+  };
+
+  return inner(total) + add(secondValue);
+}
@@ -0,0 +1,2 @@
+function ratios(a,b,c){const d=a/2/b;const e=/\/+/g;const f=/[/*]+/;const g=(a)/(b)/c;if(a)/x/.test(b);return d+g+e.source+f.source;}
+function match(d){return/^\d+$/.test(d)?d.length/2:0;}
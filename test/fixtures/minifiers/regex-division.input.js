@@ -0,0 +1,12 @@
+function ratios(a, b, c) {
+  const half = a / 2 / b;
+  const slashes = /\/+/g;
+  const klass = /[/*]+/;
+  const parts = (a) / (b) / c;
+  if (a) /x/.test(b);
+  return half + parts + slashes.source + klass.source;
+}
+
+function match(text) {
+  return /^\d+$/.test(text) ? text.length / 2 : 0;
+}
@@ -0,0 +1,4 @@
+function render(a){const b=a.total;const c=a.items.map(item=>`
+    <li>${item.name}  x ${item.quantity}</li>`);return`<p>Total: ${b>0?`${b} INR`:'free'} // not a comment</p>
+<ul>${c.join('')}</ul>`;}
+const tag=String.raw`C:\path\${'x'}`;
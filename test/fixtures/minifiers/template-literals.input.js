@@ -0,0 +1,9 @@
+function render(order) {
+  const total = order.total;
+  const lines = order.items.map(item => `
+    <li>${item.name}  x ${item.quantity}</li>`);
+  return `<p>Total: ${total > 0 ? `${total} INR` : 'free'} // not a comment</p>
+<ul>${lines.join('')}</ul>`;
+}
+
+const tag = String.raw`C:\path\${'x'}`;
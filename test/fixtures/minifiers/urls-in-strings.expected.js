@@ -0,0 +1 @@
+const API_URL='https://api.example.com//v1';const DOCS="http://example.com/*not-a-comment*/";var pattern='a // b';function load(a){const b=API_URL+'/'+a;return fetch(b);}
@@ -0,0 +1,10 @@
+// Endpoints
+const API_URL = 'https://api.example.com//v1'; // trailing comment
+const DOCS = "http://example.com/*not-a-comment*/";
+var pattern = 'a // b';
+
+function load(path) {
+  // Strings keep their slashes
+  const url = API_URL + '/' + path;
+  return fetch(url);
+}
@@ -0,0 +1,48 @@
+/**
+ * Test Helpers
+ *
+ * Temporary directories and archives shared by the behaviour tests.
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const archiver = require('archiver');
+
+/**
+ * Create a temporary directory, removed again when the test ends
+ */
+async function createTempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cpos-plugin-test-'));
+  t.after(() => fs.remove(dir));
+  return dir;
+}
+
+/**
+ * Write a ZIP archive with archiver, the way `cpos-plugin package` does
+ *
+ * entries is a list of { name, content, store }, with store keeping the
+ * entry uncompressed. Resolves to the path of the archive.
+ */
+async function createZip(dir, entries, fileName = 'test.zip') {
+  const zipPath = path.join(dir, fileName);
+  const output = fs.createWriteStream(zipPath);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  await new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    archive.on('error', reject);
+    archive.pipe(output);
+    for (const entry of entries) {
+      archive.append(entry.content, { name: entry.name, store: Boolean(entry.store) });
+    }
+    archive.finalize();
+  });
+
+  return zipPath;
+}
+
+module.exports = {
+  createTempDir,
+  createZip
+};
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { readZip } = require('../src/utils/zip-reader');
+const {
+  SIGNATURE_ENTRY,
+  generateKeyPair,
+  loadPrivateKey,
+  loadPublicKey,
+  getKeyFingerprint,
+  createSignature,
+  readSignature,
+  verifySignature
+} = require('../src/utils/package-signing');
+const { createTempDir, createZip } = require('./helpers');
+
+const FILES = [
+  { name: 'manifest.json', content: Buffer.from('{"id":"demo","version":"1.0.0"}') },
+  { name: 'index.html', content: Buffer.from('<!DOCTYPE html><script src="main.js"></script>') },
+  { name: 'main.js', content: Buffer.from('console.log("paid");') }
+];
+
+/**
+ * Write a keypair into dir as private.pem and public.pem
+ */
+async function writeKeyPair(dir, prefix = '') {
+  const { privateKey, publicKey } = generateKeyPair();
+  const privatePath = path.join(dir, `${prefix}private.pem`);
+  const publicPath = path.join(dir, `${prefix}public.pem`);
+  await fs.writeFile(privatePath, privateKey);
+  await fs.writeFile(publicPath, publicKey);
+  return { privatePath, publicPath };
+}
+
+/**
+ * Write a package of files signed over signedFiles, as `package --sign` does
+ */
+async function createSignedPackage(dir, privateKey, files = FILES, signedFiles = files) {
+  const signature = createSignature(signedFiles, privateKey);
+  return readZip(await createZip(dir, [...files, { name: SIGNATURE_ENTRY, content: signature }], 'signed.cposplugin'));
+}
+
+test('verifies a package signed with the matching key', async t => {
+  const dir = await createTempDir(t);
+  const keys = await writeKeyPair(dir);
+  const privateKey = await loadPrivateKey(keys.privatePath);
+  const publicKey = await loadPublicKey(keys.publicPath);
+  const zip = await createSignedPackage(dir, privateKey);
+
+  const result = verifySignature(zip, publicKey);
+  assert.deepStrictEqual(result.problems, []);
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.keyFingerprint, getKeyFingerprint(publicKey));
+  assert.strictEqual(getKeyFingerprint(privateKey), getKeyFingerprint(publicKey));
+
+  const document = readSignature(zip);
+  assert.deepStrictEqual(document.files.map(file => file.name), ['index.html', 'main.js', 'manifest.json']);
+});
+
+test('reports entries changed, added or removed after signing', async t => {
+  const dir = await createTempDir(t);
+  const keys = await writeKeyPair(dir);
+  const privateKey = await loadPrivateKey(keys.privatePath);
+  const publicKey = await loadPublicKey(keys.publicPath);
+
+  const tampered = FILES.map(file => (file.name === 'main.js' ? { ...file, content: Buffer.from('steal();') } : file));
+  const result = verifySignature(await createSignedPackage(dir, privateKey, tampered, FILES), publicKey);
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.problems, ['File was modified after signing: main.js']);
+
+  const added = [...FILES, { name: 'extra.js', content: Buffer.from('steal();') }];
+  const addedResult = verifySignature(await createSignedPackage(dir, privateKey, added, FILES), publicKey);
+  assert.deepStrictEqual(addedResult.problems, ['File not covered by signature: extra.js']);
+
+  const removed = FILES.filter(file => file.name !== 'index.html');
+  const removedResult = verifySignature(await createSignedPackage(dir, privateKey, removed, FILES), publicKey);
+  assert.deepStrictEqual(removedResult.problems, ['Signed file missing from package: index.html']);
+});
+
+test('rejects a hash list changed to match a tampered entry', async t => {
+  const dir = await createTempDir(t);
+  const keys = await writeKeyPair(dir);
+  const privateKey = await loadPrivateKey(keys.privatePath);
+  const publicKey = await loadPublicKey(keys.publicPath);
+
+  const document = JSON.parse(createSignature(FILES, privateKey));
+  const content = Buffer.from('steal();');
+  document.files.find(file => file.name === 'main.js').sha256 = crypto.createHash('sha256').update(content).digest('hex');
+  const files = FILES.map(file => (file.name === 'main.js' ? { ...file, content } : file));
+  const zip = await readZip(await createZip(dir, [...files, { name: SIGNATURE_ENTRY, content: JSON.stringify(document) }]));
+
+  const result = verifySignature(zip, publicKey);
+  assert.deepStrictEqual(result.problems, ['Signature does not match the public key']);
+});
+
+test('rejects a signature made with another key', async t => {
+  const dir = await createTempDir(t);
+  const signer = await writeKeyPair(dir, 'signer-');
+  const other = await writeKeyPair(dir, 'other-');
+  const zip = await createSignedPackage(dir, await loadPrivateKey(signer.privatePath));
+
+  const result = verifySignature(zip, await loadPublicKey(other.publicPath));
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.problems, ['Signature does not match the public key']);
+  assert.notStrictEqual(result.keyFingerprint, getKeyFingerprint(await loadPublicKey(other.publicPath)));
+});
+
+test('reports a package without a SIGNATURE entry as unsigned', async t => {
+  const dir = await createTempDir(t);
+  const keys = await writeKeyPair(dir);
+  const zip = await readZip(await createZip(dir, FILES));
+
+  assert.strictEqual(readSignature(zip), null);
+  assert.deepStrictEqual(verifySignature(zip, await loadPublicKey(keys.publicPath)), {
+    valid: false,
+    problems: ['Package is not signed'],
+    keyFingerprint: null
+  });
+});
+
+test('loads only Ed25519 keys, taking the public half of a private key', async t => {
+  const dir = await createTempDir(t);
+  const keys = await writeKeyPair(dir);
+  const fromPrivate = await loadPublicKey(keys.privatePath);
+  assert.strictEqual(getKeyFingerprint(fromPrivate), getKeyFingerprint(await loadPublicKey(keys.publicPath)));
+
+  const rsa = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  const rsaPath = path.join(dir, 'rsa.pem');
+  await fs.writeFile(rsaPath, rsa.privateKey);
+  await assert.rejects(loadPrivateKey(rsaPath), /must be an Ed25519 private key/);
+  await assert.rejects(loadPublicKey(rsaPath), /must be an Ed25519 public key/);
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { createPosHost } = require('../src/utils/pos-host');
+const { createTempDir } = require('./helpers');
+
+const MANIFEST = {
+  id: 'demo',
+  name: 'Demo',
+  version: '1.0.0',
+  permissions: ['orders', 'customers', 'products', 'payments', 'reports', 'notifications'],
+  settings: [{ key: 'theme', type: 'string', default: 'light' }]
+};
+
+/**
+ * Create a plugin project with a manifest and mock files, and a POS host
+ * serving it
+ */
+async function createProject(t, manifest = MANIFEST, mocks = {}) {
+  const projectDir = await createTempDir(t);
+  await fs.writeJson(path.join(projectDir, 'manifest.json'), manifest);
+  for (const [file, content] of Object.entries(mocks)) {
+    await fs.outputFile(path.join(projectDir, 'mocks', file), content);
+  }
+
+  const posHost = createPosHost(projectDir, manifest);
+  t.after(() => posHost.close());
+  return { projectDir, posHost };
+}
+
+test('denies methods whose permission the manifest does not declare', async t => {
+  const { projectDir, posHost } = await createProject(t, { ...MANIFEST, permissions: ['products'] });
+
+  const denied = await posHost.call('getCart');
+  assert.deepStrictEqual(denied.result, {
+    success: false,
+    error: 'Permission denied',
+    permission: 'orders',
+    message: 'getCart needs the "orders" permission, which manifest.json doesn\'t declare'
+  });
+  assert.strictEqual((await posHost.call('closePlugin')).host, true);
+  assert.strictEqual((await posHost.call('showToast', { message: 'Hi' })).result.permission, 'notifications');
+
+  // The manifest is read again for every call
+  await fs.writeJson(path.join(projectDir, 'manifest.json'), MANIFEST);
+  assert.strictEqual((await posHost.call('getCart')).result.total, 0);
+  assert.deepStrictEqual(await posHost.call('showToast', { message: 'Hi' }), { host: true });
+});
+
+test('answers names inherited from Object.prototype like unknown methods', async t => {
+  const { posHost } = await createProject(t);
+
+  for (const method of ['constructor', 'toString', 'hasOwnProperty', '__proto__', 'noSuchMethod']) {
+    assert.deepStrictEqual(await posHost.call(method), { result: null }, method);
+  }
+});
+
+test('answers from mocks/ first, then the POS state, then built-in data', async t => {
+  const { posHost } = await createProject(t, MANIFEST, {
+    'getCustomer.json': JSON.stringify({ id: 7, name: 'Mocked' }),
+    'getCategories.js': `module.exports = (params, context) => ({
+      ...context.defaultMock,
+      data: [...context.defaultMock.data, { id: 99, name: params.extra }],
+      pluginId: context.manifest.id
+    });`,
+    'getDailySummary.js': 'module.exports = () => { throw new Error("reports are down"); };'
+  });
+
+  assert.deepStrictEqual((await posHost.call('getCustomer')).result, { id: 7, name: 'Mocked' });
+
+  const categories = (await posHost.call('getCategories', { extra: 'Deals' })).result;
+  assert.strictEqual(categories.pluginId, 'demo');
+  assert.deepStrictEqual(categories.data.map(category => category.name), ['Beverages', 'Snacks', 'Household', 'Deals']);
+
+  // Without a mock file the state answers, and the built-in data after it
+  await posHost.call('addToCart', { item: { productId: 1 } });
+  assert.strictEqual((await posHost.call('getCart')).result.items[0].name, 'Product A');
+  assert.strictEqual((await posHost.call('getProducts')).result.total, 5);
+
+  const failed = await posHost.call('getDailySummary');
+  assert.match(failed.error, /mocks\/getDailySummary\.js: reports are down/);
+});
+
+test('keeps cart lines and totals with the store tax rate', async t => {
+  const { posHost } = await createProject(t);
+
+  await posHost.call('addToCart', { item: { productId: 1, quantity: 2 } });
+  await posHost.call('addToCart', { item: { code: 'P001' } });
+  await posHost.call('addToCart', { item: { name: 'Gift wrap', price: 50, taxRate: 0 } });
+
+  let cart = (await posHost.call('getCart')).result;
+  assert.deepStrictEqual(cart.items.map(item => [item.id, item.quantity, item.total]), [['1', 3, 900], ['item-1', 1, 50]]);
+  assert.deepStrictEqual([cart.subtotal, cart.tax, cart.total], [950, 81, 1031]);
+
+  await posHost.call('updateCartItemQuantity', { itemId: '1', quantity: 1 });
+  cart = (await posHost.call('getCart')).result;
+  assert.deepStrictEqual([cart.subtotal, cart.tax, cart.total], [350, 27, 377]);
+
+  await posHost.call('updateCartItemQuantity', { itemId: 'item-1', quantity: 0 });
+  assert.deepStrictEqual((await posHost.call('getCart')).result.items.map(item => item.id), ['1']);
+
+  const invalid = await posHost.call('addToCart', { item: { productId: 1, quantity: -1 } });
+  assert.deepStrictEqual(invalid.result, { success: false, error: 'Invalid quantity: -1' });
+  const unpriced = await posHost.call('addToCart', { item: { productId: 'nope' } });
+  assert.deepStrictEqual(unpriced.result, { success: false, error: 'No price for item nope' });
+  const missing = await posHost.call('removeFromCart', { itemId: 'nope' });
+  assert.deepStrictEqual(missing.result, { success: false, error: 'Cart item not found: nope' });
+});
+
+test('completes the current order into the orders and daily summary', async t => {
+  const { posHost } = await createProject(t);
+
+  await posHost.call('setCustomer', { customer: { id: 3, name: 'Asha' } });
+  await posHost.call('addToCart', { item: { productId: 2 } });
+  const pending = (await posHost.call('getCurrentOrder')).result;
+  assert.strictEqual(pending.status, 'pending');
+  assert.strictEqual(pending.total, 327);
+
+  const completed = await posHost.act('completeOrder', { method: 'upi' });
+  assert.strictEqual(completed.success, true);
+  assert.strictEqual(completed.order.orderNo, pending.orderNo);
+  assert.strictEqual(completed.order.customerName, 'Asha');
+
+  const state = await posHost.getState();
+  assert.deepStrictEqual([state.cart.items, state.customer, state.currentOrder], [[], null, null]);
+
+  const orders = (await posHost.call('getOrders')).result;
+  assert.strictEqual(orders.total, 3);
+  assert.deepStrictEqual(orders.data[0], { ...state.orders[0], status: 1 });
+  assert.strictEqual(orders.data[0].paymentMethod, 'upi');
+
+  const summary = (await posHost.call('getDailySummary')).result.data;
+  assert.strictEqual(summary.totalOrders, 16);
+  assert.strictEqual(summary.totalSales, 12827);
+  assert.strictEqual(summary.paymentMethods.find(entry => entry.type === 'upi').count, 4);
+
+  assert.deepStrictEqual(await posHost.act('completeOrder'), { success: false, error: 'The cart is empty' });
+});
+
+test('pays for the cart with processPayment', async t => {
+  const { posHost } = await createProject(t);
+
+  await posHost.call('addToCart', { item: { productId: 3 } });
+  const payment = (await posHost.call('processPayment', { amount: 272.5, method: 'card' })).result;
+  assert.strictEqual(payment.status, 'approved');
+  assert.strictEqual(payment.orderNo, 'ORD-1001');
+  assert.strictEqual((await posHost.getState()).orders[0].paymentMethod, 'card');
+  assert.strictEqual((await posHost.call('getCart')).result.items.length, 0);
+});
+
+test('clears the cart together with the order it started', async t => {
+  const { posHost } = await createProject(t);
+
+  await posHost.call('addToCart', { item: { productId: 1 } });
+  assert.notStrictEqual((await posHost.call('getCurrentOrder')).result, null);
+
+  const cleared = await posHost.act('clearCart');
+  assert.deepStrictEqual(cleared.cart, { items: [], subtotal: 0, tax: 0, total: 0 });
+  assert.strictEqual((await posHost.call('getCurrentOrder')).result, null);
+
+  // The next item starts a new order
+  await posHost.call('addToCart', { item: { productId: 1 } });
+  assert.strictEqual((await posHost.call('getCurrentOrder')).result.orderNo, 'ORD-1002');
+
+  await assert.rejects(posHost.act('refund'), /Unknown host action: refund/);
+});
+
+test('saves settings over the manifest defaults', async t => {
+  const { posHost } = await createProject(t);
+
+  assert.deepStrictEqual((await posHost.call('getSettings')).result, { theme: 'light' });
+  await posHost.call('saveSettings', { settings: { theme: 'dark', compact: true } });
+  assert.deepStrictEqual((await posHost.call('getSettings')).result, { theme: 'dark', compact: true });
+});
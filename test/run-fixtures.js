@@ -0,0 +1,159 @@
+/**
+ * Fixture Tests
+ *
+ * Minifies every <name>.input.<ext> file in test/fixtures/minifiers with
+ * the minifier for its extension and compares the result with
+ * <name>.expected.<ext>. Expected files end with a line break the minified
+ * output doesn't have.
+ *
+ * Bundles index.html of every project in test/fixtures/bundles, with its
+ * module scripts and what they import, and compares the result with the
+ * project's expected.html. The warnings of the bundle, one per line, are
+ * compared with warnings.txt, or must be none without one.
+ *
+ * Usage: node test/run-fixtures.js [name...]
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { minifyJs } = require('../src/utils/js-minifier');
+const { minifyCss } = require('../src/utils/css-minifier');
+const { minifyHtml } = require('../src/utils/html-minifier');
+const { bundleHtml } = require('../src/utils/bundler');
+
+const MINIFIER_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'minifiers');
+const BUNDLE_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'bundles');
+
+// Minifier by fixture extension
+const MINIFIERS = {
+  '.js': minifyJs,
+  '.css': minifyCss,
+  '.html': minifyHtml
+};
+
+const INPUT_PATTERN = /^(.+)\.input(\.[a-z]+)$/;
+
+async function main() {
+  const only = process.argv.slice(2);
+  const fixtures = [...await findMinifierFixtures(), ...await findBundleFixtures()]
+    .filter(fixture => only.length === 0 || only.includes(fixture.name));
+
+  if (fixtures.length === 0) {
+    console.log(chalk.red('Error: No fixtures found'));
+    process.exitCode = 1;
+    return;
+  }
+
+  let failed = 0;
+  for (const { label, run } of fixtures) {
+    let failure;
+    try {
+      failure = await run();
+    } catch (error) {
+      failure = `Threw: ${error.message}`;
+    }
+
+    if (failure) {
+      failed++;
+      console.log(chalk.red(`  ✗ ${label}`));
+      console.log(chalk.gray(failure.split('\n').map(line => `      ${line}`).join('\n')));
+    } else {
+      console.log(chalk.green(`  ✓ ${label}`));
+    }
+  }
+
+  console.log();
+  if (failed > 0) {
+    console.log(chalk.red(`${failed} of ${fixtures.length} fixtures failed`));
+    process.exitCode = 1;
+  } else {
+    console.log(chalk.green(`All ${fixtures.length} fixtures passed`));
+  }
+}
+
+/**
+ * Find the minifier fixtures as { name, label, run }, with run resolving
+ * to a description of the failure, or null if the fixture passed
+ */
+async function findMinifierFixtures() {
+  return (await fs.readdir(MINIFIER_FIXTURES_DIR))
+    .filter(file => INPUT_PATTERN.test(file))
+    .sort()
+    .map(file => {
+      const [, name, ext] = file.match(INPUT_PATTERN);
+      return { name, label: `minifiers/${name}${ext}`, run: () => runMinifierFixture(name, ext) };
+    });
+}
+
+/**
+ * Find the bundle fixtures as { name, label, run }
+ */
+async function findBundleFixtures() {
+  const names = (await fs.readdir(BUNDLE_FIXTURES_DIR, { withFileTypes: true }))
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+  return names.map(name => ({ name, label: `bundles/${name}`, run: () => runBundleFixture(name) }));
+}
+
+/**
+ * Minify a fixture input and compare it with the expected output
+ */
+async function runMinifierFixture(name, ext) {
+  const minify = MINIFIERS[ext];
+  if (!minify) return `No minifier for ${ext} files`;
+
+  const expectedPath = path.join(MINIFIER_FIXTURES_DIR, `${name}.expected${ext}`);
+  if (!await fs.pathExists(expectedPath)) return `Missing ${path.basename(expectedPath)}`;
+
+  const input = await fs.readFile(path.join(MINIFIER_FIXTURES_DIR, `${name}.input${ext}`), 'utf8');
+  const expected = (await fs.readFile(expectedPath, 'utf8')).replace(/\n$/, '');
+  const actual = minify(input);
+
+  return actual === expected ? null : describeDifference(expected, actual);
+}
+
+/**
+ * Bundle a fixture project and compare it with the expected page and
+ * warnings
+ */
+async function runBundleFixture(name) {
+  const projectDir = path.join(BUNDLE_FIXTURES_DIR, name);
+  const expectedPath = path.join(projectDir, 'expected.html');
+  if (!await fs.pathExists(expectedPath)) return 'Missing expected.html';
+
+  const html = await fs.readFile(path.join(projectDir, 'index.html'), 'utf8');
+  const result = await bundleHtml(projectDir, 'index.html', html);
+
+  const expected = await fs.readFile(expectedPath, 'utf8');
+  if (result.html !== expected) return describeDifference(expected, result.html);
+
+  const warningsPath = path.join(projectDir, 'warnings.txt');
+  const expectedWarnings = await fs.pathExists(warningsPath)
+    ? (await fs.readFile(warningsPath, 'utf8')).replace(/\n$/, '')
+    : '';
+  const warnings = result.warnings.join('\n');
+  return warnings === expectedWarnings ? null : `Warnings differ:\n${describeDifference(expectedWarnings, warnings)}`;
+}
+
+/**
+ * Show the first line where the output differs from the expected output
+ */
+function describeDifference(expected, actual) {
+  const expectedLines = expected.split('\n');
+  const actualLines = actual.split('\n');
+  let line = 0;
+  while (line < expectedLines.length && expectedLines[line] === actualLines[line]) line++;
+
+  return [
+    `First difference on line ${line + 1}:`,
+    `expected: ${JSON.stringify(expectedLines[line] === undefined ? '' : expectedLines[line])}`,
+    `actual:   ${JSON.stringify(actualLines[line] === undefined ? '' : actualLines[line])}`
+  ].join('\n');
+}
+
+main().catch(error => {
+  console.log(chalk.red(`Error: ${error.message}`));
+  process.exitCode = 1;
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { readZip, readZipEntry, findZipEntry, verifyZipEntry, isUnsafeEntryName } = require('../src/utils/zip-reader');
+const { createTempDir, createZip } = require('./helpers');
+
+const ENTRIES = [
+  { name: 'manifest.json', content: '{"id":"demo"}' },
+  { name: 'index.html', content: '<!DOCTYPE html>\n'.repeat(200) },
+  { name: 'assets/icon.png', content: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 1, 2, 3]), store: true },
+  { name: 'lib/çà.js', content: 'console.log("ü");' }
+];
+
+test('reads back the entries archiver wrote', async t => {
+  const dir = await createTempDir(t);
+  const zip = await readZip(await createZip(dir, ENTRIES));
+
+  assert.deepStrictEqual(zip.entries.map(entry => entry.name), ENTRIES.map(entry => entry.name));
+  for (const { name, content } of ENTRIES) {
+    const entry = findZipEntry(zip, name);
+    assert.deepStrictEqual(readZipEntry(zip, entry), Buffer.from(content));
+    assert.deepStrictEqual(verifyZipEntry(zip, entry), Buffer.from(content));
+  }
+
+  assert.strictEqual(findZipEntry(zip, 'index.html').method, 8);
+  assert.strictEqual(findZipEntry(zip, 'assets/icon.png').method, 0);
+  assert.strictEqual(findZipEntry(zip, 'missing.txt'), null);
+});
+
+test('rejects truncated archives', async t => {
+  const dir = await createTempDir(t);
+  const buffer = await fs.readFile(await createZip(dir, ENTRIES));
+  const truncatedPath = path.join(dir, 'truncated.zip');
+
+  // Cut off the end of central directory record
+  await fs.writeFile(truncatedPath, buffer.subarray(0, buffer.length - 10));
+  await assert.rejects(readZip(truncatedPath), /Not a ZIP archive/);
+
+  // Keep the end record but lose the central directory before it
+  const eocd = buffer.subarray(buffer.length - 22);
+  await fs.writeFile(truncatedPath, Buffer.concat([buffer.subarray(0, 40), eocd]));
+  await assert.rejects(readZip(truncatedPath), /Corrupt ZIP archive/);
+
+  await fs.writeFile(truncatedPath, buffer.subarray(0, 10));
+  await assert.rejects(readZip(truncatedPath), /Not a ZIP archive \(file too small\)/);
+});
+
+test('detects entries whose contents were changed', async t => {
+  const dir = await createTempDir(t);
+  const zipPath = await createZip(dir, [{ name: 'main.js', content: 'var total = 1;', store: true }]);
+  const buffer = await fs.readFile(zipPath);
+  buffer.write('2', buffer.indexOf('var total = 1;') + 12);
+  await fs.writeFile(zipPath, buffer);
+
+  const zip = await readZip(zipPath);
+  assert.throws(() => verifyZipEntry(zip, findZipEntry(zip, 'main.js')), /CRC-32 mismatch for main\.js/);
+});
+
+test('flags entry names that would be extracted outside the target', async t => {
+  for (const name of ['../evil.js', 'assets/../../evil.js', '..', '/etc/passwd', 'C:/evil.js', 'c:evil.js', 'assets\\evil.js', 'evil\0.js']) {
+    assert.strictEqual(isUnsafeEntryName(name), true, name);
+  }
+  for (const name of ['index.html', 'assets/icon.png', 'assets/../index.html', 'lib/..data/file.js', '...js']) {
+    assert.strictEqual(isUnsafeEntryName(name), false, name);
+  }
+
+  // archiver strips ../ from names, so write a placeholder and patch it in
+  const dir = await createTempDir(t);
+  const zipPath = await createZip(dir, [{ name: 'xx/evil.js', content: 'alert(1)' }]);
+  const buffer = await fs.readFile(zipPath);
+  let offset = buffer.indexOf('xx/evil.js');
+  while (offset !== -1) {
+    buffer.write('..', offset);
+    offset = buffer.indexOf('xx/evil.js', offset);
+  }
+  await fs.writeFile(zipPath, buffer);
+
+  const zip = await readZip(zipPath);
+  assert.deepStrictEqual(zip.entries.map(entry => entry.name), ['../evil.js']);
+  assert.strictEqual(isUnsafeEntryName(zip.entries[0].name), true);
+});